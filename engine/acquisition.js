@@ -0,0 +1,80 @@
+import { clamp } from "./utils.js";
+import { mulberry32, seedFromString } from "./rng.js";
+
+// ----------------- acquisitions -----------------
+// Buying a listing on terms: the player offers a price, a deposit, a due-diligence period and
+// (optionally) a financing contingency. The seller accepts, counters or rejects depending on how
+// liquid the market is and whether a rival has bid. Diligence turns up some of the building's issues:
+// most re-trade the price, a few kill the deal. At year-end diligence is over and the deposit goes
+// hard; the deal closes by the next year-end or the deposit is forfeited (unless the financing
+// contingency covers a loan that fell short). Issues diligence missed surface after closing.
+
+export const DD_PERIODS = { 30: 0.5, 60: 0.75, 90: 0.95 };   // diligence days -> chance each issue is found
+export const DEPOSIT_MIN = 0.01;
+export const DEPOSIT_MAX = 0.10;
+export const MAX_OFFERS = 3;                                   // seller stops negotiating after this many
+
+// What can be wrong with a building. kind: capex (a cost, share of price), taxes / rent (a share of
+// NOI lost) or kill (the deal can't close; if missed, it costs a share of price to fix after closing).
+const ISSUES = [
+  { id: "deferred", name: "Roof and HVAC past their useful life", kind: "capex", chance: 0.30, min: 0.01, max: 0.03 },
+  { id: "taxes", name: "Tax reassessment on sale", kind: "taxes", chance: 0.25, min: 0.03, max: 0.07 },
+  { id: "estoppel", name: "Tenant estoppels don't match the rent roll", kind: "rent", chance: 0.20, min: 0.02, max: 0.06 },
+  { id: "environmental", name: "Phase II finds soil contamination", kind: "kill", chance: 0.05, min: 0.06, max: 0.12 },
+  { id: "title", name: "Title defect the seller can't cure", kind: "kill", chance: 0.03, min: 0.02, max: 0.05 }
+];
+
+// A listing's issues come from their own stream off the run seed and the listing id, so buying as-is
+// and buying after diligence face the same building. Each issue carries its size and a discovery roll.
+export function listingIssues(seed, listingId) {
+  const rng = mulberry32(seedFromString(`${seed}:diligence:${listingId}`));
+  return ISSUES.map(def => ({ def, present: rng() < def.chance, size: def.min + rng() * (def.max - def.min), roll: rng() }))
+    .filter(x => x.present)
+    .map(({ def, size, roll }) => ({ id: def.id, name: def.name, kind: def.kind, size, roll }));
+}
+
+export function ddPeriod(days) {
+  const d = Number(days);
+  return DD_PERIODS[d] !== undefined ? d : 60;
+}
+
+// What diligence of `days` finds; the rest stays hidden until after closing
+export function diligence(issues, days) {
+  const chance = DD_PERIODS[ddPeriod(days)];
+  return {
+    found: issues.filter(x => x.roll < chance),
+    missed: issues.filter(x => x.roll >= chance)
+  };
+}
+
+// Price cut the seller gives for a found issue: the cost, or the NOI lost at the deal's price
+export function retradeAmount(issue, price) {
+  return Math.round(price * issue.size / 1000) * 1000;
+}
+
+// How much the seller values the terms on top of price: a big deposit, a short diligence period
+// and no financing contingency make an offer firmer
+function termsBonus({ price, deposit, ddDays, financing }) {
+  const depositPct = price > 0 ? deposit / price : 0;
+  return (depositPct - 0.03) * 0.5 + (60 - ddPeriod(ddDays)) / 3000 + (financing ? -0.01 : 0.005);
+}
+
+// Seller's walk-away price: sellers give more ground when capital is scarce, never below a rival's bid
+export function sellerFloor({ ask, rivalBid, liquidity }) {
+  const flex = clamp(0.03 + (0.7 - liquidity) * 0.25, 0.01, 0.15);
+  return Math.max(ask * (1 - flex), rivalBid || 0);
+}
+
+// The seller's answer to an offer: { response: "accepted" | "countered" | "rejected", counter? }.
+// At or above ask (or a standing counter) is a deal; between the floor and ask the seller may take it
+// or split the difference; well below the floor it walks.
+export function sellerResponse({ ask, rivalBid, liquidity, counter, offer, rng }) {
+  const firm = offer.price * (1 + termsBonus(offer));
+  const target = Math.max(ask, rivalBid ? rivalBid * 1.01 : 0);
+  if (firm >= target || (counter && offer.price >= counter)) return { response: "accepted" };
+
+  const floor = sellerFloor({ ask, rivalBid, liquidity });
+  if (firm >= floor && rng() < (firm - floor) / Math.max(1, target - floor)) return { response: "accepted" };
+  if (firm < floor * 0.88) return { response: "rejected" };
+  return { response: "countered", counter: Math.round(Math.max(floor, (offer.price + target) / 2) / 1000) * 1000 };
+}
@@ -0,0 +1,130 @@
+import { clamp } from "./utils.js";
+import { lenderTerms } from "./lender.js";
+import { buildSize, developmentBudget, entitlementOdds, stabilizedNOI } from "./development.js";
+import { VACANT, neighborhoodParcels } from "./parcels.js";
+
+// ----------------- competitors -----------------
+// Rival investors (data/competitors.json) chase the same listings and land as the player.
+// Buyers bid on listings whose cap rate clears their target (the cost of debt plus buy.capSpread);
+// the best bid takes the listing at year-end unless the player pays up first.
+// Builders start projects where yield on cost clears the market cap rate by build.spread. Every
+// delivery, theirs or the player's, joins the neighborhood's inventory (engine/supply.js) and stays
+// vacant until it's absorbed. Every sale is a comp, and cap rates lean toward what trades.
+//
+// Run state per rival: { id, name, strategy, dryPowder, holdings: [{ parcelId, year, price }],
+// projects: [{ parcelId, neighborhood, productType, size, unit, cost, deliverYear }] }
+
+const COMP_YEARS = 3;          // how far back comps count
+const COMP_WEIGHT = 0.2;       // pull toward comps per trade...
+const COMP_WEIGHT_MAX = 0.6;   // ...up to this much of the cap rate
+const OUTBID_STEP = 0.01;      // the player has to beat the best rival bid by this much
+
+export function competitorDef(data, id) {
+  return (data.competitors || []).find(d => d.id === id) || null;
+}
+
+// The equity a fund can put out this year: its allocation, thinner when capital markets are tight
+export function allocation(def, market) {
+  return def.capital * clamp(market.liquidity / 0.7, 0.3, 1.3);
+}
+
+export function createCompetitor(def, market) {
+  return { id: def.id, name: def.name, strategy: def.strategy, dryPowder: allocation(def, market), holdings: [], projects: [] };
+}
+
+function wants(def, productType) {
+  return !def.productTypes || def.productTypes.includes(productType);
+}
+
+// Rivals borrow on the same terms the player does
+export function equityNeeded(cost, market, { build = false } = {}) {
+  const terms = lenderTerms(market);
+  return cost * (1 - (terms.open ? (build ? terms.maxLTC : terms.maxLTV) : 0));
+}
+
+// Cap rate a buyer needs: the cost of debt plus its spread, never below 4%
+export function targetCap(def, market) {
+  return Math.max(0.04, market.baseRate + market.spread + def.buy.capSpread);
+}
+
+// A rival's offer: up to buy.premium over ask, never past the price that hits its target cap,
+// and only with the equity to close. Returns the bid or null.
+function rivalBid(def, c, { productType, price, noi, market, rng }) {
+  if (!def.buy || !wants(def, productType)) return null;
+  const ceiling = noi / targetCap(def, market);
+  if (ceiling < price) return null;
+  const bid = Math.round(Math.min(ceiling, price * (1 + rng() * def.buy.premium)) / 1000) * 1000;
+  return c.dryPowder >= equityNeeded(bid, market) ? bid : null;
+}
+
+// Best rival bid on a listing ({ competitorId, name, price } or null). The winner commits its equity.
+export function bestBid(state, data, { productType, price, noi, rng }) {
+  let best = null;
+  for (const c of state.competitors) {
+    const def = competitorDef(data, c.id);
+    if (!def) continue;
+    const bid = rivalBid(def, c, { productType, price, noi, market: state.market, rng });
+    if (bid !== null && (!best || bid > best.price)) best = { competitorId: c.id, name: c.name, price: bid };
+  }
+  if (best) state.competitors.find(c => c.id === best.competitorId).dryPowder -= equityNeeded(best.price, state.market);
+  return best;
+}
+
+// What the player pays for a listing: the ask, or a step over the best rival bid
+export function winningPrice(listing) {
+  if (!listing.bid) return listing.price;
+  return Math.max(listing.price, Math.round(listing.bid.price * (1 + OUTBID_STEP) / 1000) * 1000);
+}
+
+// The best development a builder can fund: the zoned vacant parcel and product with the highest
+// yield on cost that clears the market cap by build.spread. Returns null if nothing pencils.
+export function rivalProject(def, c, state, productsById, rng) {
+  if (!def.build) return null;
+  let best = null;
+
+  for (const n of state.neighborhoods) {
+    const land = neighborhoodParcels(state, n.id).filter(pc => pc.use === VACANT);
+    for (const productType of n.zoning) {
+      const product = productsById[productType];
+      const parcel = land.find(pc => pc.zoning.includes(productType));
+      if (!product || !parcel || !wants(def, productType)) continue;
+
+      const size = buildSize(product, null);
+      const budget = developmentBudget(product, n, size);
+      const yieldOnCost = stabilizedNOI(product, n, size) / budget.total;
+      // Builders disagree a little on rents; keeps every rival from chasing the same site
+      const score = yieldOnCost * (1 + (rng() - 0.5) * 0.1);
+      const equity = equityNeeded(budget.total, state.market, { build: true });
+      if (yieldOnCost < n.capRate + def.build.spread || equity > c.dryPowder) continue;
+      if (best && score <= best.score) continue;
+
+      best = {
+        score,
+        parcelId: parcel.id,
+        neighborhood: n.id,
+        productType,
+        size,
+        unit: product.build.size.unit,
+        cost: budget.total,
+        equity,
+        yieldOnCost,
+        deliverYear: state.year + entitlementOdds(n).minYears + product.build.yearsToBuild
+      };
+    }
+  }
+  return best;
+}
+
+// ----------------- comps -----------------
+export function recordComp(state, comp) {
+  state.comps = [...(state.comps || []), comp].filter(x => x.year > state.year - COMP_YEARS);
+}
+
+// Price-weighted cap rate of a neighborhood's recent trades and how much it should count
+export function compCapRate(comps, neighborhoodId, year) {
+  const recent = (comps || []).filter(x => x.neighborhood === neighborhoodId && x.year > year - COMP_YEARS);
+  if (!recent.length) return null;
+  const price = recent.reduce((a, x) => a + x.price, 0);
+  const noi = recent.reduce((a, x) => a + x.noi, 0);
+  return { cap: noi / price, count: recent.length, weight: Math.min(COMP_WEIGHT_MAX, recent.length * COMP_WEIGHT) };
+}
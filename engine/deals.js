@@ -1,90 +1,183 @@
 import { clamp } from "./utils.js";
-import { computeNOI, valueFromNOI, annualDebtService, dscr } from "./property.js";
+import { valueFromNOI, annualDebtService, dscr, seedOperatingStatement, computeOperatingStatement, growOperatingStatement } from "./property.js";
+import { unitMixRules, generateUnitMix, unitMixMetrics, rollUnitMixYear, renovateUnits } from "./unitmix.js";
+import { returnMetrics, DEFAULT_DISCOUNT_RATE } from "./finance.js";
 
 // Deal Judge underwriting: quick projection + exit.
+// Runs on the same operating statement model as Tycoon properties (engine/property.js).
+// inputs: { rentGrowth, exitCap, capex, holdYears, rate?, vacancyDelta?, path?, discountRate? }; rate defaults
+// to the deal's debt rate and vacancyDelta moves the neighborhood's vacancy (sensitivity grids and cases use both).
+// path: [{ rentGrowth, vacancy }] per hold year from a simulated market (engine/montecarlo.js) in place
+// of the flat rent growth and today's vacancy. discountRate is what NPV discounts at.
+// CapEx is equity at closing; returns come from engine/finance.js on the levered and unlevered flows.
 export function underwriteDeal({ deal, neighborhood, product, inputs }) {
   const hold = Math.max(1, Math.floor(inputs.holdYears));
   const rentGrowth = clamp(Number(inputs.rentGrowth), -0.10, 0.15);
   const exitCap = clamp(Number(inputs.exitCap), 0.03, 0.12);
   const capex = Math.max(0, Number(inputs.capex));
+  const rate = inputs.rate === undefined ? deal.debt.rate : clamp(Number(inputs.rate), 0, 0.20);
+  const discountRate = inputs.discountRate === undefined ? DEFAULT_DISCOUNT_RATE : clamp(Number(inputs.discountRate), 0, 0.50);
+
+  // In-place statement at today's rents (index 1.0) and neighborhood vacancy
+  const vacancy = inputs.vacancyDelta ? clamp(neighborhood.vacancy + Number(inputs.vacancyDelta), 0.01, 0.40) : neighborhood.vacancy;
+  const path = inputs.path || null;
+  // Market rent at year y over today's, and the vacancy the year is leased against
+  const growthTo = y => path ? path.slice(0, y).reduce((a, x) => a * (1 + x.rentGrowth), 1) : (1 + rentGrowth) ** y;
+  const vacancyIn = y => path ? path[y - 1].vacancy : vacancy;
+  const ops = seedOperatingStatement({ noi: deal.inPlaceNOI, rentIndex: 1, vacancy, product });
+  const inPlace = computeOperatingStatement(ops, { rentIndex: 1, vacancy });
+
+  // Multifamily with a unit count underwrites unit by unit: in-place rents sit marketNOILiftPct below
+  // market and burn off with turnover, and CapEx renovates as many doors as it pays for in Y1
+  const mixRules = unitMixRules(product);
+  const mix = mixRules && deal.units > 1
+    ? generateUnitMix(mixRules, {
+        gpr: ops.gpr,
+        units: deal.units,
+        marketRentIndex: 1 + deal.marketNOILiftPct,
+        lossToLease: deal.marketNOILiftPct / (1 + deal.marketNOILiftPct)
+      })
+    : null;
+  const mixInPlace = mix ? unitMixMetrics(mix, 1 + deal.marketNOILiftPct) : null;
+  let renovated = null;
 
-  // Base NOI is deal in-place; allow lift toward market via marketNOILiftPct over 2 years
-  const expenseRatio = product.baseExpenseRatio;
-
-  let noi = deal.inPlaceNOI;
   const cashFlows = [];
 
   const loanAmt = deal.purchasePrice * deal.debt.ltv;
   let loanBal = loanAmt;
 
   for (let y = 1; y <= hold; y++) {
-    const lift = y <= 2 ? (deal.marketNOILiftPct * (y / 2)) : deal.marketNOILiftPct;
-    const rentIndex = neighborhood.rentIndex * (1 + rentGrowth) ** y;
-
-    // Convert to a "baseNOI" anchor then re-run with rentIndex/vacancy
-    // We approximate baseNOI from current NOI and product expense ratio.
-    const baseNOI = noi * (1 + lift);
-
-    const projectedNOI = computeNOI({
-      baseNOI,
-      rentIndex,
-      vacancy: neighborhood.vacancy,
-      expenseRatio
-    });
+    // Rents grow with the market and mark to market via marketNOILiftPct over 2 years;
+    // expense lines grow on their own rates
+    let rentIndex;
+    if (mix) {
+      const marketRent = growthTo(y) * (1 + deal.marketNOILiftPct);
+      if (y === 1 && capex > 0) {
+        const perDoor = mix.types.reduce((a, t) => a + t.count * t.renoCostPerDoor, 0) / mixInPlace.units;
+        renovated = renovateUnits(mix, { units: Math.floor(capex / perDoor), marketRentIndex: marketRent });
+      }
+      rollUnitMixYear(mix, mixRules, { marketRentIndex: marketRent });
+      rentIndex = unitMixMetrics(mix, marketRent).rentIndex;
+    } else {
+      const lift = y <= 2 ? (deal.marketNOILiftPct * (y / 2)) : deal.marketNOILiftPct;
+      rentIndex = growthTo(y) * (1 + lift);
+    }
+    growOperatingStatement(ops, product);
+
+    const statement = computeOperatingStatement(ops, { rentIndex, vacancy: vacancyIn(y) });
+    const projectedNOI = statement.noi;
 
     const ds = annualDebtService({
       balance: loanBal,
-      rate: deal.debt.rate,
+      rate,
       amortYears: deal.debt.amortYears,
       interestOnly: false
     });
 
     loanBal = Math.max(0, loanBal - ds.principal);
 
-    const capexHit = (y === 1) ? capex : 0;
-    const cf = projectedNOI - ds.payment - capexHit;
+    const cf = projectedNOI - ds.payment;
 
     cashFlows.push({
       year: y,
       noi: projectedNOI,
+      statement,
       debtService: ds.payment,
       dscr: dscr(projectedNOI, ds.payment),
       cashFlow: cf,
       loanBalance: loanBal
     });
-
-    noi = projectedNOI;
   }
 
   const exitNOI = cashFlows[cashFlows.length - 1].noi;
   const exitValue = valueFromNOI(exitNOI, exitCap);
   const saleNet = exitValue - loanBal;
 
-  // Simple IRR solve (binary search)
   const equity = deal.purchasePrice - loanAmt + capex;
-  const irr = solveIRR([-equity, ...cashFlows.map(x => x.cashFlow), saleNet]);
+  const returns = returnMetrics([
+    { t: 0, levered: -equity, unlevered: -(deal.purchasePrice + capex), kind: "capital" },
+    ...cashFlows.map(x => ({ t: x.year, levered: x.cashFlow, unlevered: x.noi, kind: "operating" })),
+    { t: hold, levered: saleNet, unlevered: exitValue, kind: "capital" }
+  ], { discountRate });
+
+  const unitMix = mix
+    ? { mix, units: mixInPlace.units, lossToLease: mixInPlace.lossToLease, renovated, marketRentIndex: growthTo(hold) * (1 + deal.marketNOILiftPct) }
+    : null;
 
-  const totalDistributions = cashFlows.reduce((s, x) => s + x.cashFlow, 0) + saleNet;
-  const equityMultiple = equity > 0 ? (totalDistributions / equity) : 0;
+  return { inPlace, cashFlows, exitValue, saleNet, equity, ...returns, unitMix };
+}
+
+// ----------------- sensitivity -----------------
+// Two-way grids: one output across two inputs, each stepped around the underwritten value
+// (base in the middle, clipped to the range underwriteDeal accepts).
+const SENSITIVITY_AXES = {
+  exitCap: { name: "Exit cap", step: 0.0025, min: 0.03, max: 0.12 },
+  rentGrowth: { name: "Rent growth", step: 0.01, min: -0.10, max: 0.15 },
+  holdYears: { name: "Hold (years)", step: 1, min: 1, max: 15 },
+  rate: { name: "Interest rate", step: 0.005, min: 0, max: 0.20 }
+};
+const GRID_POINTS = 5;
+
+export const SENSITIVITY_GRIDS = [
+  { id: "irr", metric: "irr", name: "IRR", rows: "exitCap", cols: "rentGrowth" },
+  { id: "multiple", metric: "equityMultiple", name: "Equity multiple", rows: "holdYears", cols: "rate" }
+];
+
+// Downside / base / upside: shifts applied to the underwriting inputs
+export const DEAL_CASES = [
+  { id: "downside", name: "Downside", rentGrowth: -0.02, exitCap: 0.0075, rate: 0.01, vacancyDelta: 0.05 },
+  { id: "base", name: "Base", rentGrowth: 0, exitCap: 0, rate: 0, vacancyDelta: 0 },
+  { id: "upside", name: "Upside", rentGrowth: 0.01, exitCap: -0.005, rate: -0.005, vacancyDelta: -0.02 }
+];
+
+export function sensitivityAxis(key) {
+  return SENSITIVITY_AXES[key];
+}
 
-  return { cashFlows, exitValue, saleNet, equity, irr, equityMultiple };
+function inputValue(key, deal, inputs) {
+  if (key === "rate") return inputs.rate ?? deal.debt.rate;
+  return key === "holdYears" ? Math.max(1, Math.floor(inputs.holdYears)) : Number(inputs[key]);
 }
 
-function solveIRR(cfs) {
-  // returns annual IRR; if no solution, return NaN
-  let lo = -0.9, hi = 1.5;
-  const npv = (r) => cfs.reduce((s, cf, i) => s + cf / Math.pow(1 + r, i), 0);
-
-  const fLo = npv(lo), fHi = npv(hi);
-  if (!isFinite(fLo) || !isFinite(fHi)) return NaN;
-  if (fLo * fHi > 0) return NaN;
-
-  for (let k = 0; k < 80; k++) {
-    const mid = (lo + hi) / 2;
-    const f = npv(mid);
-    if (Math.abs(f) < 1e-6) return mid;
-    if (fLo * f <= 0) hi = mid;
-    else lo = mid;
+function axisValues(key, base) {
+  const { step, min, max } = SENSITIVITY_AXES[key];
+  const half = Math.floor(GRID_POINTS / 2);
+  const values = [];
+  for (let i = -half; i <= half; i++) {
+    // Rounded so 0.06 + 0.0025 lands on a value that prints and compares cleanly
+    const v = Math.round((base + i * step) * 1e6) / 1e6;
+    if (v >= min && v <= max) values.push(v);
   }
-  return (lo + hi) / 2;
+  return values;
+}
+
+// grid: one of SENSITIVITY_GRIDS. Returns its axis values, the base point and cells[row][col].
+export function sensitivityGrid({ deal, neighborhood, product, inputs }, grid) {
+  const base = { row: inputValue(grid.rows, deal, inputs), col: inputValue(grid.cols, deal, inputs) };
+  const rowValues = axisValues(grid.rows, base.row);
+  const colValues = axisValues(grid.cols, base.col);
+  const cells = rowValues.map(r => colValues.map(c => {
+    const out = underwriteDeal({ deal, neighborhood, product, inputs: { ...inputs, [grid.rows]: r, [grid.cols]: c } });
+    return out[grid.metric];
+  }));
+  return { ...grid, rowValues, colValues, base, cells };
+}
+
+// The underwriting inputs for a case: the base inputs moved by its shifts
+export function caseInputs(c, deal, inputs) {
+  return {
+    ...inputs,
+    rentGrowth: Number(inputs.rentGrowth) + c.rentGrowth,
+    exitCap: Number(inputs.exitCap) + c.exitCap,
+    rate: inputValue("rate", deal, inputs) + c.rate,
+    vacancyDelta: (Number(inputs.vacancyDelta) || 0) + c.vacancyDelta
+  };
+}
+
+// Every case underwritten side by side: [{ ...case, inputs, out }]
+export function dealCases({ deal, neighborhood, product, inputs }) {
+  return DEAL_CASES.map(c => {
+    const caseIn = caseInputs(c, deal, inputs);
+    return { ...c, inputs: caseIn, out: underwriteDeal({ deal, neighborhood, product, inputs: caseIn }) };
+  });
 }
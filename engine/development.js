@@ -0,0 +1,104 @@
+import { clamp } from "./utils.js";
+import { seedOperatingStatement, computeOperatingStatement, EXPENSE_LINES } from "./property.js";
+import { eventStrength } from "./events.js";
+import { productVacancy } from "./supply.js";
+
+// ----------------- development -----------------
+// Ground-up builds run site acquisition -> entitlement -> construction -> lease-up (productTypes[].build).
+// The player picks a size (units, SF or keys); size sets both the rent a building can earn and its budget:
+// land (scaled by neighborhood rent and scarcity), soft costs (partly spent during entitlement),
+// hard costs and a hard-cost contingency.
+// Construction draws are funded equity-first, then by the construction loan; overruns beyond the
+// contingency and the loan commitment come out of sponsor cash.
+
+const ENTITLEMENT_SOFT_SHARE = 0.3; // design, permits and fees spent while entitling
+const CONTINGENCY_PCT = 0.05;       // of hard costs
+const BASE_OVERRUN = 0.04;          // most a draw overruns with no events, as a share of the hard draw
+const DENIED_LAND_RECOVERY = 0.75;  // what the site fetches if entitlement is denied
+
+export function buildSize(product, size) {
+  const rules = product.build.size;
+  const n = Number(size);
+  return clamp(Math.round(Number.isFinite(n) && n > 0 ? n : rules.default), rules.min, rules.max);
+}
+
+// Entitlement: approval odds each year once the minimum review is done, and how long review takes.
+// Three denials in a row and the site is sold.
+export function entitlementOdds(n) {
+  const friction = n.entitlementFriction || 0;
+  return {
+    chance: clamp(0.95 - friction * 1.6, 0.3, 0.95),
+    minYears: 1 + Math.floor(friction * 4),
+    maxYears: 1 + Math.floor(friction * 4) + 2
+  };
+}
+
+export function developmentBudget(product, n, size) {
+  const b = product.build;
+  const land = size * b.landPerUnit * n.rentIndex * (1 + (n.scarcity || 0) * 0.6);
+  const hard = size * b.hardPerUnit;
+  const soft = hard * b.softPct;
+  const contingency = hard * CONTINGENCY_PCT;
+  return { land, soft, hard, contingency, total: land + soft + hard + contingency };
+}
+
+// Ops for a new building whose GPR at rent index 1.0 is exactly size * rentPerUnit
+export function developmentOps(product, size) {
+  const gpr = size * product.build.rentPerUnit;
+  const ops = seedOperatingStatement({ noi: 1, rentIndex: 1, vacancy: 0.05, product });
+  const scale = gpr / ops.gpr;
+  ops.gpr = gpr;
+  for (const k of EXPENSE_LINES) ops.expenses[k] *= scale;
+  return ops;
+}
+
+// Stabilized NOI for a new building at the neighborhood's rent and its product's vacancy today
+export function stabilizedNOI(product, n, size) {
+  return computeOperatingStatement(developmentOps(product, size), {
+    rentIndex: n.rentIndex,
+    vacancy: productVacancy(n, product.id)
+  }).noi;
+}
+
+// What's spent at site acquisition: the land plus the entitlement share of soft costs
+export function upfrontCost(budget) {
+  return budget.land + budget.soft * ENTITLEMENT_SOFT_SHARE;
+}
+
+// Extra cost on this year's hard draw from events in play (global, or in the site's neighborhood)
+export function eventOverrun(activeEvents, neighborhoodId) {
+  return activeEvents
+    .filter(ae => ae.costOverrun && (ae.scope === "global" || ae.targetNeighborhood === neighborhoodId))
+    .reduce((a, ae) => a + ae.costOverrun * eventStrength(ae), 0);
+}
+
+// One year of construction: the hard and soft draw, with the overrun absorbed by contingency first.
+// `dev` is p.build.dev; returns the draw and its parts without touching it.
+export function constructionDraw(dev, { yearsRemaining, overrunPct }) {
+  const hard = dev.budget.hard / dev.yearsToBuild;
+  const soft = (dev.budget.soft - dev.spent.soft) / Math.max(1, yearsRemaining);
+  const overrun = hard * overrunPct;
+  const contingencyLeft = dev.budget.contingency - dev.spent.contingency;
+  const fromContingency = Math.min(overrun, contingencyLeft);
+  return { hard, soft, overrun, fromContingency, excess: overrun - fromContingency, total: hard + soft + overrun };
+}
+
+// Equity-first: the sponsor funds draws until its equity is in, then the loan until the commitment is used.
+// Anything past the commitment is sponsor cash again.
+export function fundDraw(dev, loanBalance, amount) {
+  const fromEquity = Math.min(amount, Math.max(0, dev.equityRequired - dev.equityFunded));
+  const fromLoan = Math.min(amount - fromEquity, Math.max(0, dev.loanCommitment - loanBalance));
+  return { fromEquity, fromLoan, fromCash: amount - fromLoan };
+}
+
+export function spentToDate(dev) {
+  return dev.spent.land + dev.spent.soft + dev.spent.hard + dev.spent.contingency + dev.spent.overrun;
+}
+
+export function deniedRecovery(dev) {
+  return dev.spent.land * DENIED_LAND_RECOVERY;
+}
+
+export function baseOverrun(rng) {
+  return rng() * BASE_OVERRUN;
+}
@@ -0,0 +1,54 @@
+// Difficulty profiles (data/difficulties.json) shape the economy, not just starting cash.
+// A profile only lists what it changes; everything else falls back to the normal economy below.
+// The resolved profile is stored on the run, so saves and replays keep their economy
+// even if the data file changes later.
+
+export const PROFILE_DEFAULTS = {
+  id: "normal",
+  name: "Normal",
+  blurb: "",
+  startingCash: 3000000,
+  eventChance: 0.65,        // chance a headline event is drawn each year
+  eventWeights: {},         // event id -> draw weight (default 1)
+  market: {
+    baseRate: 0.045,
+    spread: 0.020,
+    liquidity: 0.70,
+    rateDrift: 0.001,       // base-rate drift per year
+    rateVolatility: 1.0,    // scales the base-rate and spread shocks
+    liquidityTarget: 0.70,  // liquidity mean-reverts toward this
+    liquidityVolatility: 1.0
+  },
+  lenderStrictness: 0,      // + tightens lender terms (and brings the crunch sooner), - loosens
+  listingQuality: 0,        // + listings are priced at higher cap rates (cheaper), - bid up
+  transactionCosts: { buyPct: 0.01, sellPct: 0.02 }
+};
+
+export function resolveProfile(data, id) {
+  const list = data.difficulties || [];
+  const found = list.find(d => d.id === id);
+  if (!found && list.length) throw new Error(`Unknown difficulty: ${id}`);
+
+  const p = found || {};
+  return {
+    ...PROFILE_DEFAULTS,
+    ...p,
+    eventWeights: { ...PROFILE_DEFAULTS.eventWeights, ...(p.eventWeights || {}) },
+    market: { ...PROFILE_DEFAULTS.market, ...(p.market || {}) },
+    transactionCosts: { ...PROFILE_DEFAULTS.transactionCosts, ...(p.transactionCosts || {}) }
+  };
+}
+
+// Weighted event draw from a single uniform roll
+export function pickWeighted(events, weights, roll) {
+  const w = events.map(e => Math.max(0, weights[e.id] ?? 1));
+  const total = w.reduce((a, b) => a + b, 0);
+  if (total <= 0) return null;
+
+  let x = roll * total;
+  for (let i = 0; i < events.length; i++) {
+    x -= w[i];
+    if (x < 0) return events[i];
+  }
+  return events[events.length - 1];
+}
@@ -0,0 +1,96 @@
+import { applyEventToMarket, applyEventToNeighborhood, removeEventFromMarket, removeEventFromNeighborhood } from "./market.js";
+
+// Multi-year events live in state.activeEvents as overlays on top of the market.
+// Each year the overlays are peeled off, the fundamentals move on their own,
+// then every still-active event is laid back on at its current strength.
+//
+// Stacking rule: one event per slot, where a slot is type + target (global or a neighborhood).
+// - Drawing an event that is already active refreshes its duration (no double hit).
+// - Drawing a different event for an occupied slot supersedes the old one (e.g. rates fall ends rates spike).
+// - Events in different slots stack.
+//
+// Expiry: "unwind" holds full strength until the end, then comes off at once.
+// "decay" fades linearly over the duration, so the market absorbs it gradually.
+
+export function eventSlot(event) {
+  return `${event.type}:${event.scope === "global" ? "global" : event.targetNeighborhood}`;
+}
+
+export function eventStrength(ae) {
+  if (ae.expiry === "decay") return ae.yearsRemaining / Math.max(1, ae.durationYears);
+  return 1;
+}
+
+// Adds an event to the active list. Returns { refreshed, superseded } for logging.
+export function activateEvent(activeEvents, event, year) {
+  const existing = activeEvents.find(ae => ae.id === event.id);
+  if (existing) {
+    existing.yearsRemaining = existing.durationYears;
+    return { refreshed: existing, superseded: null };
+  }
+
+  const slot = eventSlot(event);
+  const idx = activeEvents.findIndex(ae => eventSlot(ae) === slot);
+  const superseded = idx >= 0 ? activeEvents.splice(idx, 1)[0] : null;
+
+  const durationYears = Math.max(1, Math.floor(event.durationYears || 1));
+  activeEvents.push({
+    id: event.id,
+    name: event.name,
+    scope: event.scope,
+    targetNeighborhood: event.targetNeighborhood || null,
+    type: event.type,
+    effects: { ...(event.effects || {}) },
+    costOverrun: event.costOverrun || 0,
+    expiry: event.expiry || "unwind",
+    startYear: year,
+    durationYears,
+    yearsRemaining: durationYears,
+    applied: null
+  });
+
+  return { refreshed: null, superseded };
+}
+
+// Take every overlay back out of the market and neighborhoods.
+export function unwindActiveEvents(state) {
+  for (const ae of state.activeEvents) {
+    if (!ae.applied) continue;
+
+    if (ae.scope === "global") {
+      removeEventFromMarket(state.market, ae.applied);
+    } else {
+      const n = state.neighborhoods.find(x => x.id === ae.targetNeighborhood);
+      if (n) removeEventFromNeighborhood(n, ae.applied);
+    }
+    ae.applied = null;
+  }
+}
+
+// Count down one year and drop expired events. Returns the expired list.
+export function tickActiveEvents(state) {
+  const expired = [];
+  for (const ae of state.activeEvents) ae.yearsRemaining -= 1;
+
+  state.activeEvents = state.activeEvents.filter(ae => {
+    if (ae.yearsRemaining > 0) return true;
+    expired.push(ae);
+    return false;
+  });
+  return expired;
+}
+
+// Lay active overlays for one scope ("global" or "neighborhood") back on.
+export function applyActiveEvents(state, scope) {
+  for (const ae of state.activeEvents) {
+    if (ae.scope !== scope) continue;
+
+    const strength = eventStrength(ae);
+    if (scope === "global") {
+      ae.applied = applyEventToMarket(state.market, ae, strength);
+    } else {
+      const n = state.neighborhoods.find(x => x.id === ae.targetNeighborhood);
+      if (n) ae.applied = applyEventToNeighborhood(n, ae, strength);
+    }
+  }
+}
@@ -0,0 +1,181 @@
+// ----------------- return metrics -----------------
+// Discounting and return math shared by Deal Judge (engine/deals.js) and Tycoon (engine/sim.js).
+// Cash flows are dated in years from the first one, [{ t, amount }], signed from the sponsor's side:
+// negative is money put in, positive money taken out. t can be fractional (XIRR); an array of
+// amounts is year 0, 1, 2...
+
+export const DEFAULT_DISCOUNT_RATE = 0.10;
+
+// The IRR search runs from -99% to +1,000%, scanned on log(1 + r) so low rates get as many
+// points as high ones; every sign change of NPV in between is a root
+const MIN_RATE = -0.99;
+const MAX_RATE = 10;
+const SCAN_STEPS = 400;
+const TOLERANCE = 1e-10;
+
+function dated(flows) {
+  return flows.map((x, i) => typeof x === "number" ? { t: i, amount: x } : x);
+}
+
+export function xnpv(rate, flows) {
+  return dated(flows).reduce((s, x) => s + x.amount / Math.pow(1 + rate, x.t), 0);
+}
+
+export function npv(rate, flows) {
+  return xnpv(rate, flows);
+}
+
+// Bisection inside a bracket the scan found; always converges, unlike Newton on lumpy flows
+function bisect(f, lo, hi) {
+  let fLo = f(lo);
+  for (let k = 0; k < 200 && hi - lo > TOLERANCE; k++) {
+    const mid = (lo + hi) / 2;
+    const fMid = f(mid);
+    if (fMid === 0) return mid;
+    if ((fLo < 0) === (fMid < 0)) { lo = mid; fLo = fMid; }
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Every rate in range where NPV is zero, low to high. Flows that change sign more than once
+// (a capital call mid-hold, a paid-in refi) can have several; all-in or all-out flows have none.
+export function irrRoots(flows) {
+  const xs = dated(flows).filter(x => x.amount !== 0);
+  if (!xs.some(x => x.amount > 0) || !xs.some(x => x.amount < 0)) return [];
+
+  const f = r => xnpv(r, xs);
+  const lo = Math.log(1 + MIN_RATE);
+  const hi = Math.log(1 + MAX_RATE);
+  const roots = [];
+  let prev = null;
+
+  for (let i = 0; i <= SCAN_STEPS; i++) {
+    const r = Math.exp(lo + (hi - lo) * i / SCAN_STEPS) - 1;
+    const v = f(r);
+    if (!isFinite(v)) { prev = null; continue; }
+    if (v === 0) roots.push(r);
+    else if (prev && prev.v !== 0 && (prev.v < 0) !== (v < 0)) roots.push(bisect(f, prev.r, r));
+    prev = { r, v };
+  }
+  return roots;
+}
+
+// IRR of dated flows; with several roots, the one closest to `guess`. NaN when there is none.
+export function xirr(flows, guess = DEFAULT_DISCOUNT_RATE) {
+  const roots = irrRoots(flows);
+  if (!roots.length) return NaN;
+  return roots.reduce((best, r) => Math.abs(r - guess) < Math.abs(best - guess) ? r : best);
+}
+
+export function irr(flows, guess = DEFAULT_DISCOUNT_RATE) {
+  return xirr(flows, guess);
+}
+
+// Money back per dollar in: everything taken out over everything put in
+export function equityMultiple(flows) {
+  let inflow = 0, outflow = 0;
+  for (const x of dated(flows)) {
+    if (x.amount > 0) inflow += x.amount;
+    else outflow -= x.amount;
+  }
+  return outflow > 0 ? inflow / outflow : 0;
+}
+
+// Most money the sponsor had in at once: the deepest the running total goes
+export function peakEquity(flows) {
+  let total = 0, peak = 0;
+  for (const x of sortByTime(dated(flows))) {
+    total += x.amount;
+    peak = Math.max(peak, -total);
+  }
+  return peak;
+}
+
+// First t the running total is back to zero after money went in; null if it never is
+export function paybackYear(flows) {
+  let total = 0, invested = false;
+  for (const x of sumByTime(dated(flows))) {
+    total += x.amount;
+    if (total < 0) invested = true;
+    else if (invested) return x.t;
+  }
+  return null;
+}
+
+function sortByTime(xs) {
+  return [...xs].sort((a, b) => a.t - b.t);
+}
+
+// One flow per t, in time order
+function sumByTime(xs) {
+  const byT = new Map();
+  for (const x of xs) byT.set(x.t, (byT.get(x.t) || 0) + x.amount);
+  return [...byT].sort((a, b) => a[0] - b[0]).map(([t, amount]) => ({ t, amount }));
+}
+
+// Cash-on-cash per year: the year's operating cash over the capital put in up to then
+// ({ t, value }, value null before any capital is in)
+export function cashOnCash(operating, capital) {
+  const calls = sumByTime(dated(capital).filter(x => x.amount < 0));
+  return sumByTime(dated(operating)).map(x => {
+    const invested = -calls.filter(c => c.t <= x.t).reduce((s, c) => s + c.amount, 0);
+    return { t: x.t, value: invested > 0 ? x.amount / invested : null };
+  });
+}
+
+// Every metric at once. flows: [{ t, levered, unlevered, kind }] with kind
+//   "capital" (buying, building, capex, refis, sales), "operating" (a year's cash flow) or
+//   "terminal" (what a held position would fetch today; counts toward returns, not payback).
+// Returns { irr, irrRoots, unleveredIRR, npv, unleveredNPV, equityMultiple, cashOnCash,
+// avgCashOnCash, peakEquity, paybackYear, discountRate }
+export function returnMetrics(flows, { discountRate = DEFAULT_DISCOUNT_RATE, guess = discountRate } = {}) {
+  const levered = flows.map(x => ({ t: x.t, amount: x.levered || 0 }));
+  const unlevered = flows.map(x => ({ t: x.t, amount: x.unlevered || 0 }));
+  const realized = flows.filter(x => x.kind !== "terminal").map(x => ({ t: x.t, amount: x.levered || 0 }));
+  const coc = cashOnCash(
+    flows.filter(x => x.kind === "operating").map(x => ({ t: x.t, amount: x.levered || 0 })),
+    flows.filter(x => x.kind === "capital").map(x => ({ t: x.t, amount: x.levered || 0 }))
+  );
+  const cocValues = coc.map(x => x.value).filter(v => v !== null);
+
+  return {
+    irr: xirr(levered, guess),
+    irrRoots: irrRoots(levered),
+    unleveredIRR: xirr(unlevered, guess),
+    npv: xnpv(discountRate, levered),
+    unleveredNPV: xnpv(discountRate, unlevered),
+    equityMultiple: equityMultiple(levered),
+    cashOnCash: coc,
+    avgCashOnCash: cocValues.length ? cocValues.reduce((a, v) => a + v, 0) / cocValues.length : null,
+    peakEquity: peakEquity(levered),
+    paybackYear: paybackYear(realized),
+    discountRate
+  };
+}
+
+// ----------------- performance over time -----------------
+// One period's return, with the period's outside money `flow` (positive in) landing mid-period.
+// null when there was no capital at work.
+export function modifiedDietz(begin, end, flow) {
+  const base = begin + flow / 2;
+  return base > 0 ? (end - begin - flow) / base : null;
+}
+
+// periods: [{ begin, end, flow }], one a year. TWR chains the years' returns, so it doesn't care how
+// much money was in when; MWR is the IRR of the money itself, so the biggest years count the most.
+// Both annualized; TWR over the years that had capital at work.
+export function weightedReturns(periods) {
+  const returns = periods.map(p => modifiedDietz(p.begin, p.end, p.flow));
+  const counted = returns.filter(r => r !== null);
+  const growth = counted.reduce((a, r) => a * (1 + r), 1);
+  const twr = !counted.length ? NaN : growth <= 0 ? -1 : Math.pow(growth, 1 / counted.length) - 1;
+  const mwr = periods.length
+    ? xirr([
+        { t: 0, amount: -periods[0].begin },
+        ...periods.map((p, i) => ({ t: i + 0.5, amount: -p.flow })),
+        { t: periods.length, amount: periods[periods.length - 1].end }
+      ])
+    : NaN;
+  return { twr, mwr, returns };
+}
@@ -0,0 +1,271 @@
+import { clamp } from "./utils.js";
+
+// Lender model. A loan is the smallest of what the LTV, DSCR and debt-yield limits allow,
+// and every limit tightens as market liquidity dries up. Below CRUNCH_LIQUIDITY lenders
+// stop quoting altogether.
+
+export const LENDER = {
+  refiFeePct: 0.01,      // origination fee on a new loan
+  extendFeePct: 0.01,    // extension fee on the outstanding balance
+  extendRateBump: 0.005,
+  extendYears: 2,
+  maxExtensions: 2,
+  refiTermYears: 7,
+  sweepAfterBreaches: 2,     // consecutive breached tests before a cash trap becomes a sweep
+  forecloseAfterBreaches: 3  // ... and before the lender takes the asset
+};
+
+// Terms in a normal market (liquidity ~0.7) and in the tightest market before a crunch
+const LOOSE = { maxLTV: 0.70, maxLTC: 0.75, minDSCR: 1.20, minDebtYield: 0.075, margin: 0.018 };
+const TIGHT = { maxLTV: 0.55, maxLTC: 0.60, minDSCR: 1.40, minDebtYield: 0.105, margin: 0.030 };
+export const CRUNCH_LIQUIDITY = 0.35;
+
+// Annual debt service per $1 of loan
+export function loanConstant(rate, amortYears, interestOnly = false) {
+  if (interestOnly) return rate;
+  const n = Math.max(1, amortYears);
+  return rate / (1 - Math.pow(1 + rate, -n));
+}
+
+// What lenders will do today, given market liquidity. market.lenderStrictness (set by the
+// difficulty profile) shifts the whole curve: positive is stricter and hits the crunch sooner.
+export function lenderTerms(market) {
+  const strictness = market.lenderStrictness || 0;
+  const t = clamp(clamp((0.70 - market.liquidity) / (0.70 - CRUNCH_LIQUIDITY), 0, 1) + strictness, -0.5, 1.5);
+  const mix = (k) => LOOSE[k] + (TIGHT[k] - LOOSE[k]) * t;
+
+  return {
+    open: market.liquidity - strictness * (0.70 - CRUNCH_LIQUIDITY) >= CRUNCH_LIQUIDITY,
+    maxLTV: mix("maxLTV"),
+    maxLTC: mix("maxLTC"),
+    minDSCR: mix("minDSCR"),
+    minDebtYield: mix("minDebtYield"),
+    margin: mix("margin")
+  };
+}
+
+// Rate a lender quotes today for a stabilized perm loan
+export function quoteRate(market) {
+  return clamp(market.baseRate + market.spread + lenderTerms(market).margin, 0.03, 0.18);
+}
+
+// Size a perm loan. Returns { amount, byLTV, byDSCR, byDebtYield, constraint, refused }.
+export function sizeLoan({ value, noi, rate, amortYears = 30, interestOnly = false, terms }) {
+  if (!terms.open) {
+    return { amount: 0, byLTV: 0, byDSCR: 0, byDebtYield: 0, constraint: "Credit crunch", refused: true };
+  }
+
+  const limits = {
+    LTV: Math.max(0, value * terms.maxLTV),
+    DSCR: Math.max(0, noi / (terms.minDSCR * loanConstant(rate, amortYears, interestOnly))),
+    "Debt yield": Math.max(0, noi / terms.minDebtYield)
+  };
+  const [constraint, amount] = Object.entries(limits).reduce((a, b) => (b[1] < a[1] ? b : a));
+
+  return {
+    amount,
+    byLTV: limits.LTV,
+    byDSCR: limits.DSCR,
+    byDebtYield: limits["Debt yield"],
+    constraint,
+    refused: false
+  };
+}
+
+// Construction loans size on cost (LTC); the perm takeout is sized with sizeLoan at stabilization.
+export function sizeConstructionLoan({ cost, terms }) {
+  if (!terms.open) return { amount: 0, constraint: "Credit crunch", refused: true };
+  return { amount: cost * terms.maxLTC, constraint: "LTC", refused: false };
+}
+
+// ----------------- debt products -----------------
+// sizing adjusts the market terms for the product; prepay drives the exit penalty.
+// Floating loans reset to market.baseRate + floatMargin every year (optionally under a rate cap).
+// offered: false keeps a product off the menu the player picks from.
+
+export const DEBT_PRODUCTS = {
+  fixed: {
+    id: "fixed",
+    name: "Fixed, step-down prepay",
+    rateType: "fixed",
+    rateAdj: 0,
+    ioYears: 0,
+    termYears: null,
+    sizing: { ltvAdj: 0, dscrAdj: 0, dyAdj: 0 },
+    prepay: { type: "stepdown", schedule: [0.05, 0.04, 0.03, 0.02, 0.01] },
+    covenants: { minDSCR: 1.10, maxLTV: 0.80 }
+  },
+  fixed_ym: {
+    id: "fixed_ym",
+    name: "Fixed, yield maintenance",
+    rateType: "fixed",
+    rateAdj: -0.0025,
+    ioYears: 0,
+    termYears: null,
+    sizing: { ltvAdj: 0, dscrAdj: 0, dyAdj: 0 },
+    prepay: { type: "yieldMaintenance", floor: 0.01 },
+    covenants: { minDSCR: 1.10, maxLTV: 0.80 }
+  },
+  floating: {
+    id: "floating",
+    name: "Floating, 2yr IO",
+    rateType: "floating",
+    rateAdj: -0.002,
+    ioYears: 2,
+    termYears: null,
+    sizing: { ltvAdj: 0, dscrAdj: 0.05, dyAdj: 0 },
+    prepay: { type: "stepdown", schedule: [0.01] },
+    covenants: { minDSCR: 1.05, maxLTV: 0.80 }
+  },
+  bridge: {
+    id: "bridge",
+    name: "Bridge, 3yr IO floating",
+    rateType: "floating",
+    rateAdj: 0.015,
+    ioYears: 3,
+    termYears: 3,
+    sizing: { ltvAdj: 0.10, dscrAdj: -0.20, dyAdj: -0.02 },
+    prepay: { type: "none" },
+    covenants: { minDSCR: 1.00, maxLTV: 0.85 }
+  },
+  fixed_open: {
+    id: "fixed_open",
+    name: "Fixed, open prepay",
+    offered: false,
+    rateType: "fixed",
+    rateAdj: 0,
+    ioYears: 0,
+    termYears: null,
+    sizing: { ltvAdj: 0, dscrAdj: 0, dyAdj: 0 },
+    prepay: { type: "none" },
+    covenants: { minDSCR: 1.10, maxLTV: 0.80 }
+  }
+};
+
+export const DEFAULT_DEBT_PRODUCT = "fixed";
+
+// The loan nobody picked a product for: perm takeouts, Deal Judge imports and loans from saves made
+// before the menu. Plain fixed rate that can be paid off any time, as every loan was before products.
+export const PLAIN_DEBT_PRODUCT = "fixed_open";
+
+export function debtProduct(id) {
+  return DEBT_PRODUCTS[id] || DEBT_PRODUCTS[DEFAULT_DEBT_PRODUCT];
+}
+
+// Market terms adjusted for a product (bridge lenders stretch, floating lenders stress DSCR)
+export function productTerms(market, productId) {
+  const terms = lenderTerms(market);
+  const { sizing } = debtProduct(productId);
+  return {
+    ...terms,
+    maxLTV: clamp(terms.maxLTV + sizing.ltvAdj, 0.3, 0.85),
+    minDSCR: Math.max(1.0, terms.minDSCR + sizing.dscrAdj),
+    minDebtYield: Math.max(0.05, terms.minDebtYield + sizing.dyAdj)
+  };
+}
+
+export function productRate(baseQuote, productId) {
+  return clamp(baseQuote + debtProduct(productId).rateAdj, 0.03, 0.18);
+}
+
+// Size a loan for a specific product: IO products are sized on interest only.
+export function sizeProductLoan({ value, noi, rate, market, productId }) {
+  const product = debtProduct(productId);
+  return sizeLoan({
+    value,
+    noi,
+    rate,
+    interestOnly: product.ioYears > 0,
+    terms: productTerms(market, productId)
+  });
+}
+
+// Loan fields to Object.assign onto a property when a loan is originated.
+export function makeLoan(productId, { amount, rate, year, baseRate, maturityYears }) {
+  const product = debtProduct(productId);
+  return {
+    debtProduct: product.id,
+    rateType: product.rateType,
+    loanBalance: amount,
+    loanRate: rate,
+    floatMargin: product.rateType === "floating" ? rate - baseRate : null,
+    amortYears: 30,
+    interestOnly: false,
+    ioUntilYear: product.ioYears > 0 ? year + product.ioYears - 1 : null,
+    originationYear: year,
+    originationBaseRate: baseRate,
+    maturityYear: year + (product.termYears || maturityYears),
+    prepay: { ...product.prepay },
+    rateCap: null,
+    covenants: { ...product.covenants },
+    covenant: { status: "ok", breaches: 0 },
+    extensions: 0
+  };
+}
+
+// Interest-only either for the whole loan (construction) or during an IO period
+export function isInterestOnly(p, year) {
+  return Boolean(p.interestOnly) || (typeof p.ioUntilYear === "number" && year <= p.ioUntilYear);
+}
+
+// Floating rate for the year: index (capped if a cap is live) + margin
+export function floatingRate(p, market, year) {
+  const cap = p.rateCap && p.rateCap.expiresYear >= year ? p.rateCap : null;
+  const index = cap ? Math.min(market.baseRate, cap.strike) : market.baseRate;
+  return { rate: clamp(index + (p.floatMargin ?? 0), 0.02, 0.20), capped: Boolean(cap) && market.baseRate > cap.strike };
+}
+
+// Penalty for paying off `amount` of the loan before maturity.
+export function prepaymentPenalty(p, market, year, amount = p.loanBalance) {
+  if (!p.prepay || amount <= 0 || year >= (p.maturityYear ?? 0)) return 0;
+
+  if (p.prepay.type === "stepdown") {
+    const loanYear = year - (p.originationYear ?? year);
+    const pctDue = p.prepay.schedule[loanYear] ?? 0;
+    return amount * pctDue;
+  }
+
+  if (p.prepay.type === "yieldMaintenance") {
+    // PV of the coupon the lender loses vs. reinvesting at today's base rate plus the original spread
+    const originalSpread = p.loanRate - (p.originationBaseRate ?? market.baseRate);
+    const reinvest = market.baseRate + originalSpread;
+    const yearsLeft = Math.max(1, p.maturityYear - year);
+    let pv = 0;
+    for (let t = 1; t <= yearsLeft; t++) {
+      pv += amount * Math.max(0, p.loanRate - reinvest) / Math.pow(1 + market.baseRate, t);
+    }
+    return Math.max(pv, amount * (p.prepay.floor ?? 0));
+  }
+
+  return 0;
+}
+
+// Up-front price of a cap on the floating index through loan maturity
+export function rateCapCost({ balance, strike, baseRate, years }) {
+  const perYear = Math.max(0.0005, 0.004 + (baseRate - strike) * 0.5);
+  return balance * perYear * Math.max(1, years);
+}
+
+// ----------------- covenants -----------------
+// Tested every year-end on stabilized loans. A breach traps the property's cash flow with the lender;
+// repeated breaches turn the trap into a sweep against principal, then foreclosure. Passing a test cures.
+
+export function testCovenants(p, { noi, value, debtService }) {
+  if (!p.covenants || p.build || p.loanBalance <= 0) return { dscr: null, ltv: null, breached: [] };
+
+  const dscrNow = debtService > 0 ? noi / debtService : Infinity;
+  const ltvNow = value > 0 ? p.loanBalance / value : Infinity;
+  const breached = [];
+  if (dscrNow < p.covenants.minDSCR) breached.push("DSCR");
+  if (ltvNow > p.covenants.maxLTV) breached.push("LTV");
+  return { dscr: dscrNow, ltv: ltvNow, breached };
+}
+
+// Next covenant state after a test: "ok" | "trap" | "sweep" | "foreclose"
+export function nextCovenantStatus(covenant, breached) {
+  if (!breached.length) return { status: "ok", breaches: 0 };
+  const breaches = (covenant?.breaches || 0) + 1;
+  if (breaches >= LENDER.forecloseAfterBreaches) return { status: "foreclose", breaches };
+  if (breaches >= LENDER.sweepAfterBreaches) return { status: "sweep", breaches };
+  return { status: "trap", breaches };
+}
@@ -1,48 +1,91 @@
 import { clamp } from "./utils.js";
+import { naturalVacancy, updateInventoryYear } from "./supply.js";
 
 // Market state: baseRate, spread, liquidity, neighborhoods with demand/rent/vacancy/capRate
+// (vacancy comes out of each neighborhood's inventory, engine/supply.js)
 
-export function applyEventToMarket(market, event) {
-  const e = event.effects || {};
-  if (typeof e.baseRateDelta === "number") market.baseRate += e.baseRateDelta;
-  if (typeof e.spreadDelta === "number") market.spread += e.spreadDelta;
-  if (typeof e.liquidityDelta === "number") market.liquidity += e.liquidityDelta;
+// Event effect keys -> [field, lo, hi]
+const MARKET_EFFECTS = {
+  baseRateDelta: ["baseRate", 0.0, 0.12],
+  spreadDelta: ["spread", 0.0, 0.08],
+  liquidityDelta: ["liquidity", 0.2, 1.0]
+};
 
-  market.baseRate = clamp(market.baseRate, 0.0, 0.12);
-  market.spread = clamp(market.spread, 0.0, 0.08);
-  market.liquidity = clamp(market.liquidity, 0.2, 1.0);
+const NEIGHBORHOOD_EFFECTS = {
+  demandDelta: ["demand", 0.2, 1.2],
+  rentIndexDelta: ["rentIndex", 0.6, 1.8],
+  vacancyDelta: ["vacancy", 0.01, 0.35],
+  capRateDelta: ["capRate", 0.03, 0.12]
+};
+
+// Applies scaled deltas and returns what actually moved (after clamping),
+// so the same amounts can be taken back out when the event expires.
+function applyEffects(target, effects, table, scale) {
+  const applied = {};
+  for (const [key, [field, lo, hi]] of Object.entries(table)) {
+    if (typeof effects[key] !== "number") continue;
+    const before = target[field];
+    target[field] = clamp(before + effects[key] * scale, lo, hi);
+    applied[field] = target[field] - before;
+  }
+  return applied;
+}
+
+function removeEffects(target, applied, table) {
+  for (const [field, lo, hi] of Object.values(table)) {
+    if (typeof applied[field] !== "number") continue;
+    target[field] = clamp(target[field] - applied[field], lo, hi);
+  }
 }
 
-export function applyEventToNeighborhood(n, event) {
-  const e = event.effects || {};
-  if (typeof e.demandDelta === "number") n.demand = clamp(n.demand + e.demandDelta, 0.2, 1.2);
-  if (typeof e.rentIndexDelta === "number") n.rentIndex = clamp(n.rentIndex + e.rentIndexDelta, 0.6, 1.8);
-  if (typeof e.vacancyDelta === "number") n.vacancy = clamp(n.vacancy + e.vacancyDelta, 0.01, 0.35);
-  if (typeof e.capRateDelta === "number") n.capRate = clamp(n.capRate + e.capRateDelta, 0.03, 0.12);
+export function applyEventToMarket(market, event, scale = 1) {
+  return applyEffects(market, event.effects || {}, MARKET_EFFECTS, scale);
 }
 
-export function updateNeighborhoodYear(n, market, rng) {
+export function applyEventToNeighborhood(n, event, scale = 1) {
+  return applyEffects(n, event.effects || {}, NEIGHBORHOOD_EFFECTS, scale);
+}
+
+export function removeEventFromMarket(market, applied) {
+  removeEffects(market, applied, MARKET_EFFECTS);
+}
+
+export function removeEventFromNeighborhood(n, applied) {
+  removeEffects(n, applied, NEIGHBORHOOD_EFFECTS);
+}
+
+// Deliveries drag on rents the year they land: per unit of new supply (as a share of standing stock)
+const SUPPLY_RENT_DRAG = 0.25;
+
+// comps: compCapRate() for the neighborhood (engine/competitors.js), or null when nothing has traded
+export function updateNeighborhoodYear(n, market, rng, comps = null) {
   // Demand mean reversion + mild randomness
   const noise = (rng() - 0.5) * 0.04;
   const mean = n.baseDemand;
   n.demand = clamp(n.demand + (mean - n.demand) * 0.25 + noise, 0.2, 1.2);
 
-  // Vacancy responds to demand (higher demand -> lower vacancy)
+  // Vacancy is what the inventory leaves empty after deliveries and absorption (engine/supply.js);
+  // without an inventory it drifts toward the natural rate for today's demand
   const vacShock = (rng() - 0.5) * 0.02;
-  const targetVac = clamp(0.14 - (n.demand - 0.6) * 0.12, 0.03, 0.28);
-  n.vacancy = clamp(n.vacancy + (targetVac - n.vacancy) * 0.35 + vacShock, 0.01, 0.35);
+  const space = updateInventoryYear(n, rng);
+  const supply = space?.deliveredShare || 0;
+  n.vacancy = space
+    ? clamp(space.vacancy + vacShock, 0.01, 0.35)
+    : clamp(n.vacancy + (naturalVacancy(n) - n.vacancy) * 0.35 + vacShock, 0.01, 0.35);
 
   // Rent growth depends on vacancy (tight -> higher growth)
   const rgBase = 0.02;
   const rgTightBonus = clamp((0.10 - n.vacancy) * 0.25, -0.03, 0.04);
   const rgNoise = (rng() - 0.5) * 0.02;
-  const rentGrowth = clamp(rgBase + rgTightBonus + rgNoise, -0.06, 0.10);
+  const rentGrowth = clamp(rgBase + rgTightBonus + rgNoise - supply * SUPPLY_RENT_DRAG, -0.06, 0.10);
   n.rentIndex = clamp(n.rentIndex * (1 + rentGrowth), 0.6, 1.8);
 
   // Cap rates drift with rates + spreads and liquidity
   const rateComponent = market.baseRate * 0.55 + market.spread * 0.65;
   const liqComponent = (market.liquidity - 0.6) * 0.02;
-  const targetCap = clamp(n.capRate * 0.5 + (0.045 + rateComponent - liqComponent) * 0.5, 0.03, 0.12);
+  const formulaCap = clamp(n.capRate * 0.5 + (0.045 + rateComponent - liqComponent) * 0.5, 0.03, 0.12);
+  // Where buildings have traded, the comps carry part of the weight
+  const targetCap = comps ? formulaCap * (1 - comps.weight) + comps.cap * comps.weight : formulaCap;
 
   const capNoise = (rng() - 0.5) * 0.004;
   n.capRate = clamp(n.capRate + (targetCap - n.capRate) * 0.35 + capNoise, 0.03, 0.12);
@@ -50,17 +93,19 @@ export function updateNeighborhoodYear(n, market, rng) {
   return { rentGrowth };
 }
 
-export function updateMarketYear(market, rng) {
+// econ: the run's difficulty profile market settings (drift, volatility, liquidity target)
+export function updateMarketYear(market, rng, econ = {}) {
+  const { rateDrift = 0.001, rateVolatility = 1.0, liquidityTarget = 0.7, liquidityVolatility = 1.0 } = econ;
+
   // Base rate random walk
-  const drift = 0.001;
-  const shock = (rng() - 0.5) * 0.01;
-  market.baseRate = clamp(market.baseRate + drift + shock, 0.0, 0.12);
+  const shock = (rng() - 0.5) * 0.01 * rateVolatility;
+  market.baseRate = clamp(market.baseRate + rateDrift + shock, 0.0, 0.12);
 
   // Spread moves around with minor randomness
-  const spreadShock = (rng() - 0.5) * 0.004;
+  const spreadShock = (rng() - 0.5) * 0.004 * rateVolatility;
   market.spread = clamp(market.spread + spreadShock - (market.liquidity - 0.6) * 0.003, 0.0, 0.08);
 
   // Liquidity mean reverts
-  const liqShock = (rng() - 0.5) * 0.08;
-  market.liquidity = clamp(market.liquidity + (0.7 - market.liquidity) * 0.2 + liqShock, 0.2, 1.0);
+  const liqShock = (rng() - 0.5) * 0.08 * liquidityVolatility;
+  market.liquidity = clamp(market.liquidity + (liquidityTarget - market.liquidity) * 0.2 + liqShock, 0.2, 1.0);
 }
@@ -0,0 +1,113 @@
+import { clamp } from "./utils.js";
+import { mulberry32, seedFromString } from "./rng.js";
+import { updateMarketYear, updateNeighborhoodYear } from "./market.js";
+import { activateEvent, unwindActiveEvents, tickActiveEvents, applyActiveEvents } from "./events.js";
+import { resolveProfile, pickWeighted } from "./difficulty.js";
+import { debtProduct } from "./lender.js";
+import { underwriteDeal } from "./deals.js";
+
+// ----------------- Monte Carlo underwriting -----------------
+// Deal Judge's simulate mode holds a deal through N market paths. Each path is the Tycoon market run
+// forward from today on its own seeded stream: the same year as advanceYear in engine/sim.js (event
+// draw, updateMarketYear, updateNeighborhoodYear, event overlays) under a difficulty profile.
+// The path's rent growth and vacancy go into underwriteDeal year by year, and the exit cap moves by
+// as much as the neighborhood's cap rate did. Deal Judge loans are fixed-rate, so a DSCR breach is
+// any year under the fixed loan's covenant.
+
+export const SIMULATION_PATHS = 500;
+const MAX_PATHS = 5000;
+const PERCENTILES = [0.1, 0.5, 0.9];
+
+// One market path for a neighborhood: [{ rentGrowth, vacancy, capRate, baseRate }] per year, plus how
+// far the cap rate ended from where it started
+export function marketPath({ data, profile, neighborhood, years, rng }) {
+  const { baseRate, spread, liquidity } = profile.market;
+  const state = {
+    year: 0,
+    market: { baseRate, spread, liquidity },
+    neighborhoods: [{ ...neighborhood, demand: neighborhood.demand ?? neighborhood.baseDemand }],
+    activeEvents: []
+  };
+  const n = state.neighborhoods[0];
+  const startCap = n.capRate;
+  // Events aimed at other neighborhoods don't touch this one
+  const events = (data.events || []).filter(e => e.scope === "global" || e.targetNeighborhood === n.id);
+  const path = [];
+
+  for (let y = 1; y <= years; y++) {
+    const event = rng() < 1 - profile.eventChance ? null : pickWeighted(events, profile.eventWeights, rng());
+    const rentBefore = n.rentIndex;
+    state.year = y;
+
+    unwindActiveEvents(state);
+    tickActiveEvents(state);
+    updateMarketYear(state.market, rng, profile.market);
+    if (event) activateEvent(state.activeEvents, event, y);
+    applyActiveEvents(state, "global");
+    updateNeighborhoodYear(n, state.market, rng);
+    applyActiveEvents(state, "neighborhood");
+
+    path.push({ rentGrowth: n.rentIndex / rentBefore - 1, vacancy: n.vacancy, capRate: n.capRate, baseRate: state.market.baseRate });
+  }
+
+  return { path, capShift: n.capRate - startCap };
+}
+
+function percentile(sorted, q) {
+  if (!sorted.length) return NaN;
+  const i = clamp((sorted.length - 1) * q, 0, sorted.length - 1);
+  const lo = Math.floor(i);
+  const hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+function distribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const [p10, p50, p90] = PERCENTILES.map(q => percentile(sorted, q));
+  return { p10, p50, p90, sorted };
+}
+
+// Run the deal through `paths` seeded market paths. Same seed, same answer.
+// Returns { paths, difficulty, covenant, pDSCRBreach, pLoss } and { p10, p50, p90, sorted } for irr,
+// equityMultiple, minDSCR and exitCap.
+// An IRR with no solution (the equity never comes back) counts as -100%.
+export function simulateDeal({ deal, neighborhood, product, inputs, data, difficulty = "normal", paths = SIMULATION_PATHS, seed = "deal-judge" }) {
+  const profile = resolveProfile(data, difficulty);
+  const runs = clamp(Math.floor(Number(paths) || SIMULATION_PATHS), 1, MAX_PATHS);
+  const years = Math.max(1, Math.floor(inputs.holdYears));
+  const covenant = debtProduct("fixed").covenants.minDSCR;
+
+  const irrs = [];
+  const multiples = [];
+  const minDSCRs = [];
+  const exitCaps = [];
+  let breaches = 0;
+  let losses = 0;
+
+  for (let i = 0; i < runs; i++) {
+    const rng = mulberry32(seedFromString(`${seed}:${deal.id}:${difficulty}:path:${i}`));
+    const { path, capShift } = marketPath({ data, profile, neighborhood, years, rng });
+    const exitCap = clamp(Number(inputs.exitCap) + capShift, 0.03, 0.12);
+    const out = underwriteDeal({ deal, neighborhood, product, inputs: { ...inputs, path, exitCap } });
+
+    const minDSCR = Math.min(...out.cashFlows.map(x => x.dscr));
+    irrs.push(isFinite(out.irr) ? out.irr : -1);
+    multiples.push(out.equityMultiple);
+    minDSCRs.push(minDSCR);
+    exitCaps.push(exitCap);
+    if (minDSCR < covenant) breaches += 1;
+    if (out.equityMultiple < 1) losses += 1;
+  }
+
+  return {
+    paths: runs,
+    difficulty: profile.name,
+    covenant,
+    irr: distribution(irrs),
+    equityMultiple: distribution(multiples),
+    minDSCR: distribution(minDSCRs),
+    exitCap: distribution(exitCaps),
+    pDSCRBreach: breaches / runs,
+    pLoss: losses / runs
+  };
+}
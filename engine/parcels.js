@@ -0,0 +1,126 @@
+import { mulberry32, seedFromString } from "./rng.js";
+
+// ----------------- parcels -----------------
+// Each neighborhood is a grid of parcels (neighborhoods[].grid), kept in one flat state.parcels list.
+// A parcel has zoning (one or two of the neighborhood's product types), a use (a product type, or
+// "vacant") and an owner: "player", "market" for buildings someone else holds, or null for open land.
+// Properties and listings point at their parcel by parcelId.
+// Neighborhood scarcity is the share of parcels already built on, so every build makes land dearer.
+
+export const VACANT = "vacant";
+
+// Parcels come from their own stream off the run seed: laying out the city never moves the run's RNG,
+// and an old save gets the same map a new run with its seed would.
+function parcelRng(seed, neighborhoodId) {
+  return mulberry32(seedFromString(`${seed}:parcels:${neighborhoodId}`));
+}
+
+function pickZoning(zoning, rng) {
+  const first = zoning[Math.floor(rng() * zoning.length)];
+  const rest = zoning.filter(z => z !== first);
+  if (!rest.length || rng() < 0.5) return [first];
+  return [first, rest[Math.floor(rng() * rest.length)]];
+}
+
+// A neighborhood's grid, built out to its starting scarcity with buildings the market owns
+export function generateParcels(n, seed) {
+  const rng = parcelRng(seed, n.id);
+  const { cols, rows } = n.grid;
+  const parcels = [];
+
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      parcels.push({
+        id: `${n.id}-${String(parcels.length + 1).padStart(2, "0")}`,
+        neighborhood: n.id,
+        x,
+        y,
+        zoning: pickZoning(n.zoning, rng),
+        use: VACANT,
+        owner: null,
+        propertyId: null
+      });
+    }
+  }
+
+  const built = Math.round(parcels.length * (n.scarcity || 0));
+  const order = parcels.map(pc => ({ pc, k: rng() })).sort((a, b) => a.k - b.k).map(x => x.pc);
+  for (const pc of order.slice(0, built)) {
+    pc.use = pc.zoning[Math.floor(rng() * pc.zoning.length)];
+    pc.owner = "market";
+  }
+
+  return parcels;
+}
+
+// Lay out any neighborhood that has no parcels yet (new runs, old saves, neighborhoods added to the data)
+export function ensureParcels(state) {
+  state.parcels = state.parcels || [];
+  for (const n of state.neighborhoods) {
+    if (!n.grid || state.parcels.some(pc => pc.neighborhood === n.id)) continue;
+    state.parcels.push(...generateParcels(n, state.rng.seed));
+  }
+  updateScarcity(state);
+}
+
+export function parcelById(state, id) {
+  return (state.parcels || []).find(pc => pc.id === id) || null;
+}
+
+export function neighborhoodParcels(state, neighborhoodId) {
+  return (state.parcels || []).filter(pc => pc.neighborhood === neighborhoodId);
+}
+
+export function updateScarcity(state) {
+  for (const n of state.neighborhoods) {
+    const parcels = neighborhoodParcels(state, n.id);
+    if (parcels.length) n.scarcity = parcels.filter(pc => pc.use !== VACANT).length / parcels.length;
+  }
+}
+
+// Vacant land zoned for a product: the parcel asked for, or the first one in the neighborhood.
+// Returns null when there is none (or the one asked for isn't vacant, zoned and in the neighborhood).
+export function vacantParcel(state, neighborhoodId, productType, parcelId = null) {
+  const fits = pc => pc.neighborhood === neighborhoodId && pc.use === VACANT && pc.zoning.includes(productType);
+  if (parcelId) {
+    const pc = parcelById(state, parcelId);
+    return pc && fits(pc) ? pc : null;
+  }
+  return (state.parcels || []).find(fits) || null;
+}
+
+// Market-held buildings in a neighborhood that could come up for sale (none already listed)
+export function marketParcels(state, neighborhoodId, listed = new Set()) {
+  return neighborhoodParcels(state, neighborhoodId).filter(pc => pc.owner === "market" && !listed.has(pc.id));
+}
+
+export function claimParcel(state, pc, { use, owner, propertyId }) {
+  Object.assign(pc, { use, owner, propertyId });
+  updateScarcity(state);
+  return pc;
+}
+
+// A property leaves the player: the building stays and the market owns it, or the land goes back
+// to open ground (vacate: a site sold off after entitlement is denied)
+export function releaseParcel(state, propertyId, { vacate = false } = {}) {
+  const pc = (state.parcels || []).find(x => x.propertyId === propertyId);
+  if (!pc) return;
+  claimParcel(state, pc, vacate ? { use: VACANT, owner: null, propertyId: null } : { use: pc.use, owner: "market", propertyId: null });
+}
+
+// Give a player property its parcel: `parcelId` if it's a market building or zoned vacant land in the
+// neighborhood, else a market building of the same use or zoned vacant land, else any market building.
+// Returns the parcel, or null if the neighborhood is full.
+export function assignParcel(state, p, parcelId = null) {
+  const parcels = neighborhoodParcels(state, p.neighborhood);
+  const open = pc => pc.owner === "market" || (pc.use === VACANT && pc.zoning.includes(p.productType));
+  const building = parcels.find(x => x.owner === "market" && x.use === p.productType);
+  const land = parcels.find(x => x.use === VACANT && x.zoning.includes(p.productType));
+  // Builds still under way sit on land; everything else on a standing building
+  const pc = parcels.find(x => x.id === parcelId && open(x))
+    || (p.build ? land || building : building || land)
+    || parcels.find(x => x.owner === "market");
+  p.parcelId = pc?.id ?? null;
+  if (!pc) return null;
+  return claimParcel(state, pc, { use: p.productType, owner: "player", propertyId: p.id });
+}
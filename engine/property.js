@@ -20,7 +20,75 @@ export function computeNOI({ baseNOI, rentIndex, vacancy, expenseRatio }) {
 }
 
 export function valueFromNOI(noi, capRate) {
-  return capRate > 0 ? noi / capRate : 0;
+  return capRate > 0 ? Math.max(0, noi / capRate) : 0;
+}
+
+// ----------------- operating statement -----------------
+// A property's ops: GPR at rentIndex 1.0, other income and management as % of revenue,
+// and fixed-dollar expense lines that grow on their own (productTypes[].operating).
+// Revenue lines follow rent, vacancy and concessions; expenses don't, so NOI has real operating leverage.
+
+export const EXPENSE_LINES = ["taxes", "insurance", "repairs", "utilities"];
+
+const DEFAULT_OPERATING = {
+  otherIncomePct: 0.02,
+  managementPct: 0.04,
+  expenses: {
+    taxes: { share: 0.14, growth: 0.025 },
+    insurance: { share: 0.05, growth: 0.045 },
+    repairs: { share: 0.08, growth: 0.03 },
+    utilities: { share: 0.06, growth: 0.03 }
+  }
+};
+
+export function productOperating(product) {
+  return product.operating || DEFAULT_OPERATING;
+}
+
+// Back out a statement that produces `noi` under today's rent and vacancy,
+// with expenses split by the product's line shares.
+export function seedOperatingStatement({ noi, rentIndex, vacancy, product }) {
+  const op = productOperating(product);
+  const er = op.managementPct + EXPENSE_LINES.reduce((a, k) => a + op.expenses[k].share, 0);
+  const egi = noi / (1 - er);
+  const occ = 1 - vacancy;
+  const gpr = egi / (occ * (computeEffectiveRentFactor(vacancy) + op.otherIncomePct));
+
+  return {
+    gpr: gpr / Math.max(0.01, rentIndex),
+    otherIncomePct: op.otherIncomePct,
+    managementPct: op.managementPct,
+    expenses: Object.fromEntries(EXPENSE_LINES.map(k => [k, egi * op.expenses[k].share]))
+  };
+}
+
+// Concessions follow marketVacancy when given (rent rolls: the building's own vacancy is lumpy);
+// concessionRate overrides them (multifamily lease-up)
+export function computeOperatingStatement(ops, { rentIndex, vacancy, marketVacancy = vacancy, concessionRate = 1 - computeEffectiveRentFactor(marketVacancy) }) {
+  const gpr = ops.gpr * rentIndex;
+  const vacancyLoss = gpr * vacancy;
+  const concessions = (gpr - vacancyLoss) * concessionRate;
+  const otherIncome = gpr * ops.otherIncomePct * (1 - vacancy);
+  const egi = gpr - vacancyLoss - concessions + otherIncome;
+
+  const management = egi * ops.managementPct;
+  const lines = { ...ops.expenses };
+  const totalOpex = management + EXPENSE_LINES.reduce((a, k) => a + (lines[k] || 0), 0);
+
+  return { gpr, vacancyLoss, concessions, otherIncome, egi, ...lines, management, totalOpex, noi: egi - totalOpex };
+}
+
+// A building with no income or operating costs yet (under development)
+export function emptyStatement() {
+  const lines = Object.fromEntries(EXPENSE_LINES.map(k => [k, 0]));
+  return { gpr: 0, vacancyLoss: 0, concessions: 0, otherIncome: 0, egi: 0, ...lines, management: 0, totalOpex: 0, noi: 0 };
+}
+
+// One year of expense growth, each line on its own rate
+export function growOperatingStatement(ops, product) {
+  const op = productOperating(product);
+  for (const k of EXPENSE_LINES) ops.expenses[k] *= 1 + op.expenses[k].growth;
+  return ops;
 }
 
 export function annualDebtService({ balance, rate, amortYears, interestOnly }) {
@@ -0,0 +1,196 @@
+import { clamp } from "./utils.js";
+
+// ----------------- rent rolls -----------------
+// Office, retail and industrial carry a roll of suites leased to named tenants (productTypes[].rentRoll).
+// Each lease has its own SF, rent (a rent index, like p.lease.leaseRentIndex, escalating yearly),
+// expiration, renewal probability, downtime if it leaves, renewal TI/LC and credit.
+// Multifamily, hotel and mixed use keep the blended p.lease.
+//
+// Rent in dollars is sf * rules.rentPSF * rentIndex; rentPSF is market rent at index 1.0.
+
+export const CREDIT = {
+  A: { name: "Investment grade", renewal: 0.10, hit: 0.25 },
+  B: { name: "Regional", renewal: 0.0, hit: 1.0 },
+  C: { name: "Local / unrated", renewal: -0.10, hit: 2.0 }
+};
+
+export function rentRollRules(product) {
+  return product?.rentRoll || null;
+}
+
+function randInt(rng, min, max) {
+  return Math.floor(min + rng() * (max - min + 1));
+}
+
+function pickCredit(rules, rng) {
+  const roll = rng();
+  let acc = 0;
+  for (const [grade, share] of Object.entries(rules.creditMix)) {
+    acc += share;
+    if (roll < acc) return grade;
+  }
+  return "B";
+}
+
+function makeTenant(rules, { name, rentIndex, year, rng }) {
+  const credit = pickCredit(rules, rng);
+  return {
+    name,
+    credit,
+    rentIndex,
+    startYear: year,
+    expiresYear: year + randInt(rng, rules.termMin, rules.termMax),
+    escalation: rules.escalation,
+    renewalProb: clamp(rules.renewalProb + CREDIT[credit].renewal + (rng() - 0.5) * 0.2, 0.05, 0.95),
+    downtimeYears: randInt(rng, rules.downtimeMin, rules.downtimeMax),
+    tiPSF: rules.tiRenewalPSF,
+    lcPct: rules.lcPct
+  };
+}
+
+function nextTenantName(roll, rules, rng) {
+  const used = new Set(roll.suites.map(s => s.tenant?.name));
+  const free = rules.tenantNames.filter(x => !used.has(x));
+  const pool = free.length ? free : rules.tenantNames;
+  return pool[Math.floor(rng() * pool.length)];
+}
+
+export function annualRent(rules, suite) {
+  return suite.tenant ? suite.sf * rules.rentPSF * suite.tenant.rentIndex : 0;
+}
+
+// TI on the suite plus LC on the lease's rent over its term (renewals pay half commission)
+function leasingCost(rules, suite, { renewal }) {
+  const t = suite.tenant;
+  const ti = suite.sf * (renewal ? t.tiPSF : rules.tiNewPSF);
+  const lc = annualRent(rules, suite) * (t.expiresYear - t.startYear) * t.lcPct * (renewal ? 0.5 : 1);
+  return ti + lc;
+}
+
+// A fresh roll for a building with `gpr` of market rent at index 1.0. Leases are staggered around
+// market rent, and roughly marketVacancy of the SF starts vacant.
+export function generateRentRoll(rules, { gpr, marketRentIndex, marketVacancy, year, rng }) {
+  const totalSF = Math.max(1000, Math.round(gpr / rules.rentPSF / 100) * 100);
+  const count = randInt(rng, rules.tenantsMin, rules.tenantsMax);
+  const weights = Array.from({ length: count }, () => 0.3 + rng());
+  const sum = weights.reduce((a, w) => a + w, 0);
+
+  const roll = { totalSF, suites: [] };
+  let left = totalSF;
+  weights.forEach((w, i) => {
+    const sf = i === count - 1 ? left : Math.round(totalSF * w / sum / 100) * 100;
+    left -= sf;
+    roll.suites.push({ id: `S${i + 1}`, sf, tenant: null, vacantUntil: null });
+  });
+
+  // Leave suites dark in random order until the roll sits near submarket vacancy by SF
+  const target = totalSF * marketVacancy;
+  let dark = 0;
+  const order = roll.suites.map(s => ({ s, k: rng() })).sort((a, b) => a.k - b.k).map(x => x.s);
+  for (const suite of order) {
+    if (Math.abs(target - dark - suite.sf) < target - dark) {
+      dark += suite.sf;
+      suite.vacantUntil = year + randInt(rng, 0, rules.downtimeMax);
+    }
+  }
+
+  for (const suite of roll.suites) {
+    if (suite.vacantUntil !== null) continue;
+    const tenant = makeTenant(rules, { name: nextTenantName(roll, rules, rng), rentIndex: marketRentIndex * (1 + (rng() - 0.5) * 0.08), year, rng });
+    // In-place leases are already part-way through their terms
+    tenant.startYear = year - randInt(rng, 0, rules.termMin);
+    tenant.expiresYear = year + randInt(rng, 1, rules.termMax);
+    suite.tenant = tenant;
+  }
+
+  return roll;
+}
+
+// Rent index and economic vacancy for the operating statement: vacant suites count at market rent
+export function rentRollMetrics(roll, marketRentIndex) {
+  let leased = 0, vacant = 0, leasedSF = 0;
+  for (const s of roll.suites) {
+    if (s.tenant) {
+      leased += s.sf * s.tenant.rentIndex;
+      leasedSF += s.sf;
+    } else {
+      vacant += s.sf * marketRentIndex;
+    }
+  }
+  const total = leased + vacant;
+  return {
+    rentIndex: roll.totalSF > 0 ? total / roll.totalSF : marketRentIndex,
+    vacancy: total > 0 ? vacant / total : 1,
+    occupancy: roll.totalSF > 0 ? leasedSF / roll.totalSF : 0
+  };
+}
+
+// Weighted average lease term remaining, weighted by annual rent. Returns { walt, rent } so
+// portfolios can weight across buildings.
+export function rentRollWALT(rules, roll, year) {
+  let rent = 0, weighted = 0;
+  for (const s of roll.suites) {
+    const r = annualRent(rules, s);
+    rent += r;
+    weighted += r * Math.max(0, s.tenant ? s.tenant.expiresYear - year : 0);
+  }
+  return { walt: rent > 0 ? weighted / rent : 0, rent };
+}
+
+// One year of leasing: bumps, expirations (renew or vacate) and backfills of suites whose downtime is up.
+// Renewal odds fall and backfill slows when the submarket is soft. Returns the changes and their TI/LC cost.
+export function rollRentRollYear(roll, rules, { marketRentIndex, marketVacancy, year, rng }) {
+  const changes = [];
+  let cost = 0;
+  const softness = Math.max(0, marketVacancy - 0.08);
+
+  for (const suite of roll.suites) {
+    const t = suite.tenant;
+    if (t) {
+      t.rentIndex *= 1 + t.escalation;
+      if (t.expiresYear > year) continue;
+
+      if (rng() < clamp(t.renewalProb - softness * 1.5, 0.05, 0.95)) {
+        t.startYear = year;
+        t.expiresYear = year + randInt(rng, rules.termMin, rules.termMax);
+        t.rentIndex = marketRentIndex;
+        const c = leasingCost(rules, suite, { renewal: true });
+        cost += c;
+        changes.push({ type: "RENEWED", suite: suite.id, tenant: t.name, term: t.expiresYear - year, cost: c });
+      } else {
+        suite.tenant = null;
+        suite.vacantUntil = year + t.downtimeYears + (softness > 0.04 ? 1 : 0);
+        changes.push({ type: "VACATED", suite: suite.id, tenant: t.name, sf: suite.sf, vacantUntil: suite.vacantUntil });
+      }
+      continue;
+    }
+
+    if (suite.vacantUntil > year) continue;
+    if (rng() > clamp(1 - softness * 3, 0.3, 0.95)) {
+      suite.vacantUntil = year + 1;
+      continue;
+    }
+
+    suite.tenant = makeTenant(rules, { name: nextTenantName(roll, rules, rng), rentIndex: marketRentIndex, year, rng });
+    suite.vacantUntil = null;
+    const c = leasingCost(rules, suite, { renewal: false });
+    cost += c;
+    changes.push({ type: "LEASED", suite: suite.id, tenant: suite.tenant.name, credit: suite.tenant.credit, term: suite.tenant.expiresYear - year, cost: c });
+  }
+
+  return { changes, cost };
+}
+
+// A tenant event: each tenant fails with `chance` scaled by its credit. Returns the tenants lost.
+export function hitTenants(roll, { chance, year, rng }) {
+  const lost = [];
+  for (const suite of roll.suites) {
+    const t = suite.tenant;
+    if (!t) continue;
+    if (rng() >= clamp(chance * CREDIT[t.credit].hit, 0, 1)) continue;
+    suite.tenant = null;
+    suite.vacantUntil = year + t.downtimeYears;
+    lost.push({ suite: suite.id, tenant: t.name, credit: t.credit, sf: suite.sf });
+  }
+  return lost;
+}
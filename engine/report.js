@@ -0,0 +1,141 @@
+import { runPerformance } from "./sim.js";
+
+// ----------------- year-end report -----------------
+// A completed year read back from the run: history[] has a snapshot at the start of year Y and one
+// after its year-end (Y + 1), and the journal entries between them are everything that happened in
+// Y, the year-end included. Years from before a save had history can't be reported.
+// The UI turns the report into printable HTML (ui/report.js); reportCSVs gives the same tables as CSV.
+
+// Journal actions in each line of the waterfall below operating cash flow
+const CAPITAL_LINES = [
+  { id: "acquisitions", name: "Acquisitions", actions: ["BUY", "CLOSE", "IMPORT_BUY", "HOLDING"] },
+  { id: "development", name: "Development equity", actions: ["BUILD", "DRAW", "STABILIZED", "ENTITLEMENT_DENIED"] },
+  { id: "capex", name: "Renovations and repairs", actions: ["RENO", "SURPRISE"] },
+  { id: "financing", name: "Financing", actions: ["REFI", "PAYDOWN", "EXTEND", "CAP", "COVENANT_CURED", "RESTRUCTURE"] },
+  { id: "dispositions", name: "Sales", actions: ["SELL"] },
+  { id: "deposits", name: "Forfeited deposits", actions: ["WALK"] }
+];
+
+// What hit a property or the sponsor, as opposed to routine activity
+const INCIDENTS = new Set([
+  "SURPRISE", "DEAL_KILLED", "TENANT_DEFAULT", "TENANT_VACATED", "COVENANT_BREACH", "COVENANT_CURED", "FORECLOSURE",
+  "REFI_FAILED", "TAKEOUT_FAILED", "CONSTRUCTION_STALLED", "ENTITLEMENT_DENIED", "DISTRESS", "GAME_OVER"
+]);
+
+// Years with a snapshot at both ends, latest first
+export function reportYears(state) {
+  const years = new Set((state.history || []).map(h => h.year));
+  return [...years].filter(y => years.has(y + 1)).sort((a, b) => b - a);
+}
+
+function sum(xs, f) {
+  return xs.reduce((a, x) => a + (f(x) || 0), 0);
+}
+
+// Operating cash flow down to the sponsor, then each kind of capital event, then whatever else moved
+// cash (deposits going into escrow or coming back) so the lines add up to the change in cash
+function waterfall(entries, start, end) {
+  const flows = entries.flatMap(e => Object.values(e.byProperty || {}));
+  const cashFlow = entries.filter(e => e.action === "CASH_FLOW");
+  const noi = sum(flows, f => f.noi);
+  const beforeDebt = sum(flows, f => f.unlevered);
+  const afterDebt = sum(cashFlow, e => e.amount);
+  const trapped = sum(cashFlow, e => e.trapped);
+  const swept = sum(cashFlow, e => e.swept);
+  const rescue = sum(entries.filter(e => e.action === "RESCUE_REPAID"), e => e.amount);
+  const operating = afterDebt - trapped - swept - rescue;
+
+  const lines = [
+    { id: "start", name: "Cash at start of year", amount: start.cash, total: true },
+    { id: "noi", name: "Net operating income", amount: noi },
+    { id: "leasing", name: "Leasing costs (TI/LC)", amount: beforeDebt - noi },
+    { id: "debtService", name: "Debt service", amount: afterDebt - beforeDebt },
+    { id: "trapped", name: "Trapped by lenders", amount: 0 - trapped },
+    { id: "swept", name: "Swept against principal", amount: 0 - swept },
+    { id: "rescue", name: "Rescue partner's share", amount: 0 - rescue },
+    { id: "operating", name: "Operating cash to sponsor", amount: operating, total: true },
+    ...CAPITAL_LINES.map(c => ({ id: c.id, name: c.name, amount: sum(entries.filter(e => c.actions.includes(e.action)), e => e.cash) }))
+  ];
+  const explained = operating + sum(lines.filter(l => CAPITAL_LINES.some(c => c.id === l.id)), l => l.amount);
+  lines.push(
+    // To the cent, so float noise doesn't print as -$0
+    { id: "other", name: "Deposits in escrow and other", amount: Math.round((end.cash - start.cash - explained) * 100) / 100 || 0 },
+    { id: "end", name: "Cash at end of year", amount: end.cash, total: true }
+  );
+  return lines;
+}
+
+// The report for completed year `year`; throws if the run has no history for it
+export function yearEndReport(state, data, year) {
+  const start = (state.history || []).find(h => h.year === year);
+  const end = (state.history || []).find(h => h.year === year + 1);
+  if (!start || !end) throw new Error(`No history for Y${year}: the report covers completed years since the run started keeping it.`);
+
+  const entries = state.journal.slice(start.journalIndex, end.journalIndex);
+  const held = new Set([...Object.values(start.properties), ...Object.values(end.properties)].map(p => p.neighborhood));
+  const marketEvents = entries
+    .filter(e => e.action === "EVENT")
+    .map(e => {
+      const def = (data.events || []).find(x => x.id === e.target);
+      const where = def?.scope === "global" ? null : def?.targetNeighborhood;
+      const n = where ? state.neighborhoods.find(x => x.id === where) : null;
+      return { name: e.name, scope: where ? (n?.name ?? where) : "Citywide", hit: !where || held.has(where) };
+    });
+  const perf = runPerformance(state);
+  const period = perf.periods.findIndex(p => p.year === year);
+
+  return {
+    year,
+    seed: state.rng?.seed ?? null,
+    difficulty: state.profile?.name ?? state.difficulty,
+    scenario: state.scenario?.name ?? null,
+    start,
+    end,
+    runReturn: period >= 0 ? perf.returns[period] : null,
+    bookReturn: period >= 0 ? perf.book.returns[period] : null,
+    schedule: Object.entries(end.properties).map(([id, p]) => ({ id, ...p })),
+    exited: Object.entries(start.properties).filter(([id]) => !end.properties[id]).map(([id, p]) => ({ id, name: p.name })),
+    waterfall: waterfall(entries, start, end),
+    marketEvents,
+    incidents: entries.filter(e => INCIDENTS.has(e.action)),
+    activity: entries.filter(e => e.action !== "CASH_FLOW")
+  };
+}
+
+// ----------------- CSV -----------------
+// Text cells a spreadsheet would run as a formula (names and journal text can come from imported
+// saves) get a leading ' so they open as text; numbers stay numbers
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  let s = typeof v === "number" ? String(Math.round(v * 100) / 100) : String(v);
+  if (typeof v !== "number" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(header, rows) {
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// { schedule, waterfall, events, activity } as CSV text. describe(entry) words a journal entry.
+export function reportCSVs(report, describe) {
+  return {
+    schedule: toCSV(
+      ["id", "name", "product", "neighborhood", "status", "noi", "value", "debt", "debt_service", "dscr", "balloon_year", "lease_term_years"],
+      report.schedule.map(p => [p.id, p.name, p.productType, p.neighborhood, p.status, p.noi, p.value, p.debt, p.debtService, p.dscr, p.maturityYear, p.leaseTerm])
+    ),
+    waterfall: toCSV(["line", "amount"], report.waterfall.map(l => [l.name, l.amount])),
+    events: toCSV(
+      ["kind", "name", "scope_or_property", "hit_portfolio", "detail"],
+      [
+        ...report.marketEvents.map(e => ["market", e.name, e.scope, e.hit ? "yes" : "no", ""]),
+        ...report.incidents.map(e => ["incident", e.action, e.name ?? "", "yes", describe(e)])
+      ]
+    ),
+    activity: toCSV(
+      ["journal_year", "action", "automatic", "cash", "description"],
+      report.activity.map(e => [e.year, e.action, e.auto ? "yes" : "no", e.cash ?? "", describe(e)])
+    )
+  };
+}
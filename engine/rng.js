@@ -1,12 +1,15 @@
 // Deterministic RNG (mulberry32) for reproducible runs
 export function mulberry32(seed) {
   let a = seed >>> 0;
-  return function () {
+  const next = function () {
     a |= 0; a = a + 0x6D2B79F5 | 0;
     let t = Math.imul(a ^ a >>> 15, 1 | a);
     t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
     return ((t ^ t >>> 14) >>> 0) / 4294967296;
   };
+  // Internal counter; feeding it back into mulberry32 resumes the exact sequence
+  next.cursor = () => a >>> 0;
+  return next;
 }
 
 export function seedFromString(str) {
@@ -18,3 +21,25 @@ export function seedFromString(str) {
   }
   return h >>> 0;
 }
+
+export function randomSeed() {
+  return String(Math.floor(Math.random() * 1e9));
+}
+
+// Serializable RNG state kept on the run: { seed, cursor, draws }
+export function createRngState(seedStr) {
+  return { seed: String(seedStr), cursor: seedFromString(seedStr), draws: 0 };
+}
+
+// Rebuild a live rng from saved state. rng.snapshot() gives the state to save back.
+export function rngFromState(rs) {
+  const base = mulberry32(rs.cursor);
+  let draws = rs.draws || 0;
+
+  const rng = function () {
+    draws += 1;
+    return base();
+  };
+  rng.snapshot = () => ({ seed: rs.seed, cursor: base.cursor(), draws });
+  return rng;
+}
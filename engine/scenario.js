@@ -0,0 +1,85 @@
+import { deepCopy } from "./utils.js";
+
+// Scripted scenarios (data/scenarios.json): a fixed start, an event schedule,
+// objectives scored at given years and fail conditions checked every year-end.
+// The resolved scenario travels on the run (state.scenario) so saves and replays
+// don't depend on the data file staying the same.
+//
+// Objective: { id, label, metric, op, value, at, every?, from?, points? }
+//   - checked at year `at`; with every: true it must also hold at each year-end from `from` to `at`
+// Fail condition: { label, metric, op, value } — ends the scenario as a loss the moment it's true.
+
+const OPS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "==": (a, b) => a === b
+};
+
+export function compare(op, a, b) {
+  const fn = OPS[op];
+  if (!fn) throw new Error(`Unknown objective operator: ${op}`);
+  return fn(a, b);
+}
+
+// idOrDef: a scenario id from data, or an already-resolved scenario (from a saved run)
+export function resolveScenario(data, idOrDef) {
+  if (!idOrDef) return null;
+  if (typeof idOrDef === "object") return deepCopy(idOrDef);
+
+  const def = (data.scenarios || []).find(s => s.id === idOrDef);
+  if (!def) throw new Error(`Unknown scenario: ${idOrDef}`);
+
+  const eventsById = Object.fromEntries((data.events || []).map(e => [e.id, e]));
+  const schedule = (def.schedule || []).map(s => {
+    const event = eventsById[s.event];
+    if (!event) throw new Error(`Scenario ${def.id}: unknown event ${s.event}`);
+    return { year: s.year, event: deepCopy(event) };
+  });
+
+  return {
+    id: def.id,
+    name: def.name,
+    blurb: def.blurb || "",
+    difficulty: def.difficulty || "normal",
+    seed: def.seed || null,
+    endYear: def.endYear,
+    randomEvents: def.randomEvents !== false,
+    start: deepCopy(def.start || {}),
+    schedule,
+    objectives: (def.objectives || []).map(o => ({ points: 100, every: false, ...o, status: "pending", actual: null })),
+    failConditions: deepCopy(def.failConditions || []),
+    startEquity: null,
+    result: null
+  };
+}
+
+// Year-end objective update. metrics: { equity, dscr, cash, properties, ... }
+export function updateObjectives(scenario, metrics, year) {
+  for (const o of scenario.objectives) {
+    if (o.status !== "pending") continue;
+
+    const ok = compare(o.op, metrics[o.metric], o.value);
+    if (o.every && year >= (o.from ?? 1) && !ok) {
+      o.status = "missed";
+      o.actual = metrics[o.metric];
+      o.missedYear = year;
+    } else if (year >= o.at) {
+      o.status = ok ? "met" : "missed";
+      o.actual = metrics[o.metric];
+    }
+  }
+}
+
+export function failedCondition(scenario, metrics) {
+  return scenario.failConditions.find(f => compare(f.op, metrics[f.metric], f.value)) || null;
+}
+
+// Points for each met objective, plus 1 point per 1% of equity growth (winners only).
+export function scoreScenario(scenario, won, finalEquity) {
+  const objectivePoints = scenario.objectives.filter(o => o.status === "met").reduce((a, o) => a + o.points, 0);
+  const growth = scenario.startEquity > 0 ? finalEquity / scenario.startEquity - 1 : 0;
+  const growthPoints = won ? Math.max(0, Math.round(growth * 100)) : 0;
+  return { objectivePoints, growthPoints, total: objectivePoints + growthPoints, growth };
+}
@@ -0,0 +1,2092 @@
+import { clamp, money, pct, deepCopy } from "./utils.js";
+import {
+  computeNOI, valueFromNOI, annualDebtService, dscr,
+  seedOperatingStatement, computeOperatingStatement, growOperatingStatement, emptyStatement
+} from "./property.js";
+import { updateMarketYear, updateNeighborhoodYear } from "./market.js";
+import { activateEvent, unwindActiveEvents, tickActiveEvents, applyActiveEvents } from "./events.js";
+import { createRngState, rngFromState, randomSeed } from "./rng.js";
+import { SCHEMA_VERSION, migrateRun } from "./state.js";
+import { resolveProfile, pickWeighted } from "./difficulty.js";
+import { resolveScenario, updateObjectives, failedCondition, scoreScenario } from "./scenario.js";
+import { rentRollRules, generateRentRoll, rentRollMetrics, rentRollWALT, rollRentRollYear, hitTenants } from "./rentroll.js";
+import { unitMixRules, generateUnitMix, unitMixMetrics, rollUnitMixYear, renovateUnits, renovationPlan, classicUnits, leaseUpConcessionRate } from "./unitmix.js";
+import {
+  buildSize, entitlementOdds, developmentBudget, developmentOps, stabilizedNOI, upfrontCost,
+  eventOverrun, baseOverrun, constructionDraw, fundDraw, spentToDate, deniedRecovery
+} from "./development.js";
+import { competitorDef, allocation, createCompetitor, bestBid, winningPrice, rivalProject, recordComp, compCapRate } from "./competitors.js";
+import { ensureInventory, addSupply, productVacancy } from "./supply.js";
+import { returnMetrics, weightedReturns, DEFAULT_DISCOUNT_RATE } from "./finance.js";
+import { MAX_OFFERS, DEPOSIT_MIN, DEPOSIT_MAX, listingIssues, ddPeriod, diligence, retradeAmount, sellerResponse } from "./acquisition.js";
+import { ensureParcels, parcelById, vacantParcel, marketParcels, claimParcel, releaseParcel, assignParcel } from "./parcels.js";
+import {
+  LENDER, lenderTerms, sizeLoan, sizeConstructionLoan, quoteRate,
+  DEBT_PRODUCTS, DEFAULT_DEBT_PRODUCT, PLAIN_DEBT_PRODUCT, debtProduct, productRate, sizeProductLoan, makeLoan,
+  isInterestOnly, floatingRate, prepaymentPenalty, rateCapCost, testCovenants, nextCovenantStatus
+} from "./lender.js";
+
+// Headless Tycoon engine.
+// Every entry point takes (state, data, ...) and returns { state, log } where
+// state is a fresh copy and log is a list of { year, type, msg } events.
+// The RNG lives on the run (state.rng = { seed, cursor, draws }), so the same
+// seed + the same journal always lands in the same state.
+// No DOM access here: the UI (or a Node script) decides how to show the log.
+
+export const RUN_DEFAULTS = {
+  schemaVersion: SCHEMA_VERSION,
+  year: 1,
+  cash: 3000000,
+  market: { baseRate: 0.045, spread: 0.020, liquidity: 0.70 },
+  neighborhoods: [],
+  parcels: [],        // every neighborhood's land, parcel by parcel (engine/parcels.js)
+  properties: [],
+  listings: [],
+  competitors: [],    // rival investors and what they hold and are building (engine/competitors.js)
+  contracts: [],      // listings under contract: deposit in escrow, diligence findings (engine/acquisition.js)
+  comps: [],          // recent sales { year, neighborhood, productType, price, noi, cap, buyer }
+  history: [],        // one snapshot a year: portfolio totals, properties, neighborhood markets (recordHistory)
+  activeEvents: [],
+  journal: [],
+  distress: null,     // { year, shortfall } while the sponsor can't cover a negative cash balance
+  rescue: null,       // { balance } owed to the rescue-capital partner after a restructuring
+  restructured: false,
+  gameOver: null,     // { year, reason } once the run has ended
+  profile: null,      // resolved difficulty profile (engine/difficulty.js)
+  scenario: null      // resolved scenario with objective status (engine/scenario.js); null in free play
+};
+
+// ----------------- Lease / WALT-lite settings -----------------
+const LEASE_RULES = {
+  multifamily: { termMin: 1, termMax: 2, rollPct: 0.55 }, // high turnover
+  hotel:       { termMin: 1, termMax: 1, rollPct: 1.00 }, // mark-to-market
+  industrial:  { termMin: 3, termMax: 7, rollPct: 0.18 },
+  retail:      { termMin: 5, termMax: 10, rollPct: 0.12 },
+  office:      { termMin: 5, termMax: 12, rollPct: 0.08 }, // sticky leases
+  mixeduse:    { termMin: 2, termMax: 5, rollPct: 0.22 }
+};
+
+const DEFAULT_LEASE_RULE = { termMin: 3, termMax: 7, rollPct: 0.15 };
+
+// One-time rescue capital when the sponsor is insolvent: covers the shortfall plus a cushion,
+// and is repaid with a premium out of a share of positive operating cash flow.
+const RESCUE = { cushion: 250000, premium: 0.5, cashFlowShare: 0.5 };
+
+// ----------------- context helpers -----------------
+function makeCtx(state, data) {
+  const copy = deepCopy(state);
+  copy.rng = copy.rng || createRngState(randomSeed());
+  return {
+    state: copy,
+    data,
+    rng: rngFromState(copy.rng),
+    productTypesById: productTypesById(data),
+    log: []
+  };
+}
+
+function emit(ctx, type, msg, extra = {}) {
+  ctx.log.push({ year: ctx.state.year, type, msg, ...extra });
+}
+
+// Append to the command log. Player actions replay from here;
+// auto: true marks outcomes the engine derives on its own (skipped on replay).
+// Entries that move the sponsor's cash carry it as `cash` (signed: negative is money put in) and,
+// for a property, `unlevered` (the same event before financing). The entry that opens a property's
+// position names it in `propertyId`; CASH_FLOW splits the year by property. runReturns reads these.
+function record(ctx, action, fields = {}) {
+  ctx.state.journal.push({ year: ctx.state.year, action, ...fields });
+}
+
+function recordAuto(ctx, action, fields = {}) {
+  record(ctx, action, { ...fields, auto: true });
+}
+
+function result(ctx) {
+  ctx.state.rng = ctx.rng.snapshot();
+  return { state: ctx.state, log: ctx.log };
+}
+
+export function productTypesById(data) {
+  return Object.fromEntries(data.productTypes.map(p => [p.id, p]));
+}
+
+function randInt(ctx, min, max) {
+  return Math.floor(min + ctx.rng() * (max - min + 1));
+}
+
+function getNeighborhood(state, id) {
+  return state.neighborhoods.find(x => x.id === id);
+}
+
+function makeMaturityYears(ctx) {
+  // Commercial-style balloon terms: mostly 5/7/10 years
+  const r = ctx.rng();
+  if (r < 0.45) return 5;
+  if (r < 0.75) return 7;
+  return 10;
+}
+
+// ----------------- leases -----------------
+// Office, retail and industrial get a tenant rent roll (engine/rentroll.js) and multifamily a unit mix
+// (engine/unitmix.js) instead of the blended lease; builds get theirs at stabilization, fully marked to market.
+function initLeaseForProperty(ctx, p, { delivered = false } = {}) {
+  const n = getNeighborhood(ctx.state, p.neighborhood);
+  const product = ctx.productTypesById[p.productType];
+  const mixRules = unitMixRules(product);
+  if (mixRules) {
+    p.lease = null;
+    if (!p.build) {
+      p.unitMix = generateUnitMix(mixRules, {
+        gpr: (p.ops || seedOps(ctx.state, p, product)).gpr,
+        units: p.units ?? null,
+        marketRentIndex: marketRentIndex(n, p),
+        lossToLease: delivered ? 0 : null,
+        rng: ctx.rng
+      });
+    }
+    return;
+  }
+
+  const rollRules = rentRollRules(product);
+  if (rollRules) {
+    p.lease = null;
+    if (!p.build) {
+      p.rentRoll = generateRentRoll(rollRules, {
+        gpr: (p.ops || seedOps(ctx.state, p, product)).gpr,
+        marketRentIndex: marketRentIndex(n, p),
+        marketVacancy: propertyVacancy(n, p),
+        year: ctx.state.year,
+        rng: ctx.rng
+      });
+    }
+    return;
+  }
+
+  const rules = LEASE_RULES[p.productType] || DEFAULT_LEASE_RULE;
+
+  const marketRent = marketRentIndex(n, p);
+
+  p.lease = {
+    yearsRemaining: randInt(ctx, rules.termMin, rules.termMax),
+    rollPct: rules.rollPct,
+    leaseRentIndex: marketRent
+  };
+}
+
+// Expense lines inflate on their own drivers, independent of rent
+function growOperatingExpenses(ctx) {
+  for (const p of ctx.state.properties) {
+    if (p.ops) growOperatingStatement(p.ops, ctx.productTypesById[p.productType]);
+  }
+}
+
+// Expirations, renewals and backfills on a rent roll. TI/LC is paid out of this year's cash flow.
+function rollTenants(ctx, p) {
+  const { state } = ctx;
+  const n = getNeighborhood(state, p.neighborhood);
+  const { changes, cost } = rollRentRollYear(p.rentRoll, rentRollRules(ctx.productTypesById[p.productType]), {
+    marketRentIndex: marketRentIndex(n, p),
+    marketVacancy: propertyVacancy(n, p),
+    year: state.year,
+    rng: ctx.rng
+  });
+  p.leasingCosts = (p.leasingCosts || 0) + cost;
+
+  for (const c of changes) {
+    recordAuto(ctx, `TENANT_${c.type}`, { target: p.id, name: p.name, tenant: c.tenant, suite: c.suite, cost: c.cost });
+    if (c.type === "RENEWED") {
+      emit(ctx, "LEASE_ROLL", `${p.name}: ${c.tenant} renewed for ${c.term} yr(s) at market (TI/LC ${money(c.cost)}).`, { target: p.id });
+    } else if (c.type === "VACATED") {
+      emit(ctx, "LEASE_ROLL", `${p.name}: ${c.tenant} moved out of suite ${c.suite} (${c.sf.toLocaleString()} SF). Downtime until Y${c.vacantUntil}.`, { target: p.id });
+    } else {
+      emit(ctx, "LEASE_ROLL", `${p.name}: signed ${c.tenant} (${c.credit} credit) to suite ${c.suite} for ${c.term} yr(s) (TI/LC ${money(c.cost)}).`, { target: p.id });
+    }
+  }
+}
+
+function updateLeasesOneYear(ctx) {
+  // Called once per year, after neighborhoods update but before NOI/cash flow
+  for (const p of ctx.state.properties) {
+    if (p.rentRoll) {
+      rollTenants(ctx, p);
+      continue;
+    }
+    if (p.unitMix) {
+      const n = getNeighborhood(ctx.state, p.neighborhood);
+      rollUnitMixYear(p.unitMix, unitMixRules(ctx.productTypesById[p.productType]), { marketRentIndex: marketRentIndex(n, p) });
+      continue;
+    }
+    if (!p.lease || typeof p.lease.leaseRentIndex !== "number") {
+      initLeaseForProperty(ctx, p);
+      continue;
+    }
+
+    const n = getNeighborhood(ctx.state, p.neighborhood);
+    const marketRent = marketRentIndex(n, p);
+
+    // Mark a portion of rent to market each year (WALT-lite turnover)
+    const roll = clamp(p.lease.rollPct, 0, 1);
+    p.lease.leaseRentIndex = p.lease.leaseRentIndex * (1 - roll) + marketRent * roll;
+
+    // Term countdown and renewal
+    p.lease.yearsRemaining -= 1;
+    if (p.lease.yearsRemaining <= 0) {
+      const rules = LEASE_RULES[p.productType] || DEFAULT_LEASE_RULE;
+      p.lease.yearsRemaining = randInt(ctx, rules.termMin, rules.termMax);
+      p.lease.leaseRentIndex = marketRent;
+
+      recordAuto(ctx, "LEASE_ROLL", { target: p.id, name: p.name, term: p.lease.yearsRemaining });
+      emit(ctx, "LEASE_ROLL", `Lease rollover: ${p.name} renewed at market. New term ${p.lease.yearsRemaining} yr(s).`, { target: p.id });
+    }
+  }
+}
+
+// ----------------- valuation -----------------
+function marketRentIndex(n, p) {
+  return n.rentIndex * p.rentIndexMult;
+}
+
+// Submarket vacancy as the property sees it: its product's vacancy in the neighborhood
+function propertyVacancy(n, p) {
+  return clamp(productVacancy(n, p.productType) + p.vacancyDelta, 0.01, 0.40);
+}
+
+// In-place rent and vacancy: the rent roll or unit mix once leased, otherwise the blended lease against
+// submarket vacancy. Multifamily lease-up gives every new lease its free months.
+function inPlaceRent(n, p, product) {
+  if (p.rentRoll && !p.build) return { ...rentRollMetrics(p.rentRoll, marketRentIndex(n, p)), marketVacancy: propertyVacancy(n, p) };
+  if (p.unitMix && !p.build) return { rentIndex: unitMixMetrics(p.unitMix, marketRentIndex(n, p)).rentIndex, vacancy: propertyVacancy(n, p) };
+  const rent = { rentIndex: p.lease?.leaseRentIndex ?? marketRentIndex(n, p), vacancy: propertyVacancy(n, p) };
+  if (p.build?.phase === "leaseup" && unitMixRules(product)) rent.concessionRate = leaseUpConcessionRate(unitMixRules(product));
+  return rent;
+}
+
+// Operating statement for a property that doesn't have one yet: baseNOI at market rent and vacancy
+function seedOps(state, p, product) {
+  const n = getNeighborhood(state, p.neighborhood);
+  const rentIndex = marketRentIndex(n, p);
+  const vacancy = propertyVacancy(n, p);
+  const noi = computeNOI({ baseNOI: p.baseNOI, rentIndex, vacancy, expenseRatio: product.baseExpenseRatio });
+  return seedOperatingStatement({ noi, rentIndex, vacancy, product });
+}
+
+// Pro forma on a job as it stands: stabilized NOI at today's market over budget plus overruns to date
+function developmentProForma(n, p, ops, dev) {
+  const cost = dev.budget.total + dev.spent.overrun;
+  const noi = computeOperatingStatement(ops, { rentIndex: marketRentIndex(n, p), vacancy: productVacancy(n, p.productType) }).noi;
+  return { cost, spent: spentToDate(dev), stabilizedNOI: noi, yieldOnCost: cost > 0 ? noi / cost : 0 };
+}
+
+export function computePropertySnapshot(state, p, productsById) {
+  const n = getNeighborhood(state, p.neighborhood);
+  const product = productsById[p.productType];
+
+  // A site or a job under construction earns nothing and is carried at cost to date
+  const dev = p.build?.dev && p.build.phase !== "leaseup" ? p.build.dev : null;
+  const rent = inPlaceRent(n, p, product);
+  const ops = p.ops || seedOps(state, p, product);
+  const statement = dev ? emptyStatement() : computeOperatingStatement(ops, rent);
+  const noi = statement.noi;
+
+  const leasing = p.rentRoll && !p.build
+    ? { occupancy: rent.occupancy, ...rentRollWALT(rentRollRules(product), p.rentRoll, state.year) }
+    : null;
+  const mix = p.unitMix && !p.build ? unitMixMetrics(p.unitMix, marketRentIndex(n, p)) : null;
+
+  const capRate = clamp(n.capRate + p.capRateDelta, 0.03, 0.14);
+  const value = dev ? spentToDate(dev) : valueFromNOI(noi, capRate);
+  const development = dev ? developmentProForma(n, p, ops, dev) : null;
+
+  const ds = annualDebtService({
+    balance: p.loanBalance,
+    rate: p.loanRate,
+    amortYears: p.amortYears,
+    interestOnly: isInterestOnly(p, state.year)
+  });
+
+  return { n, product, noi, statement, leasing, mix, development, capRate, value, ds };
+}
+
+export function computePortfolio(state, productsById) {
+  let totalValue = 0, totalDebt = 0, totalNOI = 0, totalCF = 0, totalDS = 0, trapped = 0;
+  let rollRent = 0, rollWeighted = 0;
+
+  for (const p of state.properties) {
+    const snap = computePropertySnapshot(state, p, productsById);
+
+    trapped += p.trappedCash || 0;
+    totalValue += snap.value;
+    totalDebt += p.loanBalance;
+    totalNOI += snap.noi;
+    totalDS += snap.ds.payment;
+    totalCF += (snap.noi - snap.ds.payment);
+    if (snap.leasing) {
+      rollRent += snap.leasing.rent;
+      rollWeighted += snap.leasing.rent * snap.leasing.walt;
+    }
+  }
+
+  // Cash trapped by lenders and deposits in escrow are still the sponsor's; rescue capital is owed ahead of them
+  const deposits = (state.contracts || []).reduce((a, c) => a + c.deposit, 0);
+  const equity = totalValue - totalDebt + state.cash + trapped + deposits - (state.rescue?.balance || 0);
+  const portfolioDSCR = dscr(totalNOI, totalDS);
+
+  // WALT across every rent-rolled building, weighted by rent; null when the portfolio has none
+  const walt = rollRent > 0 ? rollWeighted / rollRent : null;
+
+  return { totalValue, totalDebt, totalNOI, totalCF, equity, portfolioDSCR, walt };
+}
+
+// ----------------- returns -----------------
+// Every position's cash flows as the journal recorded them, run through engine/finance.js. A property
+// still held ends with what it would fetch sold today, so its returns are marked to market. The
+// portfolio is every position plus forfeited deposits and rescue capital, less what's still owed.
+// Properties bought before the journal carried cash (old saves) aren't tracked.
+const PORTFOLIO_FLOWS = new Set(["WALK", "RESTRUCTURE", "RESCUE_REPAID"]);
+
+// Metrics on flows dated by run year: discounted to the first one, payback and cash-on-cash in run years
+function datedMetrics(flows, discountRate) {
+  if (!flows.length) return null;
+  const start = Math.min(...flows.map(x => x.t));
+  const m = returnMetrics(flows.map(x => ({ ...x, t: x.t - start })), { discountRate });
+  return {
+    ...m,
+    startYear: start,
+    paybackYear: m.paybackYear === null ? null : start + m.paybackYear,
+    cashOnCash: m.cashOnCash.map(x => ({ ...x, t: start + x.t }))
+  };
+}
+
+// { discountRate, properties: [{ id, name, held, ...metrics }], portfolio: metrics | null }
+export function runReturns(state, productsById, { discountRate = DEFAULT_DISCOUNT_RATE } = {}) {
+  const positions = new Map();
+  const portfolioFlows = [];
+
+  for (const e of state.journal) {
+    for (const [id, f] of Object.entries(e.byProperty || {})) {
+      positions.get(id)?.flows.push({ t: e.year, levered: f.cash, unlevered: f.unlevered, kind: "operating" });
+    }
+    if (e.cash === undefined && e.unlevered === undefined) continue;
+
+    const flow = { t: e.year, levered: e.cash || 0, unlevered: e.unlevered || 0, kind: "capital" };
+    if (e.propertyId && !positions.has(e.propertyId)) positions.set(e.propertyId, { id: e.propertyId, name: e.name, flows: [] });
+    const position = positions.get(e.propertyId ?? e.target);
+    if (position) position.flows.push(flow);
+    else if (PORTFOLIO_FLOWS.has(e.action)) portfolioFlows.push(flow);
+  }
+
+  for (const p of state.properties) {
+    const position = positions.get(p.id);
+    if (!position) continue;
+    const { net, netBeforeDebt } = saleProceeds(state, p, computePropertySnapshot(state, p, productsById));
+    position.held = true;
+    position.flows.push({ t: state.year, levered: net, unlevered: netBeforeDebt, kind: "terminal" });
+  }
+  if (state.rescue) portfolioFlows.push({ t: state.year, levered: -state.rescue.balance, unlevered: 0, kind: "terminal" });
+
+  const list = [...positions.values()];
+  return {
+    discountRate,
+    properties: list.map(x => ({ id: x.id, name: x.name, held: Boolean(x.held), ...datedMetrics(x.flows, discountRate) })),
+    portfolio: datedMetrics([...list.flatMap(x => x.flows), ...portfolioFlows], discountRate)
+  };
+}
+
+// ----------------- history -----------------
+// A snapshot at the start of the run and after every year-end. book is what the properties would net
+// sold that day (as in runReturns), and journalIndex where the journal stood, so the cash that moved
+// between two snapshots can be read back. Properties carry what the year-end report's schedule needs;
+// leaseTerm is the WALT on a rent roll, the lease's years left otherwise (null for unit mixes and builds).
+function recordHistory(ctx) {
+  const { state } = ctx;
+  const port = computePortfolio(state, ctx.productTypesById);
+  const properties = {};
+  let book = 0;
+  for (const p of state.properties) {
+    const snap = computePropertySnapshot(state, p, ctx.productTypesById);
+    book += saleProceeds(state, p, snap).net;
+    const ratio = dscr(snap.noi, snap.ds.payment);
+    properties[p.id] = {
+      name: p.name,
+      productType: p.productType,
+      neighborhood: p.neighborhood,
+      value: snap.value,
+      debt: p.loanBalance,
+      noi: snap.noi,
+      debtService: snap.ds.payment,
+      dscr: isFinite(ratio) ? ratio : null,
+      maturityYear: p.maturityYear ?? null,
+      leaseTerm: snap.leasing ? snap.leasing.walt : p.lease && !p.build ? p.lease.yearsRemaining : null,
+      status: p.build ? p.build.phase : "stabilized"
+    };
+  }
+  state.history.push({
+    year: state.year,
+    journalIndex: state.journal.length,
+    cash: state.cash,
+    equity: port.equity,
+    debt: port.totalDebt,
+    value: port.totalValue,
+    noi: port.totalNOI,
+    cf: port.totalCF,
+    dscr: isFinite(port.portfolioDSCR) ? port.portfolioDSCR : null,
+    book,
+    properties,
+    neighborhoods: Object.fromEntries(state.neighborhoods.map(n => [n.id, { rentIndex: n.rentIndex, vacancy: n.vacancy, capRate: n.capRate }]))
+  });
+}
+
+// Cash the sponsor put into properties (negative) or took out of them in a run of journal entries
+function bookCash(entries) {
+  let cash = 0;
+  for (const e of entries) {
+    if (!PORTFOLIO_FLOWS.has(e.action)) cash += e.cash || 0;
+    for (const f of Object.values(e.byProperty || {})) cash += f.cash;
+  }
+  return cash;
+}
+
+// Outside money in the sponsor's account: rescue capital coming in and being paid back
+const OUTSIDE_FLOWS = new Set(["RESTRUCTURE", "RESCUE_REPAID"]);
+
+// Time- and money-weighted returns from the first snapshot to the last year-end, for the whole run
+// (cash plus the property book) and for the book alone (each property at what it would net sold).
+// The run's only outside money is rescue capital, so its TWR and MWR split only after a restructuring;
+// the book's outside money is what the sponsor put into properties or took out of them.
+// { since, through, periods: [{ year, begin, end, flow }], twr, mwr, returns, book: { periods, twr, mwr, returns } }
+export function runPerformance(state) {
+  const h = state.history || [];
+  const periods = [];
+  const book = [];
+  for (let i = 1; i < h.length; i++) {
+    const moved = state.journal.slice(h[i - 1].journalIndex, h[i].journalIndex);
+    const outside = moved.filter(e => OUTSIDE_FLOWS.has(e.action)).reduce((a, e) => a + (e.cash || 0), 0);
+    const year = h[i - 1].year;
+    periods.push({ year, begin: h[i - 1].cash + h[i - 1].book, end: h[i].cash + h[i].book, flow: outside });
+    book.push({ year, begin: h[i - 1].book, end: h[i].book, flow: -bookCash(moved) });
+  }
+  return {
+    since: h[0]?.year ?? null,
+    through: h.length ? h[h.length - 1].year : null,
+    periods,
+    ...weightedReturns(periods),
+    book: { periods: book, ...weightedReturns(book) }
+  };
+}
+
+// ----------------- market / listings -----------------
+function pickEvent(ctx, events) {
+  const { profile } = ctx.state;
+  const roll = ctx.rng();
+  if (roll < 1 - profile.eventChance) return null;
+  return pickWeighted(events, profile.eventWeights, ctx.rng());
+}
+
+function generateListings(ctx) {
+  const { state, data, rng } = ctx;
+  const listings = [];
+  // Buildings under contract are off the market
+  const listed = new Set(state.contracts.map(c => c.listing.parcelId));
+
+  for (let i = 0; i < 3; i++) {
+    const n = state.neighborhoods[Math.floor(rng() * state.neighborhoods.length)];
+    // A listing is a building the market holds; what stands on the parcel is what's for sale
+    const forSale = marketParcels(state, n.id, listed).filter(pc => ctx.productTypesById[pc.use]);
+    if (forSale.length === 0) continue;
+
+    const parcel = forSale[Math.floor(rng() * forSale.length)];
+    listed.add(parcel.id);
+    const productType = parcel.use;
+    const product = ctx.productTypesById[productType];
+
+    const baseNOI = 350000 + rng() * 900000;
+
+    // Commercial listings come with their rent roll and multifamily with its unit mix;
+    // the price reflects how well it's leased and how far rents sit below market
+    const rollRules = rentRollRules(product);
+    const rentRoll = rollRules
+      ? generateRentRoll(rollRules, {
+          gpr: listingOps(n, product, baseNOI).gpr,
+          marketRentIndex: n.rentIndex,
+          marketVacancy: productVacancy(n, productType),
+          year: state.year,
+          rng
+        })
+      : null;
+    const mixRules = unitMixRules(product);
+    const unitMix = mixRules
+      ? generateUnitMix(mixRules, { gpr: listingOps(n, product, baseNOI).gpr, marketRentIndex: n.rentIndex, rng })
+      : null;
+    // Priced off the NOI a lender underwrites (the product's own vacancy, not the neighborhood's blend).
+    // Listing quality prices deals off the neighborhood cap rate: + is cheaper, - is bid up
+    const noi = listingNOI(state, { neighborhood: n.id, productType, baseNOI, rentRoll, unitMix }, ctx.productTypesById);
+    const cap = clamp(n.capRate + (rng() - 0.5) * 0.01 + state.profile.listingQuality * 0.005, 0.04, 0.12);
+
+    const loanRate = clamp(state.market.baseRate + state.market.spread + 0.012 + (rng() * 0.01), 0.03, 0.14);
+
+    const listing = {
+      id: `L${state.year}-${i}-${Math.floor(rng()*1e6)}`,
+      name: `${n.name} — ${product.name}`,
+      neighborhood: n.id,
+      parcelId: parcel.id,
+      productType,
+      price: Math.round(noi / cap / 1000) * 1000,
+      baseNOI,
+      rentRoll,
+      unitMix,
+      loanTerms: { rate: loanRate, amortYears: 30, interestOnly: false }
+    };
+    // Rivals put in their bids up front; the best one closes at year-end unless the player pays more
+    listing.bid = bestBid(state, data, { productType, price: listing.price, noi, rng });
+    listings.push(listing);
+  }
+
+  state.listings = listings;
+}
+
+// A listing's operating statement at today's market rent and vacancy (same basis as seedOps)
+function listingOps(n, product, baseNOI) {
+  const rentIndex = n.rentIndex;
+  const vacancy = productVacancy(n, product.id);
+  const noi = computeNOI({ baseNOI, rentIndex, vacancy, expenseRatio: product.baseExpenseRatio });
+  return seedOperatingStatement({ noi, rentIndex, vacancy, product });
+}
+
+// A listing's in-place rent index and vacancy: from its rent roll or unit mix, else today's market
+function listingRent(n, { productType, rentRoll, unitMix }) {
+  if (rentRoll) return rentRollMetrics(rentRoll, n.rentIndex);
+  if (unitMix) return { rentIndex: unitMixMetrics(unitMix, n.rentIndex).rentIndex, vacancy: productVacancy(n, productType) };
+  return { rentIndex: n.rentIndex, vacancy: productVacancy(n, productType) };
+}
+
+// In-place NOI a lender underwrites for a listing: today's market rent and vacancy, or the rent roll
+function listingNOI(state, listing, productsById) {
+  const n = getNeighborhood(state, listing.neighborhood);
+  const ops = listingOps(n, productsById[listing.productType], listing.baseNOI);
+  return computeOperatingStatement(ops, { ...listingRent(n, listing), marketVacancy: productVacancy(n, listing.productType) }).noi;
+}
+
+// The acquisition loan a lender offers on a listing today for a debt product, at the price it takes
+// to win it (the listing carries only the base rate).
+export function listingLoanOffer(state, data, listing, productId = DEFAULT_DEBT_PRODUCT) {
+  const noi = listingNOI(state, listing, productTypesById(data));
+  const price = winningPrice(listing);
+  const rate = productRate(listing.loanTerms.rate, productId);
+  const sized = sizeProductLoan({ value: price, noi, rate, market: state.market, productId });
+  const closingCosts = price * state.profile.transactionCosts.buyPct;
+
+  return {
+    ...sized,
+    debtProduct: debtProduct(productId).id,
+    price,
+    ltv: price > 0 ? sized.amount / price : 0,
+    rate,
+    down: price - sized.amount,
+    closingCosts,
+    cashNeeded: price - sized.amount + closingCosts,
+    noi
+  };
+}
+
+export function canBuy(state, data, listing, productId = DEFAULT_DEBT_PRODUCT) {
+  return state.cash >= listingLoanOffer(state, data, listing, productId).cashNeeded;
+}
+
+// ----------------- player actions -----------------
+// Take title to a listing on a sized loan: the property with its maturity, LTV, parcel and leases.
+// The caller has already collected the cash.
+function acquireListing(ctx, listing, offer) {
+  const { state } = ctx;
+  const maturityYears = makeMaturityYears(ctx);
+
+  const p = {
+    id: `P${listing.id}`,
+    name: listing.name,
+    neighborhood: listing.neighborhood,
+    productType: listing.productType,
+    baseNOI: listing.baseNOI,
+
+    rentIndexMult: 1.0,
+    vacancyDelta: 0.0,
+    capRateDelta: 0.0,
+
+    renoLevel: 0,
+
+    ltv: offer.ltv,
+    ...makeLoan(offer.debtProduct, {
+      amount: offer.amount,
+      rate: offer.rate,
+      year: state.year,
+      baseRate: state.market.baseRate,
+      maturityYears
+    }),
+
+    build: null
+  };
+
+  state.properties.push(p);
+  assignParcel(state, p, listing.parcelId);
+  p.ops = seedOps(state, p, ctx.productTypesById[p.productType]);
+  if (listing.rentRoll) p.rentRoll = deepCopy(listing.rentRoll);
+  else if (listing.unitMix) p.unitMix = deepCopy(listing.unitMix);
+  else initLeaseForProperty(ctx, p);
+
+  recordComp(state, { year: state.year, neighborhood: p.neighborhood, productType: p.productType, price: offer.price, noi: offer.noi, cap: offer.noi / offer.price, buyer: "player" });
+  return p;
+}
+
+function loanNote(offer) {
+  return `${debtProduct(offer.debtProduct).name} loan ${money(offer.amount)} ${offer.refused ? "— lenders closed, all cash" : `${offer.constraint}-sized`}`;
+}
+
+// Issues nobody found before closing land on the new owner: repair bills come out of cash,
+// a reassessment raises taxes and bad estoppels cut rent
+function applySurprises(ctx, p, issues, price) {
+  const { state } = ctx;
+  const product = ctx.productTypesById[p.productType];
+  const noi = computePropertySnapshot(state, p, ctx.productTypesById).noi;
+
+  for (const x of issues) {
+    let amount = retradeAmount(x, price);
+    let paid = {};
+    if (x.kind === "taxes") {
+      amount = noi * x.size;
+      p.ops.expenses.taxes += amount;
+    } else if (x.kind === "rent") {
+      amount = noi * x.size;
+      p.rentIndexMult *= 1 - x.size * (1 - product.baseExpenseRatio);
+    } else {
+      state.cash -= amount;
+      paid = { cash: -amount, unlevered: -amount };
+    }
+    recordAuto(ctx, "SURPRISE", { target: p.id, name: p.name, issue: x.name, kind: x.kind, amount, ...paid });
+    emit(ctx, "SURPRISE", `⚠️ After closing on ${p.name}: ${x.name}. ${x.kind === "taxes" || x.kind === "rent" ? `NOI down ${money(amount)}/yr.` : `${money(amount)} to fix, paid from cash.`}`, { target: p.id });
+  }
+}
+
+// BUY is a purchase as-is at the price it takes to win the listing: no diligence, no contingencies
+function buyListing(ctx, listingId, productId = DEFAULT_DEBT_PRODUCT) {
+  const { state } = ctx;
+  const listing = state.listings.find(x => x.id === listingId);
+  if (!listing) return;
+
+  const offer = listingLoanOffer(state, ctx.data, listing, productId);
+  if (state.cash < offer.cashNeeded) {
+    emit(ctx, "BLOCKED", `Not enough cash to buy ${listing.name}. Lender offers ${money(offer.amount)}, so you need ${money(offer.down)} down plus ${money(offer.closingCosts)} closing costs.`);
+    return;
+  }
+
+  state.cash -= offer.cashNeeded;
+  const p = acquireListing(ctx, listing, offer);
+  state.listings = state.listings.filter(x => x.id !== listingId);
+
+  const outbid = listing.bid ? ` Outbid ${listing.bid.name} (${money(listing.bid.price)}).` : "";
+  record(ctx, "BUY", {
+    target: listing.id, name: listing.name, price: offer.price, debtProduct: offer.debtProduct, closingCosts: offer.closingCosts,
+    propertyId: p.id, cash: -offer.cashNeeded, unlevered: -(offer.price + offer.closingCosts)
+  });
+  emit(ctx, "BUY", `Bought ${listing.name} as-is for ${money(offer.price)} (down ${money(offer.down)}, closing costs ${money(offer.closingCosts)}, ${loanNote(offer)}). Loan balloons Y${p.maturityYear}.${outbid}`, { target: p.id });
+  applySurprises(ctx, p, listingIssues(state.rng.seed, listing.id), offer.price);
+}
+
+// ----------------- offers and contracts -----------------
+// OFFER: the seller accepts, counters or rejects (engine/acquisition.js). An accepted offer is a
+// contract: the deposit goes into escrow and diligence reports straight away.
+function makeOffer(ctx, { listingId, price, deposit, ddDays, financing }) {
+  const { state } = ctx;
+  const listing = state.listings.find(x => x.id === listingId);
+  if (!listing) return;
+
+  const neg = listing.negotiation || { offers: 0, counter: null };
+  if (neg.offers >= MAX_OFFERS) {
+    emit(ctx, "BLOCKED", `The seller of ${listing.name} has stopped taking offers.`);
+    return;
+  }
+  const offered = Math.round(Number(price) / 1000) * 1000;
+  if (!Number.isFinite(offered) || offered <= 0) {
+    emit(ctx, "BLOCKED", `Offer on ${listing.name} needs a price.`);
+    return;
+  }
+  const terms = {
+    price: offered,
+    deposit: Math.round(clamp(Number(deposit) || 0, offered * DEPOSIT_MIN, offered * DEPOSIT_MAX)),
+    ddDays: ddPeriod(ddDays),
+    financing: Boolean(financing)
+  };
+  if (state.cash < terms.deposit) {
+    emit(ctx, "BLOCKED", `Not enough cash for a ${money(terms.deposit)} deposit on ${listing.name}.`);
+    return;
+  }
+
+  const answer = sellerResponse({ ask: listing.price, rivalBid: listing.bid?.price, liquidity: state.market.liquidity, counter: neg.counter, offer: terms, rng: ctx.rng });
+  listing.negotiation = { offers: neg.offers + 1, counter: answer.counter ?? neg.counter, terms };
+
+  record(ctx, "OFFER", { target: listing.id, name: listing.name, ...terms, response: answer.response, counter: answer.counter ?? null });
+  const termsNote = `${money(terms.deposit)} deposit, ${terms.ddDays}-day diligence${terms.financing ? ", financing contingency" : ""}`;
+  if (answer.response === "rejected") {
+    emit(ctx, "OFFER", `Offer of ${money(terms.price)} on ${listing.name} rejected. The seller won't counter that far from ${money(listing.price)}.`, { target: listing.id });
+  } else if (answer.response === "countered") {
+    emit(ctx, "OFFER", `The seller of ${listing.name} countered your ${money(terms.price)} at ${money(answer.counter)} (${MAX_OFFERS - listing.negotiation.offers} offer(s) left).`, { target: listing.id });
+  } else {
+    emit(ctx, "OFFER", `Offer accepted: ${listing.name} at ${money(terms.price)} (${termsNote}).`, { target: listing.id });
+    signContract(ctx, listing, terms);
+  }
+}
+
+function signContract(ctx, listing, terms) {
+  const { state } = ctx;
+  state.cash -= terms.deposit;
+  state.listings = state.listings.filter(x => x.id !== listing.id);
+
+  const { found } = diligence(listingIssues(state.rng.seed, listing.id), terms.ddDays);
+  const killer = found.find(x => x.kind === "kill");
+  if (killer) {
+    state.cash += terms.deposit;
+    recordAuto(ctx, "DEAL_KILLED", { target: listing.id, name: listing.name, issue: killer.name });
+    emit(ctx, "DILIGENCE", `🚫 Diligence killed ${listing.name}: ${killer.name}. Your ${money(terms.deposit)} deposit comes back.`, { target: listing.id });
+    return;
+  }
+
+  const findings = found.map(x => ({ name: x.name, kind: x.kind, amount: retradeAmount(x, terms.price) }));
+  const retrade = findings.reduce((a, x) => a + x.amount, 0);
+  const { negotiation, bid, ...rest } = listing;
+  const contracted = { ...rest, price: terms.price - retrade, bid: null };
+
+  state.contracts.push({
+    id: listing.id,
+    name: listing.name,
+    listing: contracted,
+    agreedPrice: terms.price,
+    price: contracted.price,
+    deposit: terms.deposit,
+    ddDays: terms.ddDays,
+    financing: terms.financing,
+    // what the lender offered at signing; the financing contingency covers a loan that comes in short of it
+    loanAtSigning: listingLoanOffer(state, ctx.data, contracted).amount,
+    year: state.year,
+    phase: "diligence",
+    findings
+  });
+
+  emit(ctx, "DILIGENCE", findings.length
+    ? `Diligence on ${listing.name}: ${findings.map(x => `${x.name} (${money(x.amount)})`).join("; ")}. The seller re-trades to ${money(contracted.price)}.`
+    : `Diligence on ${listing.name} came back clean.`, { target: listing.id });
+  emit(ctx, "DILIGENCE", `Close any time this year, or walk and get the deposit back. At year-end the deposit goes hard.`, { target: listing.id });
+}
+
+// True when the lender now offers meaningfully less than it did at signing (or nothing at all)
+function financingShort(state, data, c, productId = DEFAULT_DEBT_PRODUCT) {
+  const offer = listingLoanOffer(state, data, c.listing, productId);
+  return offer.refused || offer.amount < c.loanAtSigning * 0.95;
+}
+
+// Close a contract: the deposit counts toward the down payment. Returns false if the cash isn't there.
+function closeContract(ctx, contractId, productId = DEFAULT_DEBT_PRODUCT, { auto = false } = {}) {
+  const { state } = ctx;
+  const c = state.contracts.find(x => x.id === contractId);
+  if (!c) return false;
+
+  const offer = listingLoanOffer(state, ctx.data, c.listing, productId);
+  const cashNeeded = offer.cashNeeded - c.deposit;
+  if (state.cash < cashNeeded) {
+    if (!auto) emit(ctx, "BLOCKED", `Not enough cash to close ${c.name}: need ${money(cashNeeded)} beyond the deposit (lender offers ${money(offer.amount)}).`);
+    return false;
+  }
+
+  state.cash -= cashNeeded;
+  state.contracts = state.contracts.filter(x => x.id !== c.id);
+  const p = acquireListing(ctx, c.listing, offer);
+
+  // The deposit counts toward the equity here, when the contract resolves
+  const fields = {
+    target: c.id, name: c.name, price: c.price, debtProduct: offer.debtProduct, closingCosts: offer.closingCosts,
+    propertyId: p.id, cash: -offer.cashNeeded, unlevered: -(offer.price + offer.closingCosts)
+  };
+  if (auto) recordAuto(ctx, "CLOSE", fields);
+  else record(ctx, "CLOSE", fields);
+  emit(ctx, "CLOSE", `Closed on ${c.name} for ${money(c.price)}${c.price < c.agreedPrice ? ` (re-traded from ${money(c.agreedPrice)})` : ""}: deposit ${money(c.deposit)} applied, ${money(cashNeeded)} more at closing, ${loanNote(offer)}. Loan balloons Y${p.maturityYear}.`, { target: p.id });
+  applySurprises(ctx, p, diligence(listingIssues(state.rng.seed, c.id), c.ddDays).missed, c.price);
+  return true;
+}
+
+// Walk away: free during diligence; once the deposit is hard only a short loan under a financing
+// contingency gets it back
+function walkAway(ctx, contractId, { auto = false } = {}) {
+  const { state } = ctx;
+  const c = state.contracts.find(x => x.id === contractId);
+  if (!c) return;
+
+  const refunded = c.phase === "diligence" || (c.financing && financingShort(state, ctx.data, c));
+  if (refunded) state.cash += c.deposit;
+  state.contracts = state.contracts.filter(x => x.id !== c.id);
+
+  const fields = { target: c.id, name: c.name, deposit: c.deposit, refunded, ...(refunded ? {} : { cash: -c.deposit }) };
+  if (auto) recordAuto(ctx, "WALK", fields);
+  else record(ctx, "WALK", fields);
+  emit(ctx, "WALK", refunded
+    ? `Walked away from ${c.name}. The ${money(c.deposit)} deposit comes back${c.phase === "diligence" ? "" : " under the financing contingency"}.`
+    : `💸 ${auto ? "Failed to close" : "Walked away from"} ${c.name}: the ${money(c.deposit)} deposit is forfeited.`, { target: c.id });
+}
+
+// Year-end: diligence periods end and deposits go hard; hard contracts from last year close or default
+function advanceContracts(ctx) {
+  const { state } = ctx;
+  for (const c of [...state.contracts]) {
+    if (c.phase === "diligence") {
+      c.phase = "hard";
+      emit(ctx, "DILIGENCE", `Diligence is over on ${c.name}: the ${money(c.deposit)} deposit is hard. Close by the end of Y${state.year + 1} or lose it.`, { target: c.id });
+    } else if (!closeContract(ctx, c.id, DEFAULT_DEBT_PRODUCT, { auto: true })) {
+      walkAway(ctx, c.id, { auto: true });
+    }
+  }
+}
+
+// ----------------- development -----------------
+// Quotes are deterministic (no RNG), so the pro forma the player sees is the budget they commit to.
+// Yield on cost is stabilized NOI at today's rent and vacancy over the total budget.
+export function quoteBuild(state, data, { neighborhoodId, productType, size, parcelId = null }) {
+  const n = getNeighborhood(state, neighborhoodId);
+  const product = productTypesById(data)[productType];
+  if (!n || !product) return { ok: false, reason: "Pick a neighborhood and a product type." };
+
+  const built = buildSize(product, size);
+  const budget = developmentBudget(product, n, built);
+  const noi = stabilizedNOI(product, n, built);
+  const capRate = clamp(n.capRate, 0.03, 0.14);
+  const value = valueFromNOI(noi, capRate);
+  const terms = lenderTerms(state.market);
+  const loan = sizeConstructionLoan({ cost: budget.total, terms });
+  const entitlement = entitlementOdds(n);
+  const parcel = vacantParcel(state, neighborhoodId, productType, parcelId);
+
+  const q = {
+    ok: true,
+    neighborhoodId,
+    productType,
+    parcelId: parcel?.id ?? null,
+    name: `${n.name} — New ${product.name}`,
+    size: built,
+    unit: product.build.size.unit,
+    budget,
+    upfront: upfrontCost(budget),
+    noi,
+    yieldOnCost: budget.total > 0 ? noi / budget.total : 0,
+    capRate,
+    value,
+    margin: value - budget.total,
+    loan: loan.amount,
+    loanRefused: loan.refused,
+    equity: budget.total - loan.amount,
+    entitlement,
+    years: entitlement.minYears + product.build.yearsToBuild + product.build.yearsToStabilize
+  };
+
+  if (!n.zoning.includes(productType)) return { ...q, ok: false, reason: `Zoning does not allow ${product.name} in ${n.name}.` };
+  if (!parcel) {
+    return { ...q, ok: false, reason: parcelId ? `Parcel ${parcelId} is not vacant land zoned for ${product.name}.` : `No vacant land zoned for ${product.name} is left in ${n.name}.` };
+  }
+  if (state.cash < q.upfront) return { ...q, ok: false, reason: `Need ${money(q.upfront)} for the site and entitlement work.` };
+  return q;
+}
+
+// Site acquisition: buy the land and start entitlement. The construction loan is sized once entitled.
+function startBuild(ctx, neighborhoodId, productType, size = null, parcelId = null) {
+  const { state, rng } = ctx;
+  const q = quoteBuild(state, ctx.data, { neighborhoodId, productType, size, parcelId });
+  if (!q.ok) {
+    emit(ctx, "BLOCKED", `Build blocked: ${q.reason}`);
+    return;
+  }
+
+  const product = ctx.productTypesById[productType];
+  state.cash -= q.upfront;
+
+  const p = {
+    id: `B${state.year}-${Math.floor(rng()*1e6)}`,
+    name: q.name,
+    neighborhood: neighborhoodId,
+    parcelId: q.parcelId,
+    productType,
+
+    // NOI at rent index 1.0 with no vacancy
+    baseNOI: q.size * product.build.rentPerUnit * (1 - product.baseExpenseRatio),
+    ...(unitMixRules(product) ? { units: q.size } : {}),
+
+    rentIndexMult: 1.0,
+    vacancyDelta: 0.0,
+    capRateDelta: 0.0,
+
+    renoLevel: 0,
+
+    ltv: 0,
+    loanBalance: 0,
+    loanRate: 0,
+    amortYears: 30,
+    interestOnly: true,
+    debtProduct: "construction",
+    rateType: "fixed",
+    prepay: null,
+    covenants: null,
+
+    maturityYear: null,
+    build: {
+      phase: "entitlement",
+      yearsRemaining: product.build.yearsToBuild,
+      stabilizeYearsRemaining: product.build.yearsToStabilize,
+      leaseUpVacancy: product.build.leaseUpVacancy,
+      dev: {
+        size: q.size,
+        unit: q.unit,
+        budget: q.budget,
+        spent: { land: q.budget.land, soft: q.upfront - q.budget.land, hard: 0, contingency: 0, overrun: 0 },
+        yearsToBuild: product.build.yearsToBuild,
+        entitlement: { ...q.entitlement, years: 0 },
+        loanCommitment: 0,
+        equityRequired: 0,
+        equityFunded: q.upfront
+      }
+    }
+  };
+
+  p.ops = developmentOps(product, q.size);
+  state.properties.push(p);
+  claimParcel(state, parcelById(state, q.parcelId), { use: productType, owner: "player", propertyId: p.id });
+
+  // Lease will be initialized at stabilization (not during construction)
+
+  record(ctx, "BUILD", {
+    target: neighborhoodId, name: p.name, productType, parcelId: q.parcelId, size: q.size, unit: q.unit, cost: q.budget.total,
+    propertyId: p.id, cash: -q.upfront, unlevered: -q.upfront
+  });
+  emit(ctx, "BUILD", `Bought a site for ${p.name}: ${q.size.toLocaleString()} ${q.unit}, budget ${money(q.budget.total)} (${pct(q.yieldOnCost)} yield on cost). Paid ${money(q.upfront)} for land and entitlement work; ${pct(q.entitlement.chance)} approval odds per hearing.`, { target: p.id });
+}
+
+// SELL + RENOVATE + REFI WALL
+// What a sale fetches today: the price less selling costs, then the loan, any prepayment penalty
+// and the lender handing back trapped cash
+export function saleProceeds(state, p, snap) {
+  const salePrice = snap.value;
+  const sellingCosts = salePrice * state.profile.transactionCosts.sellPct;
+  const penalty = prepaymentPenalty(p, state.market, state.year);
+  const netBeforeDebt = salePrice - sellingCosts;
+  const net = netBeforeDebt - p.loanBalance - penalty + (p.trappedCash || 0);
+  return { salePrice, sellingCosts, penalty, netBeforeDebt, net };
+}
+
+function sellProperty(ctx, propertyId, { auto = false } = {}) {
+  const { state } = ctx;
+  const idx = state.properties.findIndex(x => x.id === propertyId);
+  if (idx < 0) return;
+
+  const p = state.properties[idx];
+  const snap = computePropertySnapshot(state, p, ctx.productTypesById);
+
+  const { salePrice, sellingCosts, penalty, netBeforeDebt, net } = saleProceeds(state, p, snap);
+
+  state.cash += net;
+  state.properties.splice(idx, 1);
+  releaseParcel(state, propertyId);
+  recordComp(state, { year: state.year, neighborhood: p.neighborhood, productType: p.productType, price: salePrice, noi: snap.noi, cap: salePrice > 0 ? snap.noi / salePrice : 0, buyer: "market" });
+
+  const fields = { target: propertyId, name: p.name, price: salePrice, net, penalty, cash: net, unlevered: netBeforeDebt };
+  if (auto) recordAuto(ctx, "SELL", fields);
+  else record(ctx, "SELL", fields);
+  emit(ctx, "SELL", `Sold ${p.name} for ${money(salePrice)} (costs ${money(sellingCosts)}). Paid off debt ${money(p.loanBalance)}${penalty > 0 ? ` plus ${money(penalty)} prepayment penalty` : ""}.${p.trappedCash > 0 ? ` Lender released ${money(p.trappedCash)} of trapped cash.` : ""} Net proceeds ${money(net)}.`, { target: propertyId });
+}
+
+// Multifamily with a unit mix renovates doors: `units` classic units (default a quarter of the building)
+// at the unit type's cost per door, each re-leased at its premium
+function renovateUnitMix(ctx, p, units) {
+  const { state } = ctx;
+  const left = classicUnits(p.unitMix);
+  if (left <= 0) {
+    emit(ctx, "BLOCKED", `${p.name}: Every unit is already renovated.`);
+    return;
+  }
+
+  const total = unitMixMetrics(p.unitMix, 1).units;
+  const wanted = clamp(Math.floor(Number.isFinite(units) ? units : Math.ceil(total * 0.25)), 1, left);
+  const { cost } = renovationPlan(p.unitMix, wanted);
+  if (state.cash < cost) {
+    emit(ctx, "BLOCKED", `Not enough cash to renovate ${wanted} units at ${p.name}. Need ${money(cost)}.`);
+    return;
+  }
+
+  const n = getNeighborhood(state, p.neighborhood);
+  const done = renovateUnits(p.unitMix, { units: wanted, marketRentIndex: marketRentIndex(n, p) });
+  state.cash -= done.cost;
+  p.renoLevel = (p.renoLevel || 0) + 1;
+  // New kitchens and systems cut repairs on the renovated share
+  if (p.ops) p.ops.expenses.repairs *= 1 - 0.08 * done.doors / total;
+
+  record(ctx, "RENO", { target: p.id, name: p.name, cost: done.cost, units: done.doors, premium: done.premium, cash: -done.cost, unlevered: -done.cost });
+  emit(ctx, "RENO", `Renovated ${done.doors} units at ${p.name} for ${money(done.cost)} (${money(done.cost / done.doors)}/door). Rent premium +${money(done.premium)}/yr; ${left - done.doors} classic units left.`, { target: p.id });
+}
+
+function renovateProperty(ctx, propertyId, units = null) {
+  const { state } = ctx;
+  const p = state.properties.find(x => x.id === propertyId);
+  if (!p) return;
+  if (p.unitMix && !p.build) return renovateUnitMix(ctx, p, units);
+
+  const maxLevel = 3;
+  if ((p.renoLevel || 0) >= maxLevel) {
+    emit(ctx, "BLOCKED", `${p.name}: Renovation maxed out.`);
+    return;
+  }
+
+  const snap = computePropertySnapshot(state, p, ctx.productTypesById);
+
+  const nextLevel = (p.renoLevel || 0) + 1;
+  const baseCost = snap.value * 0.03;
+  const cost = clamp(baseCost * (1 + (nextLevel - 1) * 0.35), 200000, 5000000);
+
+  if (state.cash < cost) {
+    emit(ctx, "BLOCKED", `Not enough cash to renovate ${p.name}. Need ${money(cost)}.`);
+    return;
+  }
+
+  state.cash -= cost;
+  p.renoLevel = nextLevel;
+
+  // Rent premium + better vacancy
+  p.rentIndexMult = clamp(p.rentIndexMult + 0.03, 0.8, 1.35);
+  p.vacancyDelta = clamp(p.vacancyDelta - 0.005, -0.08, 0.20);
+  // New systems cut repairs
+  if (p.ops) p.ops.expenses.repairs *= 0.92;
+
+  // IMPORTANT: lease rent should gradually reflect the premium via rollPct,
+  // but we also nudge in-place rent slightly so renos feel immediate.
+  if (p.lease && typeof p.lease.leaseRentIndex === "number") {
+    p.lease.leaseRentIndex = clamp(p.lease.leaseRentIndex * 1.01, 0.6, 2.0);
+  }
+
+  record(ctx, "RENO", { target: propertyId, name: p.name, cost, level: p.renoLevel, cash: -cost, unlevered: -cost });
+  emit(ctx, "RENO", `Renovated ${p.name} (Level ${p.renoLevel}). Cost ${money(cost)}. Rent premium ↑, vacancy ↓.`, { target: propertyId });
+}
+
+// ----------------- financing: refi / paydown / extend -----------------
+// Quotes are deterministic (no RNG), so the preview the player confirms is exactly what executes.
+
+function debtSummary(noi, balance, rate, amortYears, interestOnly) {
+  const ds = annualDebtService({ balance, rate, amortYears, interestOnly });
+  return { loan: balance, rate, debtService: ds.payment, dscr: dscr(noi, ds.payment) };
+}
+
+// action: { type: "REFI" | "PAYDOWN" | "EXTEND" | "CAP", propertyId, amount?, debtProduct?, strike? }
+export function quoteFinancing(state, data, action) {
+  const p = state.properties.find(x => x.id === action.propertyId);
+  if (!p) return { ok: false, reason: "Property not found." };
+
+  const snap = computePropertySnapshot(state, p, productTypesById(data));
+  const io = isInterestOnly(p, state.year);
+  const before = {
+    ...debtSummary(snap.noi, p.loanBalance, p.loanRate, p.amortYears, io),
+    maturityYear: p.maturityYear
+  };
+  const quote = { ok: true, reason: null, kind: action.type, propertyId: p.id, name: p.name, value: snap.value, before, fee: 0, penalty: 0 };
+
+  if (p.build) return { ...quote, ok: false, reason: "Under construction: the construction loan converts at stabilization." };
+
+  if (action.type === "REFI") {
+    const product = debtProduct(action.debtProduct || DEFAULT_DEBT_PRODUCT);
+    const rate = productRate(quoteRate(state.market), product.id);
+    const sized = sizeProductLoan({ value: snap.value, noi: snap.noi, rate, market: state.market, productId: product.id });
+    if (sized.refused) return { ...quote, ok: false, reason: "Lenders aren't quoting: credit crunch. Try again when liquidity returns." };
+    const fee = sized.amount * LENDER.refiFeePct;
+    const penalty = prepaymentPenalty(p, state.market, state.year);
+    const cashDelta = sized.amount - p.loanBalance - fee - penalty;
+
+    Object.assign(quote, debtSummary(snap.noi, sized.amount, rate, 30, product.ioYears > 0), {
+      debtProduct: product.id,
+      fee,
+      penalty,
+      cashDelta,
+      constraint: sized.constraint,
+      maturityYear: state.year + (product.termYears || LENDER.refiTermYears)
+    });
+    if (cashDelta < 0 && state.cash < -cashDelta) {
+      return { ...quote, ok: false, reason: `Needs ${money(-cashDelta)} paid in; you have ${money(state.cash)}.` };
+    }
+    return quote;
+  }
+
+  if (action.type === "PAYDOWN") {
+    const amount = Math.min(Math.max(0, Number(action.amount) || 0), p.loanBalance);
+    const penalty = prepaymentPenalty(p, state.market, state.year, amount);
+    Object.assign(quote, debtSummary(snap.noi, p.loanBalance - amount, p.loanRate, p.amortYears, io), {
+      amount,
+      penalty,
+      cashDelta: -(amount + penalty),
+      maturityYear: p.maturityYear
+    });
+    if (amount <= 0) return { ...quote, ok: false, reason: "Enter an amount above $0." };
+    if (state.cash < amount + penalty) return { ...quote, ok: false, reason: `You only have ${money(state.cash)}.` };
+    return quote;
+  }
+
+  if (action.type === "EXTEND") {
+    const fee = p.loanBalance * LENDER.extendFeePct;
+    const rate = clamp(p.loanRate + LENDER.extendRateBump, 0.03, 0.18);
+    Object.assign(quote, debtSummary(snap.noi, p.loanBalance, rate, p.amortYears, io), {
+      fee,
+      cashDelta: -fee,
+      maturityYear: p.maturityYear + LENDER.extendYears
+    });
+    if ((p.extensions || 0) >= LENDER.maxExtensions) return { ...quote, ok: false, reason: "Lender won't extend this loan again." };
+    if (p.loanBalance <= 0) return { ...quote, ok: false, reason: "No loan to extend." };
+    if (state.cash < fee) return { ...quote, ok: false, reason: `Extension fee is ${money(fee)}; you have ${money(state.cash)}.` };
+    return quote;
+  }
+
+  if (action.type === "CAP") {
+    const strike = Number.isFinite(action.strike) ? action.strike : state.market.baseRate + 0.01;
+    const years = Math.max(1, p.maturityYear - state.year);
+    const fee = rateCapCost({ balance: p.loanBalance, strike, baseRate: state.market.baseRate, years });
+    Object.assign(quote, debtSummary(snap.noi, p.loanBalance, p.loanRate, p.amortYears, io), {
+      strike,
+      fee,
+      cashDelta: -fee,
+      maturityYear: p.maturityYear
+    });
+    if (p.rateType !== "floating") return { ...quote, ok: false, reason: "Only floating-rate loans take a rate cap." };
+    if (strike <= 0) return { ...quote, ok: false, reason: "Strike must be above 0%." };
+    if (state.cash < fee) return { ...quote, ok: false, reason: `The cap costs ${money(fee)}; you have ${money(state.cash)}.` };
+    return quote;
+  }
+
+  return { ok: false, reason: `Unknown financing action ${action.type}.` };
+}
+
+// A new loan takes out the old lender, who hands back any cash it was holding. Returns what came back.
+function releaseTrappedCash(ctx, p) {
+  if (!(p.trappedCash > 0)) return 0;
+  const released = p.trappedCash;
+  ctx.state.cash += released;
+  emit(ctx, "COVENANT", `${p.name}: old lender releases ${money(released)} of trapped cash.`, { target: p.id });
+  p.trappedCash = 0;
+  return released;
+}
+
+function applyFinancing(ctx, action) {
+  const { state } = ctx;
+  const q = quoteFinancing(state, ctx.data, action);
+  const p = state.properties.find(x => x.id === action.propertyId);
+  if (!p) return;
+
+  if (!q.ok) {
+    emit(ctx, "BLOCKED", `${p.name}: ${q.reason}`, { target: p.id });
+    return;
+  }
+
+  state.cash += q.cashDelta;
+
+  if (action.type === "REFI") {
+    const released = releaseTrappedCash(ctx, p);
+    Object.assign(p, makeLoan(q.debtProduct, {
+      amount: q.loan,
+      rate: q.rate,
+      year: state.year,
+      baseRate: state.market.baseRate,
+      maturityYears: LENDER.refiTermYears
+    }));
+    record(ctx, "REFI", { target: p.id, name: p.name, debtProduct: q.debtProduct, loan: q.loan, rate: q.rate, cashOut: q.cashDelta, penalty: q.penalty, maturityYear: q.maturityYear, cash: q.cashDelta + released });
+    emit(ctx, "REFI", `Refinanced ${p.name} into ${debtProduct(q.debtProduct).name}: new loan ${money(q.loan)} at ${pct(q.rate)} (${q.constraint}-sized, fee ${money(q.fee)}${q.penalty > 0 ? `, prepayment penalty ${money(q.penalty)}` : ""}). ${q.cashDelta >= 0 ? "Cash-out" : "Paid-in"} ${money(Math.abs(q.cashDelta))}. Balloon Y${q.maturityYear}.`, { target: p.id });
+  } else if (action.type === "PAYDOWN") {
+    p.loanBalance = q.loan;
+    record(ctx, "PAYDOWN", { target: p.id, name: p.name, amount: q.amount, penalty: q.penalty, loan: q.loan, cash: q.cashDelta });
+    emit(ctx, "PAYDOWN", `Paid down ${p.name} by ${money(q.amount)}${q.penalty > 0 ? ` (plus ${money(q.penalty)} prepayment penalty)` : ""}. Loan now ${money(q.loan)}, DSCR ${q.dscr.toFixed(2)}.`, { target: p.id });
+  } else if (action.type === "EXTEND") {
+    p.loanRate = q.rate;
+    if (p.rateType === "floating") p.floatMargin = (p.floatMargin ?? 0) + LENDER.extendRateBump;
+    p.maturityYear = q.maturityYear;
+    p.extensions = (p.extensions || 0) + 1;
+    if (p.rateCap) p.rateCap.expiresYear = Math.min(p.rateCap.expiresYear, q.maturityYear);
+    record(ctx, "EXTEND", { target: p.id, name: p.name, fee: q.fee, rate: q.rate, maturityYear: q.maturityYear, cash: q.cashDelta });
+    emit(ctx, "EXTEND", `Extended ${p.name} to Y${q.maturityYear} for ${money(q.fee)}. Rate now ${pct(q.rate)}.`, { target: p.id });
+  } else {
+    p.rateCap = { strike: q.strike, cost: q.fee, expiresYear: p.maturityYear };
+    record(ctx, "CAP", { target: p.id, name: p.name, strike: q.strike, cost: q.fee, expiresYear: p.maturityYear, cash: q.cashDelta });
+    emit(ctx, "CAP", `Bought a ${pct(q.strike)} rate cap on ${p.name} through Y${p.maturityYear} for ${money(q.fee)}.`, { target: p.id });
+  }
+}
+
+// Deal Judge buys arrive fully formed: the property and down payment travel in the action
+function importDeal(ctx, { dealId, price, down, property }) {
+  const { state } = ctx;
+
+  if (state.cash < down) {
+    emit(ctx, "BLOCKED", `Not enough cash for the ${property.name} down payment (${money(down)}).`);
+    return;
+  }
+
+  state.cash -= down;
+  const p = deepCopy(property);
+  if (!p.ops) p.ops = seedOps(state, p, ctx.productTypesById[p.productType]);
+  state.properties.push(p);
+  assignParcel(state, p);
+  if (!p.rentRoll && !p.unitMix && !p.lease) initLeaseForProperty(ctx, p);
+
+  record(ctx, "IMPORT_BUY", { target: dealId, name: property.name, price, down, property: deepCopy(property), propertyId: p.id, cash: -down, unlevered: -price });
+  emit(ctx, "IMPORT_BUY", `Imported ${property.name} from Deal Judge for ${money(price)} (down ${money(down)}).`, { target: property.id });
+}
+
+// ----------------- year-turn steps -----------------
+// Entitlement hearings and construction draws for builds with a development budget
+function advanceDevelopment(ctx, p) {
+  const { state } = ctx;
+  const dev = p.build.dev;
+
+  if (p.build.phase === "entitlement") {
+    const ent = dev.entitlement;
+    ent.years += 1;
+    if (ent.years < ent.minYears) {
+      emit(ctx, "ENTITLEMENT", `Entitlement: ${p.name} is in review (${ent.minYears - ent.years} year(s) to the hearing).`, { target: p.id });
+      return;
+    }
+    if (ctx.rng() < ent.chance) {
+      startConstruction(ctx, p);
+      return;
+    }
+    if (ent.years >= ent.maxYears) {
+      const recovered = deniedRecovery(dev);
+      const lost = spentToDate(dev) - recovered;
+      state.cash += recovered;
+      state.properties = state.properties.filter(x => x.id !== p.id);
+      releaseParcel(state, p.id, { vacate: true });
+      recordAuto(ctx, "ENTITLEMENT_DENIED", { target: p.id, name: p.name, recovered, lost, cash: recovered, unlevered: recovered });
+      emit(ctx, "ENTITLEMENT_DENIED", `🚫 Entitlement denied: ${p.name}. The site sells for ${money(recovered)}; ${money(lost)} of land and soft costs is gone.`, { target: p.id });
+      return;
+    }
+    emit(ctx, "ENTITLEMENT", `Entitlement: ${p.name}'s hearing was continued to next year (${ent.maxYears - ent.years} more before the city denies it).`, { target: p.id });
+    return;
+  }
+
+  const overrunPct = baseOverrun(ctx.rng) + eventOverrun(state.activeEvents, p.neighborhood);
+  const draw = constructionDraw(dev, { yearsRemaining: p.build.yearsRemaining, overrunPct });
+  const fund = fundDraw(dev, p.loanBalance, draw.total);
+
+  if (state.cash < fund.fromCash) {
+    // No equity for the draw: the job stops and the lender extends while interest keeps running
+    p.maturityYear += 1;
+    recordAuto(ctx, "CONSTRUCTION_STALLED", { target: p.id, name: p.name, needed: fund.fromCash });
+    emit(ctx, "CONSTRUCTION_STALLED", `⚠️ Construction stalled: ${p.name} needs ${money(fund.fromCash)} of equity for this year's draw. The lender extends to Y${p.maturityYear}; interest keeps running.`, { target: p.id });
+    return;
+  }
+
+  state.cash -= fund.fromCash;
+  p.loanBalance += fund.fromLoan;
+  dev.equityFunded += fund.fromCash;
+  dev.spent.hard += draw.hard;
+  dev.spent.soft += draw.soft;
+  dev.spent.contingency += draw.fromContingency;
+  dev.spent.overrun += draw.excess;
+  p.build.yearsRemaining -= 1;
+
+  const overrun = draw.overrun > 0
+    ? ` Overrun ${money(draw.overrun)} (${pct(overrunPct)} of the hard draw${draw.excess > 0 ? `, ${money(draw.excess)} past contingency` : ", covered by contingency"}).`
+    : "";
+  recordAuto(ctx, "DRAW", { target: p.id, name: p.name, amount: draw.total, equity: fund.fromCash, loan: fund.fromLoan, overrun: draw.overrun, cash: -fund.fromCash, unlevered: -draw.total });
+  emit(ctx, "CONSTRUCTION", `Construction draw: ${p.name} ${money(draw.total)} (equity ${money(fund.fromCash)}, loan ${money(fund.fromLoan)}).${overrun}`, { target: p.id });
+
+  if (p.build.yearsRemaining <= 0) {
+    p.build.phase = "leaseup";
+    addSupply(state, p.neighborhood, ctx.productTypesById[p.productType], dev.size);
+    recordAuto(ctx, "DELIVERED", { target: p.id, name: p.name, cost: spentToDate(dev) });
+    emit(ctx, "DELIVERED", `Delivered: ${p.name} at a total cost of ${money(spentToDate(dev))}. Now leasing up.`, { target: p.id });
+  } else {
+    emit(ctx, "CONSTRUCTION", `Construction progress: ${p.name} (${p.build.yearsRemaining} year(s) remaining).`, { target: p.id });
+  }
+}
+
+// Entitled: the construction lender commits on the full budget at today's terms. Equity goes in first.
+function startConstruction(ctx, p) {
+  const { state } = ctx;
+  const dev = p.build.dev;
+  const terms = lenderTerms(state.market);
+  const loan = sizeConstructionLoan({ cost: dev.budget.total, terms });
+
+  dev.loanCommitment = loan.amount;
+  dev.equityRequired = dev.budget.total - loan.amount;
+  p.build.phase = "construction";
+  p.ltv = terms.maxLTC;
+  p.loanRate = clamp(state.market.baseRate + state.market.spread + 0.02, 0.04, 0.16);
+  p.maturityYear = state.year + dev.yearsToBuild + p.build.stabilizeYearsRemaining + 1;
+
+  recordAuto(ctx, "ENTITLED", { target: p.id, name: p.name, years: dev.entitlement.years, loan: loan.amount });
+  emit(ctx, "ENTITLED", `✅ Entitled: ${p.name} after ${dev.entitlement.years} year(s). ${loan.refused
+    ? "Construction lenders are closed, so the build is all equity."
+    : `Construction loan commitment ${money(loan.amount)} (${pct(terms.maxLTC)} LTC) at ${pct(p.loanRate)}; your ${money(dev.equityRequired)} of equity goes in first.`}`, { target: p.id });
+}
+
+function processBuildPhases(ctx) {
+  const { state, rng } = ctx;
+
+  for (const p of [...state.properties]) {
+    if (!p.build) continue;
+
+    if (p.build.dev && p.build.phase !== "leaseup") {
+      advanceDevelopment(ctx, p);
+    } else if (p.build.phase === "construction") {
+      // Builds started before development budgets: fully funded up front, just count down
+      p.build.yearsRemaining -= 1;
+
+      if (p.build.yearsRemaining <= 0) {
+        p.build.phase = "leaseup";
+        addSupply(state, p.neighborhood, ctx.productTypesById[p.productType]);
+        recordAuto(ctx, "DELIVERED", { target: p.id, name: p.name });
+        emit(ctx, "DELIVERED", `Delivered: ${p.name}. Now leasing up.`, { target: p.id });
+      } else {
+        emit(ctx, "CONSTRUCTION", `Construction progress: ${p.name} (${p.build.yearsRemaining} year(s) remaining).`, { target: p.id });
+      }
+
+    } else if (p.build.phase === "leaseup") {
+      p.build.stabilizeYearsRemaining -= 1;
+      p.vacancyDelta = Math.max(p.vacancyDelta, p.build.leaseUpVacancy);
+
+      if (p.build.stabilizeYearsRemaining <= 0) {
+        p.build = null;
+        p.vacancyDelta = 0.0;
+
+        const permRate = clamp(state.market.baseRate + state.market.spread + 0.018 + (rng() * 0.01), 0.04, 0.16);
+        const maturityYears = makeMaturityYears(ctx);
+
+        // Initialize lease at stabilization
+        initLeaseForProperty(ctx, p, { delivered: true });
+
+        // Perm takeout: the lender sizes off stabilized NOI; any shortfall vs. the construction loan is paid in
+        const snap = computePropertySnapshot(state, p, ctx.productTypesById);
+        const perm = sizeLoan({ value: snap.value, noi: snap.noi, rate: permRate, terms: lenderTerms(state.market) });
+        const gap = Math.max(0, p.loanBalance - perm.amount);
+
+        if (gap > 0 && state.cash < gap) {
+          // No takeout: stay on the interest-only construction loan until it matures into the refi wall
+          p.maturityYear = Math.max(p.maturityYear, state.year + 1);
+          recordAuto(ctx, "TAKEOUT_FAILED", { target: p.id, name: p.name, gap });
+          emit(ctx, "TAKEOUT_FAILED", `Stabilized: ${p.name}, but the perm lender only offers ${money(perm.amount)} (${perm.constraint}). Short ${money(gap)}; construction loan stays until Y${p.maturityYear}.`, { target: p.id });
+        } else {
+          state.cash -= gap;
+          Object.assign(p, makeLoan(PLAIN_DEBT_PRODUCT, {
+            amount: p.loanBalance - gap,
+            rate: permRate,
+            year: state.year,
+            baseRate: state.market.baseRate,
+            maturityYears
+          }));
+          p.ltv = snap.value > 0 ? p.loanBalance / snap.value : 0;
+
+          recordAuto(ctx, "STABILIZED", { target: p.id, name: p.name, rate: p.loanRate, maturityYear: p.maturityYear, paidIn: gap, cash: -gap });
+          emit(ctx, "STABILIZED", `Stabilized: ${p.name}. Converted to perm loan${gap > 0 ? ` after paying in ${money(gap)} (${perm.constraint}-sized)` : ""}. Balloons in ${maturityYears} yrs (Y${p.maturityYear}).`, { target: p.id });
+        }
+      } else {
+        emit(ctx, "LEASE_UP", `Lease-up: ${p.name} (${p.build.stabilizeYearsRemaining} year(s) to stabilize).`, { target: p.id });
+      }
+    }
+  }
+}
+
+// Negative property cash flow is always funded by the sponsor; positive cash flow on a
+// breached loan is trapped with the lender or swept against principal instead.
+function applyOperatingCashFlow(ctx) {
+  const { state } = ctx;
+  let totalCF = 0, trapped = 0, swept = 0;
+  // What each property paid the sponsor (cash), its cash flow before debt service (unlevered), NOI and debt service
+  const byProperty = {};
+
+  for (const p of state.properties) {
+    const snap = computePropertySnapshot(state, p, ctx.productTypesById);
+    const leasingCosts = p.leasingCosts || 0;
+    p.leasingCosts = 0;
+    p.t12 = { year: state.year, ...snap.statement, leasingCosts };
+
+    p.loanBalance = Math.max(0, p.loanBalance - snap.ds.principal);
+
+    const cf = snap.noi - snap.ds.payment - leasingCosts;
+    totalCF += cf;
+    const flow = byProperty[p.id] = { cash: cf, unlevered: snap.noi - leasingCosts, noi: snap.noi, debtService: snap.ds.payment };
+    if (cf <= 0) {
+      state.cash += cf;
+      continue;
+    }
+
+    const status = p.covenant?.status;
+    if (status === "trap") {
+      p.trappedCash = (p.trappedCash || 0) + cf;
+      trapped += cf;
+      flow.cash = 0;
+    } else if (status === "sweep") {
+      const paid = Math.min(p.loanBalance, cf);
+      p.loanBalance -= paid;
+      swept += paid;
+      state.cash += cf - paid;
+      flow.cash = cf - paid;
+    } else {
+      state.cash += cf;
+    }
+  }
+
+  repayRescue(ctx, totalCF - trapped - swept);
+
+  recordAuto(ctx, "CASH_FLOW", { amount: totalCF, trapped, swept, byProperty });
+  emit(ctx, "CASH_FLOW", `Operating cash flow this year: ${money(totalCF)}.${trapped > 0 ? ` Lenders trapped ${money(trapped)}.` : ""}${swept > 0 ? ` Lenders swept ${money(swept)} against principal.` : ""}`, { amount: totalCF });
+}
+
+// The rescue partner takes a share of positive cash flow until it is paid back
+function repayRescue(ctx, cashFlow) {
+  const { state } = ctx;
+  if (!state.rescue || cashFlow <= 0) return;
+
+  const paid = Math.min(state.rescue.balance, cashFlow * RESCUE.cashFlowShare);
+  state.cash -= paid;
+  state.rescue.balance -= paid;
+  recordAuto(ctx, "RESCUE_REPAID", { amount: paid, owed: state.rescue.balance, cash: -paid });
+  emit(ctx, "RESCUE", `Rescue partner takes ${money(paid)} of cash flow (${money(state.rescue.balance)} still owed).`, { amount: paid });
+  if (state.rescue.balance <= 1) {
+    state.rescue = null;
+    emit(ctx, "RESCUE", "Rescue capital fully repaid. The partner is out.");
+  }
+}
+
+// Year-end covenant tests on every stabilized loan
+function enforceCovenants(ctx) {
+  const { state } = ctx;
+
+  for (const p of [...state.properties]) {
+    if (!p.covenants || p.build || p.loanBalance <= 0) continue;
+
+    const snap = computePropertySnapshot(state, p, ctx.productTypesById);
+    const test = testCovenants(p, { noi: snap.noi, value: snap.value, debtService: snap.ds.payment });
+
+    const was = p.covenant?.status || "ok";
+    p.covenant = nextCovenantStatus(p.covenant, test.breached);
+    // A property worth nothing has no LTV to print; say so instead of "Infinity%"
+    const ltv = Number.isFinite(test.ltv) ? pct(test.ltv) : "∞, no value left";
+    const detail = `DSCR ${Number.isFinite(test.dscr) ? test.dscr.toFixed(2) : "∞"} (min ${p.covenants.minDSCR.toFixed(2)}), LTV ${ltv} (max ${pct(p.covenants.maxLTV)})`;
+
+    if (p.covenant.status === "ok") {
+      if (was !== "ok") {
+        const released = p.trappedCash || 0;
+        state.cash += released;
+        p.trappedCash = 0;
+        recordAuto(ctx, "COVENANT_CURED", { target: p.id, name: p.name, released, cash: released });
+        emit(ctx, "COVENANT", `${p.name}: covenants cured (${detail}).${released > 0 ? ` Lender releases ${money(released)} of trapped cash.` : ""}`, { target: p.id });
+      }
+      continue;
+    }
+
+    if (p.covenant.status === "foreclose") {
+      foreclose(ctx, p, `breached covenants ${p.covenant.breaches} years running (${detail})`);
+      continue;
+    }
+
+    if (p.covenant.status === "sweep" && p.trappedCash > 0) {
+      // The trapped reserve is the first thing the sweep takes
+      const paid = Math.min(p.loanBalance, p.trappedCash);
+      p.loanBalance -= paid;
+      p.trappedCash -= paid;
+    }
+
+    recordAuto(ctx, "COVENANT_BREACH", { target: p.id, name: p.name, status: p.covenant.status, breached: test.breached, dscr: test.dscr, ltv: test.ltv });
+    emit(ctx, "COVENANT", p.covenant.status === "trap"
+      ? `⚠️ ${p.name}: ${test.breached.join(" + ")} covenant breached (${detail}). Cash trap: next year's cash flow stays with the lender until cured.`
+      : `⚠️ ${p.name}: still in breach (${detail}). Cash sweep: cash flow now pays down principal. One more breached test and the lender forecloses.`, { target: p.id });
+  }
+}
+
+// Lender takes the asset: the loan is extinguished (non-recourse) and any trapped cash is kept.
+// Unlevered, the asset is gone at what it would have sold for.
+function foreclose(ctx, p, reason) {
+  const { state } = ctx;
+  const { netBeforeDebt } = saleProceeds(state, p, computePropertySnapshot(state, p, ctx.productTypesById));
+  state.properties = state.properties.filter(x => x.id !== p.id);
+  releaseParcel(state, p.id);
+
+  recordAuto(ctx, "FORECLOSURE", { target: p.id, name: p.name, loan: p.loanBalance, lost: p.trappedCash || 0, unlevered: netBeforeDebt });
+  emit(ctx, "FORECLOSURE", `🏚️ FORECLOSURE: the lender takes ${p.name} (${reason}). Loan of ${money(p.loanBalance)} extinguished; your equity${p.trappedCash > 0 ? ` and ${money(p.trappedCash)} of trapped cash` : ""} is gone.`, { target: p.id });
+}
+
+// Year-end solvency: a negative balance puts the sponsor in distress. It must be cured
+// (sell, refinance or restructure) before the next year turn, or the run ends.
+function checkSolvency(ctx) {
+  const { state } = ctx;
+
+  if (state.cash >= 0) {
+    if (state.distress) emit(ctx, "DISTRESS", "Sponsor is solvent again.");
+    state.distress = null;
+    return;
+  }
+
+  state.distress = { year: state.year, shortfall: -state.cash };
+  recordAuto(ctx, "DISTRESS", { shortfall: -state.cash });
+  emit(ctx, "DISTRESS", `🚨 SPONSOR DEFAULT: you are ${money(-state.cash)} short. ${state.restructured ? "Sell or refinance" : "Sell, refinance or restructure"} before next year-end, or the run is over.`);
+}
+
+function endRun(ctx, reason) {
+  const { state } = ctx;
+  state.gameOver = { year: state.year, reason };
+  if (state.scenario && !state.scenario.result) scoreEnd(ctx, false, reason);
+  record(ctx, "GAME_OVER", { reason, shortfall: -state.cash });
+  emit(ctx, "GAME_OVER", `💀 GAME OVER: ${reason}`);
+}
+
+// Bring in rescue capital to cover the shortfall; only once per run
+function restructure(ctx) {
+  const { state } = ctx;
+  if (!state.distress || state.cash >= 0) {
+    emit(ctx, "BLOCKED", "Restructuring is only on the table when you can't cover a negative cash balance.");
+    return;
+  }
+  if (state.restructured) {
+    emit(ctx, "BLOCKED", "You already used your one restructuring this run.");
+    return;
+  }
+
+  const amount = -state.cash + RESCUE.cushion;
+  state.cash += amount;
+  state.rescue = { balance: amount * (1 + RESCUE.premium) };
+  state.restructured = true;
+  state.distress = null;
+
+  record(ctx, "RESTRUCTURE", { amount, owed: state.rescue.balance, cash: amount });
+  emit(ctx, "RESTRUCTURE", `Restructured: a rescue partner funds ${money(amount)}. You owe them ${money(state.rescue.balance)}, repaid from ${pct(RESCUE.cashFlowShare)} of positive cash flow.`);
+}
+
+function attemptRefi(ctx, p) {
+  const { state, rng } = ctx;
+  const snap = computePropertySnapshot(state, p, ctx.productTypesById);
+
+  const payoff = p.loanBalance;
+
+  // The balloon refinances into the same product; a construction loan that never got its takeout
+  // goes into a plain fixed loan
+  const productId = DEBT_PRODUCTS[p.debtProduct] ? p.debtProduct : PLAIN_DEBT_PRODUCT;
+  const newRate = productRate(clamp(state.market.baseRate + state.market.spread + 0.018 + (rng() * 0.01), 0.03, 0.18), productId);
+  const maturityYears = makeMaturityYears(ctx);
+
+  // Lender sizes off LTV, DSCR and debt yield at the new rate, and may refuse outright
+  const sized = sizeProductLoan({ value: snap.value, noi: snap.noi, rate: newRate, market: state.market, productId });
+  const newLoan = sized.amount;
+  if (sized.refused) emit(ctx, "REFI", `Credit crunch: no lender will quote ${p.name}. The balloon has to be paid from cash.`, { target: p.id });
+
+  if (newLoan >= payoff) {
+    const cashOut = newLoan - payoff;
+    state.cash += cashOut;
+    const released = releaseTrappedCash(ctx, p);
+    Object.assign(p, makeLoan(productId, { amount: newLoan, rate: newRate, year: state.year, baseRate: state.market.baseRate, maturityYears }));
+
+    recordAuto(ctx, "REFI", { target: p.id, name: p.name, debtProduct: productId, loan: newLoan, rate: newRate, cashOut, maturityYear: p.maturityYear, cash: cashOut + released });
+    emit(ctx, "REFI", `Refi OK: ${p.name}. New rate ${pct(p.loanRate)}. Cash-out ${money(cashOut)}. New balloon Y${p.maturityYear}.`, { target: p.id });
+    return true;
+  }
+
+  const gap = payoff - newLoan;
+  if (state.cash >= gap) {
+    state.cash -= gap;
+    const released = releaseTrappedCash(ctx, p);
+    Object.assign(p, makeLoan(productId, { amount: newLoan, rate: newRate, year: state.year, baseRate: state.market.baseRate, maturityYears }));
+
+    recordAuto(ctx, "REFI", { target: p.id, name: p.name, debtProduct: productId, loan: newLoan, rate: newRate, cashOut: -gap, maturityYear: p.maturityYear, cash: released - gap });
+    emit(ctx, "REFI", `Refi tight: ${p.name}. Paid-in ${money(gap)} to refinance. New rate ${pct(p.loanRate)}. Balloon Y${p.maturityYear}.`, { target: p.id });
+    return true;
+  }
+
+  recordAuto(ctx, "REFI_FAILED", { target: p.id, name: p.name, gap });
+  emit(ctx, "REFI_FAILED", `Refi FAILED: ${p.name}. Needs ${money(gap)} to refinance, but you only have ${money(state.cash)}.`, { target: p.id });
+  return false;
+}
+
+function handleMaturities(ctx) {
+  const { state } = ctx;
+  const matured = state.properties.filter(p => p.maturityYear && p.maturityYear <= state.year);
+
+  if (!matured.length) return;
+
+  emit(ctx, "REFI_WALL", `⚠️ REFI WALL: ${matured.length} loan(s) matured this year.`);
+
+  for (const p of [...matured]) {
+    const ok = attemptRefi(ctx, p);
+    if (ok) continue;
+
+    // Sell if the sale clears the loan; if the asset is underwater the lender takes it instead
+    const snap = computePropertySnapshot(state, p, ctx.productTypesById);
+    if (snap.value * (1 - state.profile.transactionCosts.sellPct) + (p.trappedCash || 0) >= p.loanBalance) {
+      emit(ctx, "FORCED_SALE", `Forced sale: ${p.name} due to maturity.`, { target: p.id });
+      sellProperty(ctx, p.id, { auto: true });
+    } else {
+      foreclose(ctx, p, `loan matured underwater at ${money(p.loanBalance)} vs. value ${money(snap.value)}`);
+    }
+  }
+}
+
+// Floating loans reprice off this year's base rate (after rate events land)
+function resetFloatingRates(ctx) {
+  const { state } = ctx;
+  for (const p of state.properties) {
+    if (p.rateType !== "floating" || p.loanBalance <= 0) continue;
+
+    const { rate, capped } = floatingRate(p, state.market, state.year);
+    const moved = rate - p.loanRate;
+    p.loanRate = rate;
+    if (capped) emit(ctx, "RATE_RESET", `${p.name}: rate cap at ${pct(p.rateCap.strike)} holds the loan at ${pct(rate)}.`, { target: p.id });
+    else if (Math.abs(moved) >= 0.0025) emit(ctx, "RATE_RESET", `${p.name}: floating rate reset to ${pct(rate)} (${moved > 0 ? "+" : ""}${(moved * 100).toFixed(2)} pts).`, { target: p.id });
+  }
+}
+
+function startEvent(ctx, event) {
+  const { state } = ctx;
+  recordAuto(ctx, "EVENT", { target: event.id, name: event.name });
+  emit(ctx, "EVENT", `EVENT: ${event.name} — ${event.blurb}`, { eventId: event.id });
+  const { refreshed, superseded } = activateEvent(state.activeEvents, event, state.year);
+  if (refreshed) emit(ctx, "EVENT", `${event.name} drags on: ${refreshed.yearsRemaining} year(s) remaining.`, { eventId: event.id });
+  if (superseded) recordAuto(ctx, "EVENT_EXPIRED", { target: superseded.id, name: superseded.name, supersededBy: event.id });
+  if (superseded) emit(ctx, "EVENT_EXPIRED", `${superseded.name} is superseded by ${event.name}.`, { eventId: superseded.id });
+  if (event.tenantHit) applyTenantHit(ctx, event);
+}
+
+// Tenant events knock out individual tenants on the rent rolls they reach; weaker credit fails first
+function applyTenantHit(ctx, event) {
+  const { state } = ctx;
+  const { productTypes, chance } = event.tenantHit;
+
+  for (const p of state.properties) {
+    if (!p.rentRoll || p.build) continue;
+    if (event.scope !== "global" && p.neighborhood !== event.targetNeighborhood) continue;
+    if (productTypes && !productTypes.includes(p.productType)) continue;
+
+    for (const t of hitTenants(p.rentRoll, { chance, year: state.year, rng: ctx.rng })) {
+      recordAuto(ctx, "TENANT_DEFAULT", { target: p.id, name: p.name, tenant: t.tenant, suite: t.suite, eventId: event.id });
+      emit(ctx, "TENANT_DEFAULT", `${p.name}: ${t.tenant} (${t.credit} credit) failed in the ${event.name.toLowerCase()}. Suite ${t.suite} (${t.sf.toLocaleString()} SF) is dark.`, { target: p.id });
+    }
+  }
+}
+
+// ----------------- rivals -----------------
+// Listings the player passed on go to the best rival bid, and each sale is a comp
+function closeRivalBids(ctx) {
+  const { state } = ctx;
+  for (const l of state.listings) {
+    const c = l.bid && state.competitors.find(x => x.id === l.bid.competitorId);
+    const pc = c && parcelById(state, l.parcelId);
+    if (!pc || pc.owner !== "market") continue;
+
+    const noi = listingNOI(state, l, ctx.productTypesById);
+    claimParcel(state, pc, { use: pc.use, owner: c.id, propertyId: null });
+    c.holdings.push({ parcelId: pc.id, year: state.year, price: l.bid.price });
+    recordComp(state, { year: state.year, neighborhood: l.neighborhood, productType: l.productType, price: l.bid.price, noi, cap: noi / l.bid.price, buyer: c.id });
+    emit(ctx, "RIVAL", `${c.name} bought ${l.name} for ${money(l.bid.price)} (${pct(noi / l.bid.price)} cap).`);
+  }
+}
+
+// A rival's year: fresh dry powder, deliveries (new supply), sales of holdings it's done with,
+// then new projects wherever the numbers work
+function advanceCompetitors(ctx) {
+  const { state } = ctx;
+
+  for (const c of state.competitors) {
+    const def = competitorDef(ctx.data, c.id);
+    if (!def) continue;
+    c.dryPowder = allocation(def, state.market);
+
+    for (const pr of c.projects.filter(x => x.deliverYear <= state.year)) {
+      addSupply(state, pr.neighborhood, ctx.productTypesById[pr.productType], pr.size);
+      c.holdings.push({ parcelId: pr.parcelId, year: state.year, price: pr.cost });
+      emit(ctx, "RIVAL", `${c.name} delivered ${pr.size.toLocaleString()} ${pr.unit} of new ${ctx.productTypesById[pr.productType].name} in ${getNeighborhood(state, pr.neighborhood).name}.`);
+    }
+    c.projects = c.projects.filter(x => x.deliverYear > state.year);
+
+    // Sold back to the market, where the building can come up as a listing again
+    for (const h of c.holdings.filter(x => state.year - x.year >= def.holdYears)) {
+      const pc = parcelById(state, h.parcelId);
+      if (pc && pc.owner === c.id) claimParcel(state, pc, { use: pc.use, owner: "market", propertyId: null });
+    }
+    c.holdings = c.holdings.filter(x => state.year - x.year < def.holdYears);
+
+    for (let k = 0; k < (def.build?.perYear || 0); k++) {
+      const { score, equity, yieldOnCost, ...project } = rivalProject(def, c, state, ctx.productTypesById, ctx.rng) || {};
+      if (!project.parcelId) break;
+      claimParcel(state, parcelById(state, project.parcelId), { use: project.productType, owner: c.id, propertyId: null });
+      c.dryPowder -= equity;
+      c.projects.push(project);
+      emit(ctx, "RIVAL", `${c.name} broke ground on ${project.size.toLocaleString()} ${project.unit} of ${ctx.productTypesById[project.productType].name} in ${getNeighborhood(state, project.neighborhood).name} (${pct(yieldOnCost)} yield on cost), delivering Y${project.deliverYear}.`);
+    }
+  }
+}
+
+function advanceYear(ctx) {
+  const { state, data, rng } = ctx;
+  // Scenarios can turn the random deck off and run on their schedule alone
+  const event = state.scenario && !state.scenario.randomEvents ? null : pickEvent(ctx, data.events);
+
+  advanceContracts(ctx);
+  closeRivalBids(ctx);
+
+  state.year += 1;
+
+  // Peel last year's event overlays off so fundamentals move on their own
+  unwindActiveEvents(state);
+  for (const ae of tickActiveEvents(state)) {
+    recordAuto(ctx, "EVENT_EXPIRED", { target: ae.id, name: ae.name });
+    emit(ctx, "EVENT_EXPIRED", `Event over: ${ae.name} has run its course.`, { eventId: ae.id });
+  }
+
+  updateMarketYear(state.market, rng, state.profile.market);
+
+  const scripted = (state.scenario?.schedule || []).filter(s => s.year === state.year).map(s => s.event);
+  for (const e of [event, ...scripted].filter(Boolean)) startEvent(ctx, e);
+  if (!event && !scripted.length) emit(ctx, "EVENT", "No major headline event this year.");
+
+  applyActiveEvents(state, "global");
+
+  resetFloatingRates(ctx);
+
+  for (const n of state.neighborhoods) {
+    updateNeighborhoodYear(n, state.market, rng, compCapRate(state.comps, n.id, state.year));
+  }
+
+  applyActiveEvents(state, "neighborhood");
+
+  // Lease update after neighborhoods, before NOI/CF
+  updateLeasesOneYear(ctx);
+
+  growOperatingExpenses(ctx);
+
+  processBuildPhases(ctx);
+
+  advanceCompetitors(ctx);
+
+  handleMaturities(ctx);
+
+  applyOperatingCashFlow(ctx);
+
+  enforceCovenants(ctx);
+
+  checkSolvency(ctx);
+
+  generateListings(ctx);
+  recordHistory(ctx);
+}
+
+// ----------------- scenarios -----------------
+// Values objectives and fail conditions can test (see engine/scenario.js)
+export function scenarioMetrics(state, productsById) {
+  const port = computePortfolio(state, productsById);
+  const count = (action, pred = () => true) => state.journal.filter(e => e.action === action && pred(e)).length;
+
+  return {
+    equity: port.equity,
+    cash: state.cash,
+    dscr: port.portfolioDSCR,
+    debt: port.totalDebt,
+    noi: port.totalNOI,
+    ltv: port.totalValue > 0 ? port.totalDebt / port.totalValue : 0,
+    properties: state.properties.length,
+    foreclosures: count("FORECLOSURE"),
+    defaults: count("DISTRESS"),
+    forcedSales: count("SELL", e => e.auto)
+  };
+}
+
+// Scenario start: market, neighborhoods, cash and an inherited portfolio
+function applyScenarioStart(ctx) {
+  const { state } = ctx;
+  const { start } = state.scenario;
+
+  Object.assign(state.market, start.market || {});
+  for (const [id, overrides] of Object.entries(start.neighborhoods || {})) {
+    const n = getNeighborhood(state, id);
+    if (!n) throw new Error(`Scenario ${state.scenario.id}: unknown neighborhood ${id}`);
+    Object.assign(n, overrides);
+  }
+  if (typeof start.cash === "number") state.cash = start.cash;
+
+  (start.properties || []).forEach((sp, i) => {
+    if (!getNeighborhood(state, sp.neighborhood) || !ctx.productTypesById[sp.productType]) {
+      throw new Error(`Scenario ${state.scenario.id}: bad starting property ${sp.name}`);
+    }
+    const p = {
+      id: `S${i}-${sp.neighborhood}`,
+      name: sp.name,
+      neighborhood: sp.neighborhood,
+      productType: sp.productType,
+      baseNOI: sp.baseNOI,
+
+      rentIndexMult: 1.0,
+      vacancyDelta: 0.0,
+      capRateDelta: 0.0,
+
+      renoLevel: sp.renoLevel || 0,
+
+      ltv: 0,
+      ...makeLoan(sp.debtProduct || DEFAULT_DEBT_PRODUCT, {
+        amount: sp.loanAmount || 0,
+        rate: sp.loanRate ?? quoteRate(state.market),
+        year: state.year,
+        baseRate: state.market.baseRate,
+        maturityYears: Math.max(1, (sp.maturityYear ?? state.year + 5) - state.year)
+      }),
+
+      build: null
+    };
+    state.properties.push(p);
+    assignParcel(state, p);
+    p.ops = seedOps(state, p, ctx.productTypesById[p.productType]);
+    initLeaseForProperty(ctx, p);
+    const snap = computePropertySnapshot(state, p, ctx.productTypesById);
+    p.ltv = snap.value > 0 ? p.loanBalance / snap.value : 0;
+    // The sponsor starts out owning the equity, as if bought today at value
+    recordAuto(ctx, "HOLDING", { target: p.id, propertyId: p.id, name: p.name, value: snap.value, loan: p.loanBalance, cash: p.loanBalance - snap.value, unlevered: -snap.value });
+  });
+
+  state.scenario.startEquity = computePortfolio(state, ctx.productTypesById).equity;
+  emit(ctx, "SCENARIO", `Scenario: ${state.scenario.name}. ${state.scenario.blurb} Ends after Y${state.scenario.endYear}.`);
+  for (const o of state.scenario.objectives) emit(ctx, "SCENARIO", `Objective: ${o.label}`);
+  for (const f of state.scenario.failConditions) emit(ctx, "SCENARIO", `Lose if: ${f.label}`);
+}
+
+function scoreEnd(ctx, won, reason) {
+  const { state } = ctx;
+  const finalEquity = computePortfolio(state, ctx.productTypesById).equity;
+  for (const o of state.scenario.objectives) if (o.status === "pending") o.status = "missed";
+  state.scenario.result = { won, year: state.year, reason, finalEquity, ...scoreScenario(state.scenario, won, finalEquity) };
+}
+
+// Year-end scenario check: fail conditions first, then objectives, then the final bell
+function checkScenario(ctx) {
+  const { state } = ctx;
+  const sc = state.scenario;
+  if (!sc || sc.result || state.gameOver) return;
+
+  const metrics = scenarioMetrics(state, ctx.productTypesById);
+  const failed = failedCondition(sc, metrics);
+  const pending = sc.objectives.filter(o => o.status === "pending");
+  updateObjectives(sc, metrics, state.year);
+
+  for (const o of pending) {
+    if (o.status === "pending") continue;
+    emit(ctx, "SCENARIO", `${o.status === "met" ? "✅ Objective met" : "❌ Objective missed"}: ${o.label}.`);
+  }
+
+  if (!failed && state.year < sc.endYear) return;
+
+  const won = !failed && sc.objectives.every(o => o.status === "met");
+  const reason = failed ? `Scenario failed: ${failed.label}.` : won ? "Scenario complete: every objective met." : "Scenario over: not every objective was met.";
+  scoreEnd(ctx, won, reason);
+  state.gameOver = { year: state.year, reason };
+  recordAuto(ctx, "SCENARIO_END", { name: sc.name, won, score: sc.result.total });
+  emit(ctx, "SCENARIO", `🏁 ${reason} Score ${sc.result.total}.`);
+}
+
+// ----------------- public entry points -----------------
+// profile / scenario: pass a saved run's resolved copies to rebuild it exactly (replay);
+// otherwise they come from data. A scenario brings its own difficulty and (optionally) seed.
+export function createRun(data, { difficulty = "normal", seed = null, profile = null, scenario = null } = {}) {
+  const runScenario = resolveScenario(data, scenario);
+  const runDifficulty = runScenario ? runScenario.difficulty : difficulty;
+  const runSeed = runScenario?.seed || seed || randomSeed();
+  const runProfile = profile ? deepCopy(profile) : resolveProfile(data, runDifficulty);
+  const ctx = makeCtx({ ...RUN_DEFAULTS, rng: createRngState(runSeed), difficulty: runDifficulty, profile: runProfile, scenario: runScenario }, data);
+  const { state } = ctx;
+
+  const { baseRate, spread, liquidity } = runProfile.market;
+  state.market = { baseRate, spread, liquidity, lenderStrictness: runProfile.lenderStrictness };
+  state.competitors = (data.competitors || []).map(def => createCompetitor(def, state.market));
+
+  state.neighborhoods = data.neighborhoods.map(n => ({
+    ...n,
+    demand: n.baseDemand
+  }));
+  ensureParcels(state);
+  state.cash = runProfile.startingCash;
+
+  emit(ctx, "NEW_RUN", `New run started. Seed: ${runSeed}${runSeed === seed || runScenario?.seed ? "" : " (random)"} Difficulty: ${runProfile.name}`);
+  if (runScenario) applyScenarioStart(ctx);
+  ensureInventory(state, ctx.productTypesById);
+  generateListings(ctx);
+  recordHistory(ctx);
+  return result(ctx);
+}
+
+// Migrate + patch up a loaded save so it can keep running from exactly where it stopped.
+// Throws (from migrateRun) if the save is beyond repair.
+export function resumeRun(saved, data) {
+  const ctx = makeCtx(migrateRun(saved), data);
+  const { state } = ctx;
+
+  for (const msg of state.repairs || []) emit(ctx, "REPAIR", `Save repaired: ${msg}.`);
+  delete state.repairs;
+
+  // Saves from before difficulty profiles get theirs from the data (unknown ids fall back to normal)
+  if (!state.profile) {
+    const known = (data.difficulties || []).some(d => d.id === state.difficulty);
+    state.profile = resolveProfile(data, known ? state.difficulty : "normal");
+    state.market.lenderStrictness = state.profile.lenderStrictness;
+  }
+
+  // Neighborhoods added to the data since this save was made
+  for (const n of data.neighborhoods) {
+    if (!getNeighborhood(state, n.id)) state.neighborhoods.push({ ...n, demand: n.baseDemand });
+  }
+
+  // Rivals added to the data since this save was made (or the save is from before rivals)
+  for (const def of data.competitors || []) {
+    if (!state.competitors.some(c => c.id === def.id)) state.competitors.push(createCompetitor(def, state.market));
+  }
+
+  // Saves from before parcels: lay out the city from the seed and put owned properties on it
+  for (const n of state.neighborhoods) {
+    const d = data.neighborhoods.find(x => x.id === n.id);
+    n.grid = n.grid || d?.grid;
+    n.map = n.map || d?.map;
+  }
+  ensureParcels(state);
+
+  state.properties = state.properties.filter(p => {
+    if (ctx.productTypesById[p.productType]) return true;
+    emit(ctx, "REPAIR", `Save repaired: dropped ${p.name} (unknown product type ${p.productType}).`);
+    return false;
+  });
+
+  // Ensure parcels, leases and operating statements exist for old saves (builds get leases at stabilization)
+  for (const p of state.properties) {
+    if (!p.parcelId) assignParcel(state, p);
+    if (!p.ops) p.ops = seedOps(state, p, ctx.productTypesById[p.productType]);
+    if (!p.build && !p.rentRoll && !p.unitMix && (!p.lease || typeof p.lease.leaseRentIndex !== "number")) initLeaseForProperty(ctx, p);
+  }
+  // Saves from before inventories: standing stock from the parcels, leased to today's vacancy
+  ensureInventory(state, ctx.productTypesById);
+  // Saves from before history: it starts here
+  if (!state.history.length) recordHistory(ctx);
+
+  return result(ctx);
+}
+
+// Actions: { type: "BUY", listingId, debtProduct? } | { type: "SELL", propertyId } | { type: "RENO", propertyId, units? }
+//          { type: "BUILD", neighborhoodId, productType, size?, parcelId? } | { type: "NEXT_YEAR" }
+//          { type: "OFFER", listingId, price, deposit, ddDays, financing } | { type: "CLOSE", contractId, debtProduct? } | { type: "WALK", contractId }
+//          { type: "IMPORT", dealId, price, down, property }
+//          { type: "REFI", propertyId, debtProduct? } | { type: "PAYDOWN", propertyId, amount } | { type: "EXTEND", propertyId }
+//          { type: "CAP", propertyId, strike? } | { type: "RESTRUCTURE" }
+export function applyAction(state, data, action) {
+  const ctx = makeCtx(state, data);
+
+  if (ctx.state.gameOver) {
+    emit(ctx, "BLOCKED", `The run ended in Y${ctx.state.gameOver.year}. Rewind, load a save or start a new run.`);
+    return result(ctx);
+  }
+
+  switch (action.type) {
+    case "BUY": buyListing(ctx, action.listingId, action.debtProduct); break;
+    case "OFFER": makeOffer(ctx, action); break;
+    case "CLOSE": closeContract(ctx, action.contractId, action.debtProduct); break;
+    case "WALK": walkAway(ctx, action.contractId); break;
+    case "SELL": sellProperty(ctx, action.propertyId); break;
+    case "RENO": renovateProperty(ctx, action.propertyId, action.units); break;
+    case "BUILD": startBuild(ctx, action.neighborhoodId, action.productType, action.size, action.parcelId); break;
+    case "IMPORT": importDeal(ctx, action); break;
+    case "REFI":
+    case "PAYDOWN":
+    case "EXTEND":
+    case "CAP": applyFinancing(ctx, action); break;
+    case "RESTRUCTURE": restructure(ctx); break;
+    case "NEXT_YEAR":
+      if (ctx.state.distress && ctx.state.cash < 0) {
+        endRun(ctx, `insolvent — still ${money(-ctx.state.cash)} short at year-end.`);
+        break;
+      }
+      record(ctx, "NEXT_YEAR");
+      advanceYear(ctx);
+      checkScenario(ctx);
+      break;
+    default: throw new Error(`Unknown action: ${action.type}`);
+  }
+
+  return result(ctx);
+}
+
+// Convenience for scripts: fold a list of actions, collecting every log event.
+export function runActions(state, data, actions) {
+  let cur = state;
+  const log = [];
+  for (const action of actions) {
+    const out = applyAction(cur, data, action);
+    cur = out.state;
+    log.push(...out.log);
+  }
+  return { state: cur, log };
+}
+
+// Map a journal entry back to the player action that produced it.
+// Automatic outcomes (forced sales) are skipped: the replay regenerates them.
+export function journalToAction(entry) {
+  if (entry.auto) return null;
+  switch (entry.action) {
+    case "BUY": return { type: "BUY", listingId: entry.target, debtProduct: entry.debtProduct };
+    case "OFFER": return { type: "OFFER", listingId: entry.target, price: entry.price, deposit: entry.deposit, ddDays: entry.ddDays, financing: entry.financing };
+    case "CLOSE": return { type: "CLOSE", contractId: entry.target, debtProduct: entry.debtProduct };
+    case "WALK": return { type: "WALK", contractId: entry.target };
+    case "SELL": return { type: "SELL", propertyId: entry.target };
+    case "RENO": return { type: "RENO", propertyId: entry.target, units: entry.units };
+    case "BUILD": return { type: "BUILD", neighborhoodId: entry.target, productType: entry.productType, size: entry.size, parcelId: entry.parcelId };
+    case "NEXT_YEAR": return { type: "NEXT_YEAR" };
+    case "GAME_OVER": return { type: "NEXT_YEAR" };
+    case "RESTRUCTURE": return { type: "RESTRUCTURE" };
+    case "REFI": return { type: "REFI", propertyId: entry.target, debtProduct: entry.debtProduct };
+    case "PAYDOWN": return { type: "PAYDOWN", propertyId: entry.target, amount: entry.amount };
+    case "EXTEND": return { type: "EXTEND", propertyId: entry.target };
+    case "CAP": return { type: "CAP", propertyId: entry.target, strike: entry.strike };
+    case "IMPORT_BUY":
+      if (!entry.property) return null;
+      return { type: "IMPORT", dealId: entry.target, price: entry.price, down: entry.down, property: entry.property };
+    default: return null;
+  }
+}
+
+// A saved scenario as it was before any objective was scored
+function scenarioAtStart(sc) {
+  return {
+    ...sc,
+    objectives: sc.objectives.map(({ missedYear, ...o }) => ({ ...o, status: "pending", actual: null })),
+    startEquity: null,
+    result: null
+  };
+}
+
+function replayJournal(saved, data, entries) {
+  const start = createRun(data, { difficulty: saved.difficulty, seed: saved.rng.seed, profile: saved.profile, scenario: saved.scenario && scenarioAtStart(saved.scenario) });
+  const actions = entries.map(journalToAction).filter(Boolean);
+  const out = runActions(start.state, data, actions);
+  return { state: out.state, log: [...start.log, ...out.log] };
+}
+
+// True when the journal covers the whole run (every year turn), so it can be replayed.
+export function isReplayable(saved) {
+  return Boolean(saved.rng) && saved.journal.filter(e => e.action === "NEXT_YEAR").length === saved.year - 1;
+}
+
+// Rebuild a run from its seed, difficulty and journal.
+// `matches` is true when the replay lands on the same state as the saved run.
+export function replayRun(saved, data) {
+  const out = replayJournal(saved, data, saved.journal);
+  return { ...out, matches: JSON.stringify(out.state) === JSON.stringify(saved) };
+}
+
+// Back to the start of `year`, before any of that year's actions.
+export function rewindToYear(saved, data, year) {
+  const target = Math.max(1, Math.min(saved.year, Math.floor(year)));
+  return replayJournal(saved, data, saved.journal.filter(e => e.year < target));
+}
+
+export function undoYear(saved, data) {
+  return rewindToYear(saved, data, saved.year);
+}
+
+// Drop the most recent player action of the current year. Returns null if there is none.
+export function undoLastAction(saved, data) {
+  let idx = -1;
+  saved.journal.forEach((e, i) => {
+    if (e.year === saved.year && e.action !== "NEXT_YEAR" && journalToAction(e)) idx = i;
+  });
+  if (idx < 0) return null;
+  return replayJournal(saved, data, saved.journal.slice(0, idx));
+}
@@ -1,22 +1,367 @@
 import { deepCopy } from "./utils.js";
+import { createRngState, randomSeed } from "./rng.js";
+import { debtProduct, PLAIN_DEBT_PRODUCT } from "./lender.js";
 
-const RUN_KEY = "cretycoon:run:v1";
+const LEGACY_RUN_KEY = "cretycoon:run:v1";
 const SETTINGS_KEY = "cretycoon:settings:v1";
+const SLOTS_KEY = "cretycoon:slots:v1";
+const ACTIVE_SLOT_KEY = "cretycoon:activeSlot:v1";
+const SLOT_PREFIX = "cretycoon:slot:";
+
+const EXPORT_FORMAT = "cretycoon-run";
+
+// Bump when the saved run shape changes, and add a step to MIGRATIONS below.
+export const SCHEMA_VERSION = 17;
+
+// ----------------- schema migrations -----------------
+// MIGRATIONS[n] upgrades a v(n) save to v(n+1). Saves from before versioning are v0.
+
+const num = (x, fallback) => (typeof x === "number" && isFinite(x) ? x : fallback);
+
+const MIGRATIONS = {
+  // v0 -> v1: fill property fields that early saves and Deal Judge imports never had
+  0(run) {
+    for (const p of run.properties || []) {
+      p.ltv = num(p.ltv, 0.65);
+      p.renoLevel = num(p.renoLevel, 0);
+      p.rentIndexMult = num(p.rentIndexMult, 1.0);
+      p.vacancyDelta = num(p.vacancyDelta, 0.0);
+      p.capRateDelta = num(p.capRateDelta, 0.0);
+      p.amortYears = num(p.amortYears, 30);
+      p.interestOnly = Boolean(p.interestOnly);
+      p.build = p.build || null;
+      if (!p.build && typeof p.maturityYear !== "number") p.maturityYear = run.year + 5;
+    }
+    return run;
+  },
+
+  // v1 -> v2: activeEvents became year-counted overlays; old entries carry no applied deltas
+  1(run) {
+    run.activeEvents = (run.activeEvents || [])
+      .filter(ae => ae && typeof ae.yearsRemaining === "number")
+      .map(ae => ({ expiry: "unwind", applied: null, ...ae }));
+    run.journal = (run.journal || []).filter(e => e && typeof e.action === "string");
+    return run;
+  },
+
+  // v2 -> v3: runs own their seed + RNG cursor. Pre-seed saves get a fresh seed (they can't be replayed).
+  2(run) {
+    if (!run.rng) run.rng = createRngState(randomSeed());
+    run.difficulty = run.difficulty || "normal";
+    return run;
+  },
+
+  // v3 -> v4: loans carry a debt product. Existing loans become plain fixed-rate with no prepay penalty.
+  3(run) {
+    for (const p of run.properties || []) {
+      p.debtProduct = p.debtProduct || (p.build ? "construction" : "fixed");
+      p.rateType = p.rateType || "fixed";
+      p.prepay = p.prepay ?? null;
+      p.ioUntilYear = p.ioUntilYear ?? null;
+      p.floatMargin = p.floatMargin ?? null;
+      p.rateCap = p.rateCap ?? null;
+      p.originationYear = p.originationYear ?? null;
+      p.originationBaseRate = p.originationBaseRate ?? null;
+    }
+    return run;
+  },
+
+  // v4 -> v5: per-loan covenants and sponsor distress / game over
+  4(run) {
+    for (const p of run.properties || []) {
+      const product = p.debtProduct === "construction" ? null : debtProduct(p.debtProduct);
+      p.covenants = p.covenants ?? (product ? { ...product.covenants } : null);
+      p.covenant = p.covenant || { status: "ok", breaches: 0 };
+      p.trappedCash = num(p.trappedCash, 0);
+    }
+    run.distress = run.distress ?? null;
+    run.rescue = run.rescue ?? null;
+    run.restructured = Boolean(run.restructured);
+    run.gameOver = run.gameOver ?? null;
+    return run;
+  },
+
+  // v5 -> v6: difficulty profiles. resumeRun fills the profile from data/difficulties.json.
+  5(run) {
+    run.profile = run.profile ?? null;
+    run.market = run.market || {};
+    run.market.lenderStrictness = num(run.market.lenderStrictness, 0);
+    return run;
+  },
+
+  // v6 -> v7: scripted scenarios (free-play runs have none)
+  6(run) {
+    run.scenario = run.scenario ?? null;
+    return run;
+  },
+
+  // v7 -> v8: per-property operating statements. resumeRun seeds ops from baseNOI.
+  7(run) {
+    for (const p of run.properties || []) {
+      p.ops = p.ops ?? null;
+      p.t12 = p.t12 ?? null;
+    }
+    return run;
+  },
+
+  // v8 -> v9: tenant rent rolls. Existing properties keep their blended lease.
+  8(run) {
+    for (const p of run.properties || []) {
+      p.rentRoll = p.rentRoll ?? null;
+      p.leasingCosts = num(p.leasingCosts, 0);
+    }
+    for (const l of run.listings || []) l.rentRoll = l.rentRoll ?? null;
+    return run;
+  },
+
+  // v9 -> v10: multifamily unit mixes. Existing properties keep their blended lease and level renos.
+  9(run) {
+    for (const p of run.properties || []) p.unitMix = p.unitMix ?? null;
+    for (const l of run.listings || []) l.unitMix = l.unitMix ?? null;
+    return run;
+  },
+
+  // v10 -> v11: development budgets. Builds already under way keep their up-front funding.
+  10(run) {
+    for (const p of run.properties || []) if (p.build) p.build.dev = p.build.dev ?? null;
+    for (const ae of run.activeEvents || []) ae.costOverrun = num(ae.costOverrun, 0);
+    return run;
+  },
+
+  // v11 -> v12: land parcels. resumeRun lays out the city from the seed and places owned properties on it.
+  11(run) {
+    run.parcels = Array.isArray(run.parcels) ? run.parcels : [];
+    for (const p of run.properties || []) p.parcelId = p.parcelId ?? null;
+    for (const l of run.listings || []) l.parcelId = l.parcelId ?? null;
+    return run;
+  },
+
+  // v12 -> v13: rival investors and sales comps. resumeRun brings in the rivals from the data.
+  12(run) {
+    run.competitors = Array.isArray(run.competitors) ? run.competitors : [];
+    run.comps = Array.isArray(run.comps) ? run.comps : [];
+    for (const n of run.neighborhoods || []) n.newSupply = num(n.newSupply, 0);
+    for (const l of run.listings || []) l.bid = l.bid ?? null;
+    return run;
+  },
+
+  // v13 -> v14: offers and contracts. Listings start with no negotiation.
+  13(run) {
+    run.contracts = Array.isArray(run.contracts) ? run.contracts : [];
+    for (const l of run.listings || []) l.negotiation = l.negotiation ?? null;
+    return run;
+  },
+
+  // v14 -> v15: neighborhood inventories replace the one-year newSupply bump. resumeRun builds the
+  // inventory from the parcels; supply still waiting to land is dropped.
+  14(run) {
+    for (const n of run.neighborhoods || []) {
+      delete n.newSupply;
+      if (n.inventory && typeof n.inventory !== "object") delete n.inventory;
+    }
+    return run;
+  },
+
+  // v15 -> v16: per-year history. resumeRun takes the first snapshot.
+  15(run) {
+    run.history = Array.isArray(run.history) ? run.history : [];
+    return run;
+  },
+
+  // v16 -> v17: loans from before the debt menu (fixed, no prepay terms) get the plain fixed product,
+  // so refinancing them at maturity doesn't add a prepayment penalty
+  16(run) {
+    for (const p of run.properties || []) {
+      if (p.debtProduct === "fixed" && !p.prepay) {
+        p.debtProduct = PLAIN_DEBT_PRODUCT;
+        p.prepay = { type: "none" };
+      }
+    }
+    return run;
+  }
+};
+
+// Upgrade a raw save step by step, then validate. Throws if the save can't be used at all.
+export function migrateRun(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Save is empty or not a run.");
+
+  const run = deepCopy(raw);
+  let version = num(run.schemaVersion, 0);
+  if (version > SCHEMA_VERSION) throw new Error(`Save is from a newer version (schema v${version}).`);
+
+  while (version < SCHEMA_VERSION) {
+    MIGRATIONS[version](run);
+    version += 1;
+  }
+  run.schemaVersion = SCHEMA_VERSION;
+
+  return validateRun(run);
+}
+
+// Repairs what can be repaired and lists what it did in run.repairs (resumeRun logs and clears it).
+// Throws on saves that can't be rendered at all.
+export function validateRun(run) {
+  const repairs = [];
+
+  if (typeof run.year !== "number" || !Number.isFinite(run.year) || run.year < 1) throw new Error("Save has no valid year.");
+  if (!Array.isArray(run.neighborhoods) || !run.neighborhoods.length) throw new Error("Save has no neighborhoods.");
+
+  if (!Number.isFinite(run.cash)) { repairs.push("cash was not a number; reset to $0"); run.cash = 0; }
+
+  run.market = run.market || {};
+  for (const [k, fallback] of [["baseRate", 0.045], ["spread", 0.020], ["liquidity", 0.70]]) {
+    if (!Number.isFinite(run.market[k])) { repairs.push(`market.${k} missing; reset`); run.market[k] = fallback; }
+  }
+
+  for (const k of ["properties", "listings", "activeEvents", "journal"]) {
+    if (!Array.isArray(run[k])) { repairs.push(`${k} was not a list; reset`); run[k] = []; }
+  }
+
+  const nIds = new Set(run.neighborhoods.map(n => n.id));
+  run.properties = run.properties.filter(p => {
+    if (!p || !nIds.has(p.neighborhood)) { repairs.push(`dropped property ${p?.name || p?.id || "?"} (unknown neighborhood)`); return false; }
+    if (!Number.isFinite(p.baseNOI)) { repairs.push(`dropped property ${p.name || p.id} (no NOI)`); return false; }
+    if (!Number.isFinite(p.loanBalance) || p.loanBalance < 0) { repairs.push(`${p.name}: loan balance reset to 0`); p.loanBalance = 0; }
+    if (!Number.isFinite(p.loanRate)) { repairs.push(`${p.name}: loan rate reset`); p.loanRate = run.market.baseRate + run.market.spread + 0.018; }
+    if (p.lease && !Number.isFinite(p.lease.leaseRentIndex)) { repairs.push(`${p.name}: lease rebuilt`); p.lease = null; }
+    return true;
+  });
+
+  run.listings = run.listings.filter(l => l && nIds.has(l.neighborhood) && isFinite(l.price) && l.loanTerms);
+
+  if (repairs.length) run.repairs = repairs;
+  else delete run.repairs;
+  return run;
+}
 
 export function getSettings() {
   return JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
 }
 
-export function saveRun(state) {
-  localStorage.setItem(RUN_KEY, JSON.stringify(state));
+// ----------------- save slots -----------------
+// Slot index lives under SLOTS_KEY as metadata only; each run is stored under its own key.
+
+function readIndex() {
+  const index = JSON.parse(localStorage.getItem(SLOTS_KEY) || "null");
+  if (index) return index;
+
+  // First time through: adopt the old single-save into a slot so nothing is lost
+  const legacy = JSON.parse(localStorage.getItem(LEGACY_RUN_KEY) || "null");
+  const adopted = [];
+  if (legacy) {
+    const meta = slotMeta("slot-legacy", "Saved run", legacy);
+    localStorage.setItem(SLOT_PREFIX + meta.id, JSON.stringify(legacy));
+    localStorage.removeItem(LEGACY_RUN_KEY);
+    localStorage.setItem(ACTIVE_SLOT_KEY, meta.id);
+    adopted.push(meta);
+  }
+  writeIndex(adopted);
+  return adopted;
+}
+
+function writeIndex(index) {
+  localStorage.setItem(SLOTS_KEY, JSON.stringify(index));
+}
+
+function newSlotId() {
+  return `slot-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+}
+
+function slotMeta(id, name, state, equity = null) {
+  return {
+    id,
+    name,
+    year: state.year,
+    equity: equity ?? state.cash,
+    seed: state.rng?.seed ?? null,
+    difficulty: state.profile?.name ?? state.difficulty ?? null,
+    scenario: state.scenario?.name ?? null,
+    lastPlayed: new Date().toISOString()
+  };
+}
+
+export function listSlots() {
+  return readIndex().slice().sort((a, b) => b.lastPlayed.localeCompare(a.lastPlayed));
+}
+
+// Creates a slot when id is null. equity is passed in by the caller (it needs market data to compute).
+export function saveSlot(state, { id = null, name = null, equity = null } = {}) {
+  const index = readIndex();
+  const existing = id ? index.find(s => s.id === id) : null;
+  const slotId = existing ? existing.id : newSlotId();
+  const meta = slotMeta(slotId, name || existing?.name || `Run Y${state.year}`, state, equity);
+
+  localStorage.setItem(SLOT_PREFIX + slotId, JSON.stringify(state));
+  writeIndex([...index.filter(s => s.id !== slotId), meta]);
+  return meta;
+}
+
+// Returns the migrated run, or null when the slot is empty. Throws on corrupt saves.
+export function loadSlot(id) {
+  const raw = JSON.parse(localStorage.getItem(SLOT_PREFIX + id) || "null");
+  return raw ? migrateRun(raw) : null;
+}
+
+export function deleteSlot(id) {
+  localStorage.removeItem(SLOT_PREFIX + id);
+  writeIndex(readIndex().filter(s => s.id !== id));
+  if (getActiveSlotId() === id) localStorage.removeItem(ACTIVE_SLOT_KEY);
+}
+
+export function duplicateSlot(id, name = null) {
+  const src = readIndex().find(s => s.id === id);
+  const state = loadSlot(id);
+  if (!src || !state) return null;
+  return saveSlot(state, { name: name || `${src.name} (copy)`, equity: src.equity });
+}
+
+export function getActiveSlotId() {
+  return localStorage.getItem(ACTIVE_SLOT_KEY);
+}
+
+export function setActiveSlotId(id) {
+  if (id) localStorage.setItem(ACTIVE_SLOT_KEY, id);
+  else localStorage.removeItem(ACTIVE_SLOT_KEY);
+}
+
+// ----------------- active run -----------------
+// The run currently being played is whatever the active slot points at.
+// Deal Judge imports go through these too.
+
+export function saveRun(state, opts = {}) {
+  const meta = saveSlot(state, { ...opts, id: opts.id ?? getActiveSlotId() });
+  setActiveSlotId(meta.id);
+  return meta;
 }
 
 export function loadRun() {
-  return JSON.parse(localStorage.getItem(RUN_KEY) || "null");
+  readIndex();
+  const id = getActiveSlotId();
+  return id ? loadSlot(id) : null;
 }
 
 export function clearRun() {
-  localStorage.removeItem(RUN_KEY);
+  setActiveSlotId(null);
+}
+
+// ----------------- import / export -----------------
+export function exportRun(state, name) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    name,
+    state
+  }, null, 2);
+}
+
+// Parses an exported file (or a bare state). Throws on anything that isn't a run.
+export function parseRunExport(text) {
+  const parsed = JSON.parse(text);
+  const state = parsed && parsed.format === EXPORT_FORMAT ? parsed.state : parsed;
+  if (!state || typeof state.year !== "number" || !Array.isArray(state.properties)) {
+    throw new Error("File is not a CRE Tycoon run export.");
+  }
+  return { name: parsed.name || null, state: migrateRun(state) };
 }
 
 export function safeState(state) {
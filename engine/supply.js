@@ -0,0 +1,127 @@
+import { clamp } from "./utils.js";
+import { VACANT } from "./parcels.js";
+
+// ----------------- supply and demand -----------------
+// Each neighborhood keeps an inventory per product type (neighborhoods[].inventory), measured in the
+// product's own size unit (units, SF, keys):
+//   { unit, typical, stock, occupied, pending, delivered, absorption }
+// stock is standing space and occupied what tenants lease. Deliveries (the player's or a rival's)
+// wait in pending and join the stock at the next year-end. Occupied space then moves by the year's
+// absorption: tenants come when vacancy sits above the neighborhood's natural rate (demand sets it,
+// and rents ease to fill space) and leave when it's tight. Vacancy is what's left over, so a building
+// delivered into a soft submarket stays empty for years, for everyone who owns there.
+// The delivery pipeline isn't stored: it's the player's builds and the rivals' projects.
+
+const FRICTIONAL_VACANCY = 0.02;   // space that's always turning over
+const ABSORPTION_PACE = 0.35;      // share of the gap to natural vacancy leased up (or given back) a year
+const ABSORPTION_NOISE = 0.02;
+
+// Vacancy a neighborhood settles at with no new supply: lower where demand is strong
+export function naturalVacancy(n) {
+  return clamp(0.14 - (n.demand - 0.6) * 0.12, 0.03, 0.28);
+}
+
+function entryVacancy(inv) {
+  return inv.stock > 0 ? 1 - inv.occupied / inv.stock : 0;
+}
+
+// Vacancy across product types, each weighted by its count of typical-size buildings
+function blendedVacancy(inventory) {
+  let weight = 0;
+  let vacant = 0;
+  for (const inv of Object.values(inventory)) {
+    const w = inv.stock / inv.typical;
+    weight += w;
+    vacant += w * entryVacancy(inv);
+  }
+  return weight > 0 ? vacant / weight : null;
+}
+
+// Standing stock from the neighborhood's built parcels, leased to today's vacancy. Parcels with a
+// building still going up (`pipeline`: parcel ids) aren't stock yet.
+export function createInventory(state, n, productsById, pipeline = new Set()) {
+  const inventory = {};
+  for (const pc of (state.parcels || []).filter(x => x.neighborhood === n.id)) {
+    const product = productsById[pc.use];
+    if (pc.use === VACANT || !product || pipeline.has(pc.id)) continue;
+    const size = product.build.size;
+    const inv = inventory[pc.use] ||= { unit: size.unit, typical: size.default, stock: 0, occupied: 0, pending: 0, delivered: 0, absorption: 0 };
+    inv.stock += size.default;
+  }
+  for (const inv of Object.values(inventory)) inv.occupied = inv.stock * (1 - n.vacancy);
+  return inventory;
+}
+
+// Inventory for any neighborhood without one (new runs, old saves). Needs parcels laid out first.
+export function ensureInventory(state, productsById) {
+  const pipeline = new Set([
+    ...state.properties.filter(p => p.build && p.build.phase !== "leaseup").map(p => p.parcelId),
+    ...(state.competitors || []).flatMap(c => c.projects.map(pr => pr.parcelId))
+  ]);
+  for (const n of state.neighborhoods) {
+    if (n.inventory) continue;
+    n.inventory = createInventory(state, n, productsById, pipeline);
+    n.inventoryVacancy = blendedVacancy(n.inventory) ?? n.vacancy;
+  }
+}
+
+// A building delivered: its space joins the stock at the next year-end
+export function addSupply(state, neighborhoodId, product, size) {
+  const n = state.neighborhoods.find(x => x.id === neighborhoodId);
+  if (!n?.inventory || !product) return;
+  const rules = product.build.size;
+  const inv = n.inventory[product.id] ||= { unit: rules.unit, typical: rules.default, stock: 0, occupied: 0, pending: 0, delivered: 0, absorption: 0 };
+  inv.pending += size || rules.default;
+}
+
+// One year of the neighborhood's space market. Returns the blended vacancy and the year's deliveries
+// as a share of stock (typical-size buildings), or null when the neighborhood has no inventory.
+export function updateInventoryYear(n, rng) {
+  if (!n.inventory) return null;
+  const natural = naturalVacancy(n);
+  const noise = (rng() - 0.5) * ABSORPTION_NOISE;
+  let delivered = 0;
+  let weight = 0;
+
+  for (const inv of Object.values(n.inventory)) {
+    inv.stock += inv.pending;
+    inv.delivered = inv.pending;
+    inv.pending = 0;
+    delivered += inv.delivered / inv.typical;
+    weight += inv.stock / inv.typical;
+
+    const room = inv.stock * (1 - FRICTIONAL_VACANCY);
+    const target = clamp(inv.occupied + inv.stock * ((entryVacancy(inv) - natural) * ABSORPTION_PACE + noise), 0, room);
+    inv.absorption = target - inv.occupied;
+    inv.occupied = target;
+  }
+
+  n.inventoryVacancy = blendedVacancy(n.inventory) ?? n.vacancy;
+  return { vacancy: n.inventoryVacancy, deliveredShare: weight > 0 ? delivered / weight : 0 };
+}
+
+// Vacancy for one product type in a neighborhood: the neighborhood's (with any event overlay) moved by
+// how far that product's own vacancy sits from the blend. Products with no inventory see the neighborhood's.
+export function productVacancy(n, productType) {
+  const inv = n.inventory?.[productType];
+  const offset = inv && inv.stock > 0 ? entryVacancy(inv) - (n.inventoryVacancy ?? n.vacancy) : 0;
+  return clamp(n.vacancy + offset, 0.01, 0.40);
+}
+
+// Space under way in a neighborhood: player builds not yet delivered and rival projects,
+// [{ productType, size, unit, deliverYear, owner }]. Player builds still in entitlement have no date.
+export function deliveryPipeline(state, neighborhoodId) {
+  const mine = state.properties
+    .filter(p => p.neighborhood === neighborhoodId && p.build && p.build.phase !== "leaseup")
+    .map(p => ({
+      productType: p.productType,
+      size: p.build.dev?.size ?? null,
+      unit: p.build.dev?.unit ?? null,
+      deliverYear: p.build.phase === "construction" ? state.year + p.build.yearsRemaining : null,
+      owner: "player"
+    }));
+  const rivals = (state.competitors || []).flatMap(c => c.projects
+    .filter(pr => pr.neighborhood === neighborhoodId)
+    .map(pr => ({ productType: pr.productType, size: pr.size, unit: pr.unit, deliverYear: pr.deliverYear, owner: c.id })));
+  return [...mine, ...rivals];
+}
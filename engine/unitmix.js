@@ -0,0 +1,122 @@
+import { clamp } from "./utils.js";
+
+// ----------------- multifamily unit mix -----------------
+// Multifamily carries a unit mix (productTypes[].unitMix): unit types with counts, a monthly rent at
+// rent index 1.0, and in-place rent indexes for classic and renovated units.
+// Each year `turnover` of units re-lease at market and the rest renew with a capped bump,
+// so loss-to-lease (market minus in-place) burns off over a few years.
+// Renovated units lease at market * (1 + renoPremium).
+
+export function unitMixRules(product) {
+  return product?.unitMix || null;
+}
+
+// Unit counts by share, rounded so they add up to `total` (largest remainder)
+function allocateUnits(types, total) {
+  const raw = types.map(t => t.share * total);
+  const counts = raw.map(Math.floor);
+  const order = raw.map((r, i) => [r - counts[i], i]).sort((a, b) => b[0] - a[0]);
+  const short = total - counts.reduce((a, c) => a + c, 0);
+  for (let k = 0; k < short; k++) counts[order[k % order.length][1]] += 1;
+  return counts;
+}
+
+// A mix for a building with `gpr` of market rent at index 1.0. Unit count comes from `units` when
+// known (Deal Judge deals), otherwise from the product's typical rents. Type rents are scaled so the
+// mix adds up to gpr. In-place rents sit below market by up to lossToLeaseMax, or by `lossToLease` exactly.
+export function generateUnitMix(rules, { gpr, units = null, marketRentIndex, lossToLease = null, rng = null }) {
+  const perUnit = rules.types.reduce((a, t) => a + t.share * t.rent * 12, 0);
+  const total = Math.max(8, Math.round(units ?? gpr / perUnit));
+  const counts = allocateUnits(rules.types, total);
+  const scale = gpr / rules.types.reduce((a, t, i) => a + counts[i] * t.rent * 12, 0);
+
+  return {
+    types: rules.types.map((t, i) => ({
+      id: t.id,
+      name: t.name,
+      count: counts[i],
+      rent: t.rent * scale,
+      inPlace: marketRentIndex * (1 - (lossToLease ?? rng() * rules.lossToLeaseMax)),
+      renovated: 0,
+      renoInPlace: null,
+      renoPremium: t.renoPremium,
+      renoCostPerDoor: t.renoCostPerDoor
+    }))
+  };
+}
+
+// Rent index for the operating statement (in-place GPR over GPR at index 1.0) plus loss-to-lease in $/yr
+export function unitMixMetrics(mix, marketRentIndex) {
+  let full = 0, inPlace = 0, market = 0, units = 0, renovated = 0;
+  for (const t of mix.types) {
+    const classic = t.count - t.renovated;
+    full += t.count * t.rent;
+    inPlace += classic * t.rent * t.inPlace + t.renovated * t.rent * (t.renoInPlace || 0);
+    market += classic * t.rent * marketRentIndex + t.renovated * t.rent * marketRentIndex * (1 + t.renoPremium);
+    units += t.count;
+    renovated += t.renovated;
+  }
+  return {
+    rentIndex: full > 0 ? inPlace / full : marketRentIndex,
+    lossToLease: (market - inPlace) * 12,
+    units,
+    renovated
+  };
+}
+
+// Turnover re-leases at market; renewals move up by at most renewalBump and are never cut
+function markToMarket(rules, inPlace, market) {
+  const renewal = inPlace < market ? Math.min(market, inPlace * (1 + rules.renewalBump)) : inPlace;
+  return rules.turnover * market + (1 - rules.turnover) * renewal;
+}
+
+export function rollUnitMixYear(mix, rules, { marketRentIndex }) {
+  for (const t of mix.types) {
+    t.inPlace = markToMarket(rules, t.inPlace, marketRentIndex);
+    if (t.renovated > 0) t.renoInPlace = markToMarket(rules, t.renoInPlace, marketRentIndex * (1 + t.renoPremium));
+  }
+  return mix;
+}
+
+// Which classic units a renovation of `units` doors hits: always the type with the most classic units left
+export function renovationPlan(mix, units) {
+  const left = mix.types.map(t => t.count - t.renovated);
+  const plan = mix.types.map(() => 0);
+  for (let k = 0; k < units; k++) {
+    const i = left.indexOf(Math.max(...left));
+    if (left[i] <= 0) break;
+    left[i] -= 1;
+    plan[i] += 1;
+  }
+  const doors = plan.reduce((a, k) => a + k, 0);
+  const cost = plan.reduce((a, k, i) => a + k * mix.types[i].renoCostPerDoor, 0);
+  return { plan, doors, cost };
+}
+
+// Renovated doors are turned and re-leased at the premium straight away.
+// Returns the plan plus the measured premium: renovated rent over the classic in-place rent, $/yr.
+export function renovateUnits(mix, { units, marketRentIndex }) {
+  const { plan, doors, cost } = renovationPlan(mix, units);
+  let premium = 0;
+
+  plan.forEach((k, i) => {
+    if (k <= 0) return;
+    const t = mix.types[i];
+    const renoRent = marketRentIndex * (1 + t.renoPremium);
+    t.renoInPlace = ((t.renoInPlace || 0) * t.renovated + renoRent * k) / (t.renovated + k);
+    t.renovated += k;
+    premium += k * t.rent * (renoRent - t.inPlace) * 12;
+  });
+
+  return { doors, cost, premium };
+}
+
+// Classic (unrenovated) units left
+export function classicUnits(mix) {
+  return mix.types.reduce((a, t) => a + t.count - t.renovated, 0);
+}
+
+// Concession drag on lease-up: every lease is new, each with `leaseUpConcessionMonths` free
+export function leaseUpConcessionRate(rules) {
+  return clamp(rules.leaseUpConcessionMonths / 12, 0, 0.5);
+}
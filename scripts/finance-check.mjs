@@ -0,0 +1,89 @@
+// Behavior checks for the return math in engine/finance.js, against flows with known answers:
+//   node scripts/finance-check.mjs
+// Exits non-zero on the first wrong number.
+import assert from "node:assert";
+import { npv, xnpv, irr, irrRoots, xirr, peakEquity, paybackYear, returnMetrics, modifiedDietz, weightedReturns } from "../engine/finance.js";
+
+function near(actual, expected, label, tolerance = 1e-7) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: got ${actual}, expected ${expected}`);
+}
+
+function check(label, fn) {
+  fn();
+  console.log(`ok  ${label}`);
+}
+
+check("conventional IRR", () => {
+  // A 10% coupon bond bought at par yields 10%
+  near(irr([-1000, 100, 100, 1100]), 0.10, "bond at par");
+  near(irr([-100, 0, 121]), 0.10, "zero coupon");
+  // Dated flows: half a year at 21% a year is 10% for the half
+  near(xirr([{ t: 0, amount: -100 }, { t: 0.5, amount: 110 }]), 0.21, "half year");
+});
+
+check("two sign changes", () => {
+  // -100 + 230/(1+r) - 132/(1+r)^2 is zero at 10% and at 20%
+  const flows = [-100, 230, -132];
+  const roots = irrRoots(flows);
+  assert.strictEqual(roots.length, 2, `expected two roots, got ${roots}`);
+  near(roots[0], 0.10, "low root");
+  near(roots[1], 0.20, "high root");
+  near(irr(flows), 0.10, "closest to the default guess");
+  near(irr(flows, 0.25), 0.20, "closest to a 25% guess");
+});
+
+check("no IRR", () => {
+  // Changes sign twice but NPV never reaches zero
+  assert.deepStrictEqual(irrRoots([100, -230, 133]), []);
+  assert.ok(Number.isNaN(irr([100, -230, 133])), "no real root");
+  // All money in, none out
+  assert.ok(Number.isNaN(irr([-100, -50])), "no money out");
+  assert.ok(Number.isNaN(xirr([])), "no flows");
+});
+
+check("NPV", () => {
+  near(npv(0.05, [-100, 50, 60]), -100 + 50 / 1.05 + 60 / 1.05 ** 2, "5%");
+  near(npv(0.10, [-1000, 100, 100, 1100]), 0, "at its own IRR");
+  near(xnpv(0.21, [{ t: 0, amount: -100 }, { t: 0.5, amount: 110 }]), 0, "dated");
+});
+
+check("payback and peak equity", () => {
+  // Running total: -100, -150, -70, +10
+  const flows = [-100, -50, 80, 80];
+  assert.strictEqual(peakEquity(flows), 150);
+  assert.strictEqual(paybackYear(flows), 3);
+  assert.strictEqual(paybackYear([-100, 20, 20]), null, "never paid back");
+  // Flows on the same t net before payback is called
+  assert.strictEqual(paybackYear([{ t: 0, amount: -100 }, { t: 1, amount: 60 }, { t: 2, amount: 60 }, { t: 2, amount: -30 }]), null);
+  assert.strictEqual(peakEquity([{ t: 1, amount: 50 }, { t: 0, amount: -80 }]), 80, "in time order");
+});
+
+check("returnMetrics", () => {
+  // 100 in, 20 of cash flow, and a position worth 120 today: 20% IRR, but not paid back yet
+  const m = returnMetrics([
+    { t: 0, levered: -100, unlevered: -100, kind: "capital" },
+    { t: 1, levered: 20, unlevered: 20, kind: "operating" },
+    { t: 2, levered: 120, unlevered: 120, kind: "terminal" }
+  ]);
+  near(m.irr, 0.20, "IRR");
+  near(m.unleveredIRR, 0.20, "unlevered IRR");
+  near(m.npv, -100 + 20 / 1.1 + 120 / 1.1 ** 2, "NPV at the default 10%");
+  near(m.equityMultiple, 1.4, "equity multiple");
+  near(m.avgCashOnCash, 0.20, "cash-on-cash");
+  assert.strictEqual(m.peakEquity, 100);
+  assert.strictEqual(m.paybackYear, null, "a terminal value doesn't pay anything back");
+});
+
+check("TWR and MWR", () => {
+  near(modifiedDietz(100, 160, 50), 10 / 125, "modified Dietz");
+  assert.strictEqual(modifiedDietz(0, 0, 0), null, "no capital at work");
+  const steady = weightedReturns([{ begin: 100, end: 110, flow: 0 }, { begin: 110, end: 121, flow: 0 }]);
+  near(steady.twr, 0.10, "steady TWR");
+  near(steady.mwr, 0.10, "steady MWR");
+  // Doubling the money in just before a bad year: TWR ignores it, MWR doesn't
+  const timed = weightedReturns([{ begin: 100, end: 120, flow: 0 }, { begin: 120, end: 216, flow: 120 }]);
+  near(timed.twr, Math.sqrt(1.2 * (1 + (216 - 120 - 120) / 180)) - 1, "timed TWR");
+  assert.ok(timed.mwr < timed.twr, `MWR ${timed.mwr} should trail TWR ${timed.twr}`);
+});
+
+console.log("Finance check passed.");
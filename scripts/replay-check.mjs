@@ -0,0 +1,103 @@
+// Headless check of the Tycoon engine (engine/sim.js), no browser needed:
+//   node scripts/replay-check.mjs
+// Plays seeded games with a simple bot on every difficulty and scenario, then checks that
+//   - the same seed and actions give the same run (determinism),
+//   - replayRun rebuilds the saved state exactly from seed + journal,
+//   - a run survives a save/load round trip and keeps replaying,
+//   - every listing is priced off the NOI its lender underwrites (listingLoanOffer's noi).
+// Exits non-zero on the first mismatch.
+import fs from "node:fs";
+import assert from "node:assert";
+import { createRun, applyAction, replayRun, resumeRun, listingLoanOffer } from "../engine/sim.js";
+import { mulberry32, seedFromString } from "../engine/rng.js";
+import { DEBT_PRODUCTS } from "../engine/lender.js";
+
+const YEARS = 10;
+const ROOT = new URL("../", import.meta.url);
+
+function loadData() {
+  const json = f => JSON.parse(fs.readFileSync(new URL(`data/${f}`, ROOT), "utf8"));
+  return {
+    neighborhoods: json("neighborhoods.json").neighborhoods,
+    productTypes: json("productTypes.json").productTypes,
+    events: json("events.json").events,
+    difficulties: json("difficulties.json").difficulties,
+    scenarios: json("scenarios.json").scenarios,
+    competitors: json("competitors.json").competitors
+  };
+}
+
+// Asking price = underwritten NOI / asking cap, and the asking cap is drawn within half a point of the
+// neighborhood's (shifted by the profile's listing quality). Prices are rounded to the nearest $1,000.
+function checkListingPrices(state, data, label) {
+  for (const l of state.listings) {
+    const n = state.neighborhoods.find(x => x.id === l.neighborhood);
+    const { noi } = listingLoanOffer(state, data, l);
+    const shift = state.profile.listingQuality * 0.005;
+    const lo = Math.max(0.04, n.capRate + shift - 0.005);
+    const hi = Math.min(0.12, n.capRate + shift + 0.005);
+    // The unrounded price was within $500, so the cap it was drawn at lies between these two
+    const ok = noi / Math.max(1, l.price - 500) >= lo && noi / (l.price + 500) <= hi;
+    assert.ok(ok, `${label}: Y${state.year} ${l.id} is priced at a ${(noi / l.price * 100).toFixed(2)}% cap on its underwritten NOI, outside ${(lo * 100).toFixed(2)}–${(hi * 100).toFixed(2)}%`);
+  }
+}
+
+// A player with its own seeded dice: buys what it can afford, makes offers, builds, renovates,
+// refinances and sells now and then. Blocked actions are fine; they're part of the journal too.
+function playBot(data, start, botSeed) {
+  const rng = mulberry32(seedFromString(botSeed));
+  const pick = xs => xs[Math.floor(rng() * xs.length)];
+  const products = Object.values(DEBT_PRODUCTS).filter(d => d.offered !== false).map(d => d.id);
+  let state = start;
+  const act = action => { state = applyAction(state, data, action).state; };
+
+  for (let y = 0; y < YEARS && !state.gameOver; y++) {
+    checkListingPrices(state, data, botSeed);
+    const affordable = state.listings.filter(l => listingLoanOffer(state, data, l).cashNeeded <= state.cash);
+    if (affordable.length && rng() < 0.7) act({ type: "BUY", listingId: pick(affordable).id, debtProduct: pick(products) });
+    else if (state.listings.length && rng() < 0.4) {
+      const l = pick(state.listings);
+      act({ type: "OFFER", listingId: l.id, price: Math.round(l.price * 0.95), deposit: 0.03, ddDays: 30 });
+    }
+    for (const c of state.contracts) if (c.phase !== "diligence") act(rng() < 0.8 ? { type: "CLOSE", contractId: c.id } : { type: "WALK", contractId: c.id });
+
+    if (rng() < 0.15) {
+      const n = pick(state.neighborhoods);
+      act({ type: "BUILD", neighborhoodId: n.id, productType: pick(n.zoning) });
+    }
+    const p = state.properties.length ? pick(state.properties) : null;
+    if (p && !p.build) {
+      const r = rng();
+      if (r < 0.1) act({ type: "SELL", propertyId: p.id });
+      else if (r < 0.2) act({ type: "REFI", propertyId: p.id, debtProduct: pick(products) });
+      else if (r < 0.3) act({ type: "RENO", propertyId: p.id });
+      else if (r < 0.35) act({ type: "PAYDOWN", propertyId: p.id, amount: 100000 });
+    }
+    if (state.distress && !state.restructured) act({ type: "RESTRUCTURE" });
+    act({ type: "NEXT_YEAR" });
+  }
+  return state;
+}
+
+function check(data, label, options) {
+  const play = () => playBot(data, createRun(data, options).state, label);
+  const state = play();
+  const json = JSON.stringify(state);
+
+  assert.ok(JSON.stringify(play()) === json, `${label}: same seed and actions gave a different run`);
+  assert.ok(replayRun(state, data).matches, `${label}: replay diverged from the played run`);
+
+  const loaded = resumeRun(JSON.parse(json), data).state;
+  assert.ok(replayRun(loaded, data).matches, `${label}: replay diverged after a save/load round trip`);
+
+  const actions = state.journal.filter(e => !e.auto).length;
+  console.log(`ok  ${label}: Y${state.year}, ${state.properties.length} properties, ${actions} actions${state.gameOver ? ", game over" : ""}`);
+}
+
+const data = loadData();
+for (const d of data.difficulties) {
+  for (const seed of ["alpha", "bravo"]) check(data, `${d.id}/${seed}`, { seed, difficulty: d.id });
+}
+// Scenarios without a seed of their own would get a random one
+for (const sc of data.scenarios) check(data, `scenario/${sc.id}`, { scenario: sc.id, seed: "scenario" });
+console.log("Replay check passed.");
@@ -4,6 +4,14 @@ export { money, pct };
 
 export function el(id) { return document.getElementById(id); }
 
+// Saves and imported runs carry strings from outside the game (slot names, seeds, property and tenant
+// names, ids); escape them before they go into innerHTML
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHTML(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
 export function addLog(container, msg) {
   const t = new Date().toLocaleTimeString();
   container.textContent = `[${t}] ${msg}\n` + container.textContent;
@@ -19,3 +27,150 @@ export function itemHTML(title, kvPairs, actionsHTML = "") {
     </div>
   `;
 }
+
+// One line of text per journal entry (Tycoon timeline, year-end report)
+export function describeEntry(e) {
+  switch (e.action) {
+    case "BUY": return `Bought ${e.name} as-is for ${money(e.price)}`;
+    case "OFFER": return `Offered ${money(e.price)} for ${e.name}: ${e.response}${e.counter ? ` (counter ${money(e.counter)})` : ""}`;
+    case "DEAL_KILLED": return `Diligence killed ${e.name}: ${e.issue}`;
+    case "CLOSE": return `${e.auto ? "Closed at deadline" : "Closed"}: ${e.name} for ${money(e.price)}`;
+    case "WALK": return `${e.auto ? "Missed closing" : "Walked away"}: ${e.name} (deposit ${money(e.deposit)} ${e.refunded ? "refunded" : "forfeited"})`;
+    case "SURPRISE": return `Surprise at ${e.name}: ${e.issue} (${money(e.amount)}${e.kind === "taxes" || e.kind === "rent" ? "/yr NOI" : ""})`;
+    case "SELL": return `${e.auto ? "Forced sale" : "Sold"}: ${e.name} for ${money(e.price)} (net ${money(e.net)})`;
+    case "RENO": return e.units
+      ? `Renovated ${e.units} units at ${e.name} (${money(e.cost)}, +${money(e.premium)}/yr)`
+      : `Renovated ${e.name} to level ${e.level} (${money(e.cost)})`;
+    case "BUILD": return e.blocked ? `Build attempt blocked: ${e.name}` : `Started build: ${e.name} (${money(e.cost)}${e.size ? `, ${e.size.toLocaleString()} ${e.unit}` : ""}${e.parcelId ? ` on ${e.parcelId}` : ""})`;
+    case "ENTITLED": return `Entitled: ${e.name} (construction loan ${money(e.loan)})`;
+    case "ENTITLEMENT_DENIED": return `Entitlement denied: ${e.name} (lost ${money(e.lost)})`;
+    case "DRAW": return `Construction draw: ${e.name} ${money(e.amount)}${e.overrun > 0 ? ` (overrun ${money(e.overrun)})` : ""}`;
+    case "CONSTRUCTION_STALLED": return `Construction stalled: ${e.name} (short ${money(e.needed)} equity)`;
+    case "IMPORT_BUY": return `Imported ${e.name} from Deal Judge (${money(e.price)})`;
+    case "NEXT_YEAR": return `Ended Y${e.year}`;
+    case "EVENT": return `Event: ${e.name}`;
+    case "EVENT_EXPIRED": return `Event ended: ${e.name}`;
+    case "LEASE_ROLL": return `Lease rolled: ${e.name} (${e.term} yr term)`;
+    case "TENANT_RENEWED": return `${e.name}: ${e.tenant} renewed (TI/LC ${money(e.cost)})`;
+    case "TENANT_VACATED": return `${e.name}: ${e.tenant} moved out of ${e.suite}`;
+    case "TENANT_LEASED": return `${e.name}: signed ${e.tenant} to ${e.suite} (TI/LC ${money(e.cost)})`;
+    case "TENANT_DEFAULT": return `${e.name}: ${e.tenant} failed`;
+    case "DELIVERED": return `Delivered: ${e.name}${e.cost ? ` (cost ${money(e.cost)})` : ""}`;
+    case "STABILIZED": return `Stabilized: ${e.name}, perm loan at ${pct(e.rate)}`;
+    case "PAYDOWN": return `Paid down ${e.name} by ${money(e.amount)}`;
+    case "EXTEND": return `Extended ${e.name} to Y${e.maturityYear} (fee ${money(e.fee)})`;
+    case "CAP": return `Rate cap on ${e.name} at ${pct(e.strike)} (${money(e.cost)})`;
+    case "REFI": return `Refi: ${e.name} at ${pct(e.rate)} (${e.cashOut >= 0 ? "cash-out" : "paid-in"} ${money(Math.abs(e.cashOut))})`;
+    case "REFI_FAILED": return `Refi failed: ${e.name} (short ${money(e.gap)})`;
+    case "CASH_FLOW": return `Operating cash flow ${money(e.amount)}`;
+    case "BANKRUPTCY": return `Bankruptcy shock: short ${money(e.shortfall)}`;
+    case "COVENANT_BREACH": return `Covenant breach: ${e.name} (${e.breached.join(" + ")}) — ${e.status === "trap" ? "cash trap" : "cash sweep"}`;
+    case "COVENANT_CURED": return `Covenants cured: ${e.name}`;
+    case "FORECLOSURE": return `Foreclosure: lender took ${e.name}`;
+    case "DISTRESS": return `Sponsor default: short ${money(e.shortfall)}`;
+    case "RESTRUCTURE": return `Restructured with ${money(e.amount)} of rescue capital`;
+    case "RESCUE_REPAID": return `Repaid rescue partner ${money(e.amount)} (${money(e.owed)} still owed)`;
+    case "HOLDING": return `Started with ${e.name} (equity ${money(-e.cash)})`;
+    case "GAME_OVER": return `Game over: ${e.reason}`;
+    case "SCENARIO_END": return `${e.name}: ${e.won ? "won" : "lost"} (score ${e.score})`;
+    default: return e.action;
+  }
+}
+
+// Return metrics from engine/finance.js as kv pairs. `when` labels a flow's t (payback).
+export function returnsKV(m, when = t => `Y${t}`) {
+  const rate = v => isFinite(v) ? pct(v) : "N/A";
+  // Flows that change sign more than once can have more than one IRR; show the count
+  const irr = m.irrRoots.length > 1
+    ? `<span title="IRRs: ${m.irrRoots.map(pct).join(", ")}">${rate(m.irr)} (1 of ${m.irrRoots.length})</span>`
+    : rate(m.irr);
+  return [
+    ["Levered IRR", irr],
+    ["Unlevered IRR", rate(m.unleveredIRR)],
+    [`NPV @ ${pct(m.discountRate)}`, money(m.npv)],
+    ["Equity Multiple", m.equityMultiple.toFixed(2) + "x"],
+    ["Avg Cash-on-Cash", m.avgCashOnCash === null ? "—" : pct(m.avgCashOnCash)],
+    ["Peak Equity", money(m.peakEquity)],
+    ["Payback", m.paybackYear === null ? "Not yet" : when(m.paybackYear)]
+  ];
+}
+
+// Inline SVG line chart. series: [{ name, points: [{ x, y }], color? }]; fmt labels the y axis and
+// x values are run years
+const CHART = { w: 320, h: 150, left: 54, right: 8, top: 10, bottom: 20 };
+const CHART_COLORS = ["#5b8def", "#f2a03d", "#46be78", "#ff6b6b", "#b388ff", "#4dd0e1", "#ffd166", "#8a94a6"];
+
+export function lineChartHTML(title, series, fmt = v => v) {
+  const points = series.flatMap(s => s.points);
+  const xs = [...new Set(points.map(pt => pt.x))];
+  if (xs.length < 2) return `<div class="chart"><h4>${title}</h4><div class="muted small">Charts start after the first year-end.</div></div>`;
+
+  const [x0, x1] = [Math.min(...xs), Math.max(...xs)];
+  let [y0, y1] = [Math.min(...points.map(pt => pt.y)), Math.max(...points.map(pt => pt.y))];
+  if (y0 === y1) { y0 -= Math.abs(y0) * 0.1 || 1; y1 += Math.abs(y1) * 0.1 || 1; }
+  const px = x => CHART.left + (x - x0) / (x1 - x0) * (CHART.w - CHART.left - CHART.right);
+  const py = y => CHART.top + (y1 - y) / (y1 - y0) * (CHART.h - CHART.top - CHART.bottom);
+
+  const grid = [y0, (y0 + y1) / 2, y1].map(y =>
+    `<line class="grid" x1="${CHART.left}" x2="${CHART.w - CHART.right}" y1="${py(y)}" y2="${py(y)}"/><text x="${CHART.left - 4}" y="${py(y) + 3}" text-anchor="end">${fmt(y)}</text>`
+  ).join("");
+  const years = [x0, x1].map(x => `<text x="${px(x)}" y="${CHART.h - 4}" text-anchor="middle">Y${x}</text>`).join("");
+  const lines = series.map((s, i) => {
+    const color = s.color || CHART_COLORS[i % CHART_COLORS.length];
+    const path = s.points.map(pt => `${px(pt.x).toFixed(1)},${py(pt.y).toFixed(1)}`).join(" ");
+    return `<polyline points="${path}" stroke="${color}"><title>${escapeHTML(s.name)}</title></polyline>`;
+  }).join("");
+  const legend = series.map((s, i) => `<span><i style="background:${s.color || CHART_COLORS[i % CHART_COLORS.length]}"></i>${escapeHTML(s.name)}</span>`).join("");
+
+  return `<div class="chart"><h4>${title}</h4>
+    <svg viewBox="0 0 ${CHART.w} ${CHART.h}">${grid}${years}${lines}</svg>
+    <div class="legend small">${legend}</div></div>`;
+}
+
+// T-12 style operating statement (see computeOperatingStatement in engine/property.js)
+const STATEMENT_LINES = [
+  ["Gross potential rent", "gpr"],
+  ["Vacancy loss", "vacancyLoss", -1],
+  ["Concessions", "concessions", -1],
+  ["Other income", "otherIncome"],
+  ["Effective gross income", "egi", 1, true],
+  ["Taxes", "taxes", -1],
+  ["Insurance", "insurance", -1],
+  ["Repairs & maintenance", "repairs", -1],
+  ["Utilities", "utilities", -1],
+  ["Management", "management", -1],
+  ["Total operating expenses", "totalOpex", -1, true],
+  ["Net operating income", "noi", 1, true]
+];
+
+export function statementHTML(statement) {
+  const rows = STATEMENT_LINES.map(([label, key, sign = 1, total]) => {
+    const v = (statement[key] || 0) * sign;
+    const share = statement.egi > 0 ? pct(Math.abs(statement[key] || 0) / statement.egi) : "—";
+    return `<tr${total ? ` class="total"` : ""}><td>${label}</td><td>${money(v)}</td><td class="muted">${share}</td></tr>`;
+  }).join("");
+  // Below the line: TI/LC paid on rent-roll leasing that year
+  const leasing = statement.leasingCosts
+    ? `<tr><td>Leasing costs (TI/LC)</td><td>${money(-statement.leasingCosts)}</td><td></td></tr>
+       <tr class="total"><td>Cash flow before debt service</td><td>${money(statement.noi - statement.leasingCosts)}</td><td></td></tr>`
+    : "";
+  return `<table class="statement"><thead><tr><th></th><th>Annual</th><th>% EGI</th></tr></thead><tbody>${rows}${leasing}</tbody></table>`;
+}
+
+// Multifamily unit mix: monthly rents per unit, classic in-place vs market, and renovated units at their premium
+export function unitMixHTML(mix, marketRentIndex) {
+  const rows = mix.types.map(t => {
+    const classic = t.count - t.renovated;
+    const gap = classic * t.rent * (marketRentIndex - t.inPlace) + t.renovated * t.rent * (marketRentIndex * (1 + t.renoPremium) - (t.renoInPlace || 0));
+    return `<tr>
+      <td>${escapeHTML(t.name)}</td><td>${t.count}</td><td>${t.renovated}</td>
+      <td>${money(t.rent * t.inPlace)}</td><td>${money(t.rent * marketRentIndex)}</td>
+      <td>${t.renovated > 0 ? money(t.rent * t.renoInPlace) : "—"}</td><td>${pct(t.renoPremium)}</td><td>${money(t.renoCostPerDoor)}</td>
+      <td>${money(gap * 12)}</td>
+    </tr>`;
+  }).join("");
+  return `<table class="statement unitmix">
+    <thead><tr><th>Type</th><th>Units</th><th>Reno'd</th><th>In-place/mo</th><th>Market/mo</th><th>Reno'd/mo</th><th>Premium</th><th>Cost/door</th><th>Loss-to-lease/yr</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
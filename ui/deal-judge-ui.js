@@ -1,12 +1,19 @@
 import { loadJSON } from "../engine/utils.js";
-import { underwriteDeal } from "../engine/deals.js";
-import { el, itemHTML, money, pct, addLog } from "./common.js";
+import { simulateDeal, SIMULATION_PATHS } from "../engine/montecarlo.js";
+import { underwriteDeal, sensitivityGrid, sensitivityAxis, dealCases, caseInputs, SENSITIVITY_GRIDS, DEAL_CASES } from "../engine/deals.js";
+import { applyAction } from "../engine/sim.js";
+import { loadRun, saveRun } from "../engine/state.js";
+import { makeLoan, PLAIN_DEBT_PRODUCT } from "../engine/lender.js";
+import { el, itemHTML, statementHTML, unitMixHTML, returnsKV, money, pct, addLog } from "./common.js";
 
 const HOF_KEY = "cretycoon:hof:v1";
-const RUN_KEY = "cretycoon:run:v1";
+
+// Cell colors: below the first bar is poor, past the second is good
+const HURDLES = { irr: [0.08, 0.15], equityMultiple: [1.2, 1.8] };
 
 let DATA = null;
 let deals = [];
+let gridCase = "base";  // which case the sensitivity grids are run around
 
 function getHOF() {
   return JSON.parse(localStorage.getItem(HOF_KEY) || "[]");
@@ -32,6 +39,7 @@ function renderDeal(deal) {
       ["Type", p.name],
       ["Neighborhood", n.name],
       ["Price", money(deal.purchasePrice)],
+      ...(p.unitMix && deal.units > 1 ? [["Units", deal.units]] : []),
       ["In-place NOI", money(deal.inPlaceNOI)],
       ["Market lift", pct(deal.marketNOILiftPct)],
       ["Debt LTV", pct(deal.debt.ltv)],
@@ -43,71 +51,241 @@ function renderDeal(deal) {
 }
 
 function renderResults(out) {
-  const irrTxt = isFinite(out.irr) ? pct(out.irr) : "N/A";
   el("results").innerHTML = itemHTML(
     "Outputs",
     [
       ["Equity Needed", money(out.equity)],
       ["Exit Value", money(out.exitValue)],
       ["Net Sale Proceeds", money(out.saleNet)],
-      ["IRR", irrTxt],
-      ["Equity Multiple", out.equityMultiple.toFixed(2) + "x"]
+      ...returnsKV(out)
     ]
   ) + `
   <div class="item" style="margin-top:10px">
     <h4>Year-by-year</h4>
     <div class="kv">
-      ${out.cashFlows.map(x =>
-        `<div>Y${x.year} CF: <b>${money(x.cashFlow)}</b> · NOI: <b>${money(x.noi)}</b> · DSCR: <b>${x.dscr.toFixed(2)}</b></div>`
+      ${out.cashFlows.map((x, i) =>
+        `<div>Y${x.year} CF: <b>${money(x.cashFlow)}</b> · NOI: <b>${money(x.noi)}</b> · DSCR: <b>${x.dscr.toFixed(2)}</b> · CoC: <b>${pct(out.cashOnCash[i].value ?? 0)}</b></div>`
       ).join("")}
     </div>
+  </div>
+  <div class="item" style="margin-top:10px">
+    <h4>Operating statement</h4>
+    <details class="statement-wrap" open>
+      <summary>In-place (T-12)</summary>
+      ${statementHTML(out.inPlace)}
+    </details>
+    <details class="statement-wrap">
+      <summary>Year 1 pro forma</summary>
+      ${statementHTML(out.cashFlows[0].statement)}
+    </details>
+  </div>${out.unitMix ? unitMixResultsHTML(out) : ""}`;
+}
+
+function unitMixResultsHTML(out) {
+  const { units, lossToLease, renovated, mix, marketRentIndex } = out.unitMix;
+  const reno = renovated && renovated.doors > 0
+    ? `${renovated.doors} doors for ${money(renovated.cost)} (${money(renovated.cost / renovated.doors)}/door), +${money(renovated.premium)}/yr`
+    : "None (add CapEx to renovate units)";
+  return `
+  <div class="item" style="margin-top:10px">
+    <h4>Unit mix</h4>
+    <div class="kv">
+      <div>Units: <b>${units}</b> · In-place loss-to-lease: <b>${money(lossToLease)}/yr</b></div>
+      <div>Y1 renovation: <b>${reno}</b></div>
+    </div>
+    <details class="statement-wrap">
+      <summary>At exit (Y${out.cashFlows.length})</summary>
+      ${unitMixHTML(mix, marketRentIndex)}
+    </details>
+  </div>`;
+}
+
+function axisLabel(key, v) {
+  return key === "holdYears" ? `${v}y` : pct(v);
+}
+
+function metricLabel(metric, v) {
+  if (metric === "irr") return isFinite(v) ? pct(v) : "N/A";
+  return `${v.toFixed(2)}x`;
+}
+
+function metricClass(metric, v) {
+  const [poor, good] = HURDLES[metric];
+  if (!isFinite(v) || v < poor) return "poor";
+  return v >= good ? "good" : "fair";
+}
+
+function gridHTML(g) {
+  const head = g.colValues.map(c => `<th${c === g.base.col ? ` class="base"` : ""}>${axisLabel(g.cols, c)}</th>`).join("");
+  const rows = g.rowValues.map((r, i) => `<tr>
+    <th${r === g.base.row ? ` class="base"` : ""}>${axisLabel(g.rows, r)}</th>
+    ${g.cells[i].map((v, j) => {
+      const base = r === g.base.row && g.colValues[j] === g.base.col ? " base" : "";
+      return `<td class="${metricClass(g.metric, v)}${base}">${metricLabel(g.metric, v)}</td>`;
+    }).join("")}
+  </tr>`).join("");
+  return `
+    <h4>${g.name}: ${sensitivityAxis(g.rows).name} × ${sensitivityAxis(g.cols).name}</h4>
+    <table class="sens">
+      <thead><tr><th class="corner">${sensitivityAxis(g.rows).name} ↓ / ${sensitivityAxis(g.cols).name} →</th>${head}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function casesHTML(cases) {
+  const row = (label, f) => `<tr><td>${label}</td>${cases.map(c => `<td${c.id === gridCase ? ` class="base"` : ""}>${f(c)}</td>`).join("")}</tr>`;
+  const minDSCR = c => Math.min(...c.out.cashFlows.map(x => x.dscr));
+  return `
+    <table class="statement cases">
+      <thead><tr><th></th>${cases.map(c => `<th>${c.name}</th>`).join("")}</tr></thead>
+      <tbody>
+        ${row("Rent growth", c => pct(c.inputs.rentGrowth))}
+        ${row("Exit cap", c => pct(c.inputs.exitCap))}
+        ${row("Interest rate", c => pct(c.inputs.rate))}
+        ${row("Vacancy shift", c => `${c.inputs.vacancyDelta >= 0 ? "+" : ""}${pct(c.inputs.vacancyDelta)}`)}
+        ${row("Exit value", c => money(c.out.exitValue))}
+        ${row("Lowest DSCR", c => minDSCR(c).toFixed(2))}
+        ${row("IRR", c => `<span class="${metricClass("irr", c.out.irr)}">${metricLabel("irr", c.out.irr)}</span>`)}
+        ${row("Equity multiple", c => `<span class="${metricClass("equityMultiple", c.out.equityMultiple)}">${metricLabel("equityMultiple", c.out.equityMultiple)}</span>`)}
+      </tbody>
+    </table>`;
+}
+
+// Downside / base / upside side by side, then the grids around whichever case is toggled on
+function renderSensitivity(args) {
+  const c = DEAL_CASES.find(x => x.id === gridCase);
+  const around = { ...args, inputs: caseInputs(c, args.deal, args.inputs) };
+  el("sensitivity").innerHTML = `
+    <div class="item">
+      <h4>Cases</h4>
+      ${casesHTML(dealCases(args))}
+      <div class="row gap wrap" style="margin-top:10px">
+        <span class="muted small">Grids around:</span>
+        ${DEAL_CASES.map(x => `<button class="btn${x.id === gridCase ? " primary" : ""}" data-case="${x.id}">${x.name}</button>`).join("")}
+      </div>
+    </div>
+    <div class="item" style="margin-top:10px">
+      ${SENSITIVITY_GRIDS.map(g => gridHTML(sensitivityGrid(around, g))).join("")}
+      <div class="muted small">Green clears ${pct(HURDLES.irr[1])} IRR / ${HURDLES.equityMultiple[1]}x; red is under ${pct(HURDLES.irr[0])} / ${HURDLES.equityMultiple[0]}x. The outlined cell is the case as underwritten.</div>
+    </div>`;
+}
+
+// IRR histogram: equal-width bins from the worst path to the best
+function histogramHTML(sorted, bins = 12) {
+  const lo = sorted[0];
+  const hi = sorted[sorted.length - 1];
+  const width = (hi - lo) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  for (const v of sorted) counts[Math.min(bins - 1, Math.floor((v - lo) / width))] += 1;
+  const max = Math.max(...counts);
+  return `<div class="hist">${counts.map((c, i) => {
+    const from = lo + i * width;
+    return `<div class="bar ${metricClass("irr", from + width / 2)}" style="height:${Math.round(c / max * 100)}%" title="${pct(from)} to ${pct(from + width)}: ${c} paths"></div>`;
+  }).join("")}</div>
+  <div class="row small muted" style="justify-content:space-between"><span>${pct(lo)}</span><span>${pct(hi)}</span></div>`;
+}
+
+function renderSimulation(sim) {
+  const band = (d, f) => `${f(d.p10)} / <b>${f(d.p50)}</b> / ${f(d.p90)}`;
+  el("simulation").innerHTML = itemHTML(
+    `Simulated: ${sim.paths} market paths (${sim.difficulty})`,
+    [
+      ["IRR P10 / P50 / P90", band(sim.irr, v => metricLabel("irr", v))],
+      ["Equity multiple P10 / P50 / P90", band(sim.equityMultiple, v => metricLabel("equityMultiple", v))],
+      ["Exit cap P10 / P50 / P90", band(sim.exitCap, pct)],
+      ["Lowest DSCR P10 / P50 / P90", band(sim.minDSCR, v => v.toFixed(2))],
+      ["P(DSCR breach)", `${pct(sim.pDSCRBreach)} (any year under ${sim.covenant.toFixed(2)}x)`],
+      ["P(loss)", `<span class="${sim.pLoss > 0.25 ? "poor" : sim.pLoss > 0.1 ? "fair" : "good"}">${pct(sim.pLoss)}</span> (equity multiple under 1.0x)`]
+    ]
+  ) + `
+  <div class="item" style="margin-top:10px">
+    <h4>IRR distribution</h4>
+    ${histogramHTML(sim.irr.sorted)}
+    <div class="muted small">Each path runs the Tycoon market year by year (rates, liquidity, demand, vacancy and the event deck). Rent growth and vacancy come from the path; the exit cap moves with the neighborhood's cap rate.</div>
   </div>`;
 }
 
+function readInputs() {
+  return {
+    rentGrowth: Number(el("rentGrowth").value),
+    exitCap: Number(el("exitCap").value),
+    capex: Number(el("capex").value),
+    holdYears: Number(el("holdYears").value),
+    discountRate: Number(el("discountRate").value)
+  };
+}
+
 function pickDealById(id) {
   return deals.find(d => d.id === id) || deals[0];
 }
 
 function importIntoTycoon(deal, out) {
-  const run = JSON.parse(localStorage.getItem(RUN_KEY) || "null");
+  let run;
+  try {
+    run = loadRun();
+  } catch (err) {
+    return { ok: false, msg: `Tycoon save couldn't be read: ${err.message}` };
+  }
   if (!run) return { ok: false, msg: "No Tycoon run found. Open Tycoon first and start a run." };
 
   const down = deal.purchasePrice * (1 - deal.debt.ltv);
   if (run.cash < down) return { ok: false, msg: `Tycoon run doesn't have enough cash for down payment (${money(down)}).` };
 
-  run.cash -= down;
-  run.properties.push({
-    id: `IMP-${deal.id}-${Date.now()}`,
-    name: deal.name,
-    neighborhood: deal.neighborhood,
-    productType: deal.productType,
-    baseNOI: deal.inPlaceNOI * (1 + deal.marketNOILiftPct * 0.5),
-    rentIndexMult: 1.0,
-    vacancyDelta: 0.0,
-    capRateDelta: 0.0,
-    loanBalance: deal.purchasePrice * deal.debt.ltv,
-    loanRate: deal.debt.rate,
-    amortYears: deal.debt.amortYears,
-    interestOnly: false,
-    build: null
+  // Goes through the engine so the buy lands in the journal and replays with the run
+  const id = `IMP-${deal.id}-${Date.now()}`;
+  const next = applyAction(run, DATA, {
+    type: "IMPORT",
+    dealId: deal.id,
+    price: deal.purchasePrice,
+    down,
+    property: {
+      id,
+      name: deal.name,
+      neighborhood: deal.neighborhood,
+      productType: deal.productType,
+      units: deal.units,
+      baseNOI: deal.inPlaceNOI * (1 + deal.marketNOILiftPct * 0.5),
+      rentIndexMult: 1.0,
+      vacancyDelta: 0.0,
+      capRateDelta: 0.0,
+      renoLevel: 0,
+      ltv: deal.debt.ltv,
+      ...makeLoan(PLAIN_DEBT_PRODUCT, {
+        amount: deal.purchasePrice * deal.debt.ltv,
+        rate: deal.debt.rate,
+        year: run.year,
+        baseRate: run.market.baseRate,
+        maturityYears: 7
+      }),
+      amortYears: deal.debt.amortYears,
+      build: null
+    }
   });
 
-  run.journal = run.journal || [];
-  run.journal.push({ year: run.year, action: "IMPORT_BUY", target: deal.id, price: deal.purchasePrice });
+  // The engine can still turn it away (a finished run, a guard the checks above don't cover)
+  if (!next.state.properties.some(p => p.id === id)) {
+    const blocked = next.log.find(e => e.type === "BLOCKED");
+    return { ok: false, msg: blocked ? blocked.msg : "Tycoon didn't take the import." };
+  }
 
-  localStorage.setItem(RUN_KEY, JSON.stringify(run));
+  saveRun(next.state);
   return { ok: true, msg: "Imported into Tycoon portfolio." };
 }
 
 async function init() {
-  const [nhoods, products, dealsData] = await Promise.all([
+  const [nhoods, products, dealsData, events, difficulties] = await Promise.all([
     loadJSON("data/neighborhoods.json"),
     loadJSON("data/productTypes.json"),
-    loadJSON("data/deals.json")
+    loadJSON("data/deals.json"),
+    loadJSON("data/events.json"),
+    loadJSON("data/difficulties.json")
   ]);
-  DATA = { neighborhoods: nhoods.neighborhoods, productTypes: products.productTypes };
+  DATA = { neighborhoods: nhoods.neighborhoods, productTypes: products.productTypes, events: events.events, difficulties: difficulties.difficulties };
   deals = dealsData.deals;
 
+  el("simMarket").innerHTML = DATA.difficulties.map(d => `<option value="${d.id}" ${d.id === "normal" ? "selected" : ""}>${d.name}</option>`).join("");
+  el("simPaths").value = SIMULATION_PATHS;
+
   el("dealSelect").innerHTML = deals.map(d => `<option value="${d.id}">${d.name}</option>`).join("");
   const current = deals[0];
   renderDeal(current);
@@ -116,6 +294,8 @@ async function init() {
   el("dealSelect").addEventListener("change", () => {
     renderDeal(pickDealById(el("dealSelect").value));
     el("results").innerHTML = "";
+    el("sensitivity").innerHTML = "";
+    el("simulation").innerHTML = "";
   });
 
   el("randomDeal").addEventListener("click", () => {
@@ -123,6 +303,8 @@ async function init() {
     el("dealSelect").value = d.id;
     renderDeal(d);
     el("results").innerHTML = "";
+    el("sensitivity").innerHTML = "";
+    el("simulation").innerHTML = "";
   });
 
   el("calc").addEventListener("click", () => {
@@ -130,16 +312,32 @@ async function init() {
     const neighborhood = DATA.neighborhoods.find(x => x.id === deal.neighborhood);
     const product = DATA.productTypes.find(x => x.id === deal.productType);
 
-    const inputs = {
-      rentGrowth: Number(el("rentGrowth").value),
-      exitCap: Number(el("exitCap").value),
-      capex: Number(el("capex").value),
-      holdYears: Number(el("holdYears").value)
-    };
+    const inputs = readInputs();
 
     const out = underwriteDeal({ deal, neighborhood, product, inputs });
     renderResults(out);
-    window.__lastUW = { deal, out }; // for Buy/Pass buttons
+    renderSensitivity({ deal, neighborhood, product, inputs });
+    window.__lastUW = { deal, out, neighborhood, product, inputs }; // for Buy/Pass buttons and case toggles
+  });
+
+  el("simulate").addEventListener("click", () => {
+    const deal = pickDealById(el("dealSelect").value);
+    const neighborhood = DATA.neighborhoods.find(x => x.id === deal.neighborhood);
+    const product = DATA.productTypes.find(x => x.id === deal.productType);
+    renderSimulation(simulateDeal({
+      deal, neighborhood, product, data: DATA,
+      inputs: readInputs(),
+      difficulty: el("simMarket").value,
+      paths: Number(el("simPaths").value),
+      seed: el("simSeed").value
+    }));
+  });
+
+  el("sensitivity").addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-case]");
+    if (!btn || !window.__lastUW) return;
+    gridCase = btn.getAttribute("data-case");
+    renderSensitivity(window.__lastUW);
   });
 
   el("buy").addEventListener("click", () => {
@@ -0,0 +1,124 @@
+import { describeEntry, escapeHTML, money, pct } from "./common.js";
+
+// ----------------- year-end report -----------------
+// engine/report.js's yearEndReport as a standalone HTML page: inline styles, no scripts but the print
+// button, so it opens from disk and prints (or saves as PDF) the same anywhere.
+
+const REPORT_CSS = `
+  body { font: 13px/1.45 system-ui, sans-serif; color: #111; margin: 32px auto; max-width: 960px; padding: 0 16px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 28px 0 8px; border-bottom: 2px solid #111; padding-bottom: 4px; }
+  .muted { color: #666; }
+  .kv { display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px 16px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+  tr.total td { font-weight: 600; border-top: 1px solid #111; }
+  ul { margin: 0; padding-left: 18px; }
+  .print { float: right; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .print { display: none; }
+    h2 { break-after: avoid; }
+    tr { break-inside: avoid; }
+  }
+`;
+
+function table(header, rows, numeric = []) {
+  const cell = (tag, v, i) => `<${tag}${numeric.includes(i) ? ` class="num"` : ""}>${v}</${tag}>`;
+  return `<table>
+    <thead><tr>${header.map((h, i) => cell("th", h, i)).join("")}</tr></thead>
+    <tbody>${rows.map(r => `<tr${r.total ? ` class="total"` : ""}>${r.map((v, i) => cell("td", v, i)).join("")}</tr>`).join("")}</tbody>
+  </table>`;
+}
+
+function totalRow(cells) {
+  return Object.assign(cells, { total: true });
+}
+
+function scheduleTable(report) {
+  const rows = report.schedule.map(p => [
+    escapeHTML(p.name),
+    escapeHTML(p.status === "stabilized" ? p.productType : `${p.productType} (${p.status})`),
+    money(p.noi),
+    money(p.value),
+    money(p.debt),
+    p.dscr === null ? "—" : p.dscr.toFixed(2) + "x",
+    p.maturityYear === null ? "—" : `Y${p.maturityYear}`,
+    p.leaseTerm === null ? "—" : `${p.leaseTerm.toFixed(1)} yrs`
+  ]);
+  if (!rows.length) return `<p class="muted">No properties held at year-end.</p>`;
+
+  const { end } = report;
+  rows.push(totalRow(["Portfolio", "", money(end.noi), money(end.value), money(end.debt), end.dscr === null ? "—" : end.dscr.toFixed(2) + "x", "", ""]));
+  return table(["Property", "Type", "NOI", "Value", "Debt", "DSCR", "Balloon", "Lease term"], rows, [2, 3, 4, 5]);
+}
+
+function eventsSection(report) {
+  const market = report.marketEvents.length
+    ? table(["Market event", "Where", "Hit the portfolio"], report.marketEvents.map(e => [escapeHTML(e.name), escapeHTML(e.scope), e.hit ? "Yes" : "No"]))
+    : `<p class="muted">No market events this year.</p>`;
+  const incidents = report.incidents.length
+    ? `<ul>${report.incidents.map(e => `<li>${escapeHTML(describeEntry(e))}</li>`).join("")}</ul>`
+    : `<p class="muted">No property or sponsor incidents.</p>`;
+  return `${market}<h3>Property and sponsor incidents</h3>${incidents}`;
+}
+
+// The whole report as an HTML document (string)
+export function reportHTML(report) {
+  const { start, end } = report;
+  const ltv = end.value > 0 ? end.debt / end.value : 0;
+  const summary = [
+    ["Equity", `${money(end.equity)} <span class="muted">(from ${money(start.equity)})</span>`],
+    ["Cash", money(end.cash)],
+    ["Property value", money(end.value)],
+    ["Debt", money(end.debt)],
+    ["NOI", money(end.noi)],
+    ["DSCR", end.dscr === null ? "—" : end.dscr.toFixed(2) + "x"],
+    ["LTV", pct(ltv)],
+    ["Run return", report.runReturn === null ? "—" : pct(report.runReturn)],
+    ["Property book return", report.bookReturn === null ? "—" : pct(report.bookReturn)]
+  ];
+  const run = [
+    report.scenario ? `Scenario: ${report.scenario}` : "Free play",
+    `Difficulty: ${report.difficulty}`,
+    report.seed === null ? "" : `Seed: ${report.seed}`
+  ].filter(Boolean).map(escapeHTML).join(" · ");
+  const exited = report.exited.length
+    ? `<p class="muted">Left the portfolio this year: ${report.exited.map(p => escapeHTML(p.name)).join(", ")}.</p>`
+    : "";
+  const activity = report.activity.length
+    ? table(["Action", "", "Cash"], report.activity.map(e => [escapeHTML(describeEntry(e)), e.auto ? "auto" : "", e.cash ? money(e.cash) : ""]), [2])
+    : `<p class="muted">No journal activity.</p>`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>CRE Tycoon — Y${report.year} year-end report</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <button class="print" onclick="window.print()">Print / Save as PDF</button>
+  <h1>Year-end report: Y${report.year}</h1>
+  <div class="muted">${run}</div>
+
+  <h2>Summary</h2>
+  <div class="kv">${summary.map(([k, v]) => `<div>${k}: <b>${v}</b></div>`).join("")}</div>
+
+  <h2>Property schedule</h2>
+  ${scheduleTable(report)}
+  ${exited}
+
+  <h2>Cash flow waterfall</h2>
+  ${table(["", "Amount"], report.waterfall.map(l => l.total ? totalRow([l.name, money(l.amount)]) : [l.name, money(l.amount)]), [1])}
+
+  <h2>Events</h2>
+  ${eventsSection(report)}
+
+  <h2>Journal activity</h2>
+  ${activity}
+</body>
+</html>
+`;
+}
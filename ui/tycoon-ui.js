@@ -1,496 +1,327 @@
-import { loadJSON, clamp } from "../engine/utils.js";
-import { mulberry32, seedFromString } from "../engine/rng.js";
-import { computeNOI, valueFromNOI, annualDebtService, dscr } from "../engine/property.js";
-import { applyEventToMarket, applyEventToNeighborhood, updateMarketYear, updateNeighborhoodYear } from "../engine/market.js";
-import { el, addLog, itemHTML, money, pct } from "./common.js";
-import { getSettings, saveRun, loadRun, clearRun } from "../engine/state.js";
+import { loadJSON } from "../engine/utils.js";
+import { dscr } from "../engine/property.js";
+import { createRun, resumeRun, scenarioMetrics, replayRun, quoteFinancing, quoteBuild, listingLoanOffer, canBuy, rewindToYear, undoYear, undoLastAction, isReplayable, applyAction, computePortfolio, computePropertySnapshot, runReturns, runPerformance, productTypesById } from "../engine/sim.js";
+import { eventStrength } from "../engine/events.js";
+import { CREDIT, rentRollRules, rentRollMetrics, rentRollWALT, annualRent } from "../engine/rentroll.js";
+import { unitMixMetrics, renovationPlan, classicUnits } from "../engine/unitmix.js";
+import { VACANT, parcelById } from "../engine/parcels.js";
+import { compCapRate } from "../engine/competitors.js";
+import { productVacancy, deliveryPipeline } from "../engine/supply.js";
+import { DD_PERIODS, MAX_OFFERS } from "../engine/acquisition.js";
+import { reportYears, yearEndReport, reportCSVs } from "../engine/report.js";
+import { DEBT_PRODUCTS, DEFAULT_DEBT_PRODUCT, debtProduct, isInterestOnly, prepaymentPenalty } from "../engine/lender.js";
+import { el, addLog, itemHTML, statementHTML, unitMixHTML, returnsKV, lineChartHTML, describeEntry, escapeHTML, money, pct } from "./common.js";
+import { reportHTML } from "./report.js";
+import {
+  getSettings, saveRun, loadRun, clearRun,
+  listSlots, saveSlot, loadSlot, deleteSlot, duplicateSlot, getActiveSlotId, setActiveSlotId,
+  exportRun, parseRunExport
+} from "../engine/state.js";
 
 let DATA = null;
-let rng = null;
 let state = null;
-
-const RUN_DEFAULTS = {
-  year: 1,
-  cash: 3000000,
-  market: { baseRate: 0.045, spread: 0.020, liquidity: 0.70 },
-  neighborhoods: [],
-  properties: [],
-  listings: [],
-  activeEvents: [],
-  journal: []
-};
-
-// ----------------- NEW: Lease / WALT-lite settings -----------------
-const LEASE_RULES = {
-  multifamily: { termMin: 1, termMax: 2, rollPct: 0.55 }, // high turnover
-  hotel:       { termMin: 1, termMax: 1, rollPct: 1.00 }, // mark-to-market
-  industrial:  { termMin: 3, termMax: 7, rollPct: 0.18 },
-  retail:      { termMin: 5, termMax: 10, rollPct: 0.12 },
-  office:      { termMin: 5, termMax: 12, rollPct: 0.08 }, // sticky leases
-  mixeduse:    { termMin: 2, termMax: 5, rollPct: 0.22 }
-};
-
-function randInt(min, max) {
-  return Math.floor(min + rng() * (max - min + 1));
-}
-
-// ----------------- helper functions for property underwriting -----------------
-function getNeighborhood(state, id) {
-  return state.neighborhoods.find(x => x.id === id);
-}
-
-function makeMaturityYears() {
-  // Commercial-style balloon terms: mostly 5/7/10 years
-  const r = rng();
-  if (r < 0.45) return 5;
-  if (r < 0.75) return 7;
-  return 10;
+let pendingFinancing = null; // { type, propertyId, amount?, debtProduct?, strike? } being previewed on a property card
+let listingDebt = {};        // listingId -> debt product picked on the listing card (contracts share the id)
+let pendingOffer = null;     // { listingId, price, depositPct, ddDays, financing } being drafted on a listing card
+const openStatements = new Set(); // property ids whose operating statement is expanded
+const openRentRolls = new Set();   // property ids whose rent roll is expanded
+const openUnitMixes = new Set();   // property ids whose unit mix is expanded
+let selectedParcel = null;         // parcel id clicked on the city map
+let buildParcel = null;            // parcel id the build form is pricing ("Plan a build here")
+let reportYear = null;             // completed year picked for the year-end report (null: the latest)
+
+// Thin renderer over engine/sim.js: every click becomes an action,
+// the engine returns the next state plus log events we print.
+function showLog(log) {
+  for (const e of log) addLog(el("log"), e.msg);
 }
 
-function initLeaseForProperty(p) {
-  const n = getNeighborhood(state, p.neighborhood);
-  const rules = LEASE_RULES[p.productType] || { termMin: 3, termMax: 7, rollPct: 0.15 };
-
-  const marketRentIndex = n.rentIndex * p.rentIndexMult;
-
-  p.lease = {
-    yearsRemaining: randInt(rules.termMin, rules.termMax),
-    rollPct: rules.rollPct,
-    leaseRentIndex: marketRentIndex
-  };
+function dispatch(action) {
+  pendingFinancing = null;
+  const out = applyAction(state, DATA, action);
+  state = out.state;
+  showLog(out.log);
+  render();
 }
 
-function updateLeasesOneYear() {
-  // Called once per year, after neighborhoods update but before NOI/cash flow
-  for (const p of state.properties) {
-    if (!p.lease || typeof p.lease.leaseRentIndex !== "number") {
-      initLeaseForProperty(p);
-      continue;
-    }
-
-    const n = getNeighborhood(state, p.neighborhood);
-    const marketRentIndex = n.rentIndex * p.rentIndexMult;
-
-    // Mark a portion of rent to market each year (WALT-lite turnover)
-    const roll = clamp(p.lease.rollPct, 0, 1);
-    p.lease.leaseRentIndex = p.lease.leaseRentIndex * (1 - roll) + marketRentIndex * roll;
-
-    // Term countdown and renewal
-    p.lease.yearsRemaining -= 1;
-    if (p.lease.yearsRemaining <= 0) {
-      const rules = LEASE_RULES[p.productType] || { termMin: 3, termMax: 7, rollPct: 0.15 };
-      p.lease.yearsRemaining = randInt(rules.termMin, rules.termMax);
-      p.lease.leaseRentIndex = marketRentIndex;
+function renderTimeline() {
+  const replayable = isReplayable(state);
+  const years = [...new Set(state.journal.map(e => e.year))].sort((a, b) => b - a);
+
+  el("undoAction").disabled = !replayable;
+  el("undoYear").disabled = !replayable;
+
+  el("timeline").innerHTML = years.length
+    ? years.map(y => {
+        const rewindBtn = replayable && y < state.year
+          ? `<button class="btn small" data-rewind="${y}">Rewind to Y${y}</button>`
+          : "";
+        const rows = state.journal
+          .filter(e => e.year === y)
+          .reverse()
+          .map(e => `<div class="${e.auto ? "auto" : ""}">${e.auto ? "·" : "▸"} ${escapeHTML(describeEntry(e))}</div>`)
+          .join("");
+        return `<div class="timeline-year"><span>Y${y}</span>${rewindBtn}</div>${rows}`;
+      }).join("")
+    : `<div class="muted">Nothing yet. Actions and year-end outcomes show up here.</div>`;
 
-      addLog(el("log"), `Lease rollover: ${p.name} renewed at market. New term ${p.lease.yearsRemaining} yr(s).`);
-    }
+  if (!replayable && state.journal.length) {
+    el("timeline").innerHTML = `<div class="muted">This save predates the full journal, so it can't be rewound.</div>` + el("timeline").innerHTML;
   }
 }
 
-function computePropertySnapshot(p, productTypesById) {
-  const n = getNeighborhood(state, p.neighborhood);
-  const product = productTypesById[p.productType];
-
-  const noi = computeNOI({
-    baseNOI: p.baseNOI,
-    rentIndex: (p.lease?.leaseRentIndex ?? (n.rentIndex * p.rentIndexMult)),
-    vacancy: clamp(n.vacancy + p.vacancyDelta, 0.01, 0.40),
-    expenseRatio: product.baseExpenseRatio
-  });
-
-  const capRate = clamp(n.capRate + p.capRateDelta, 0.03, 0.14);
-  const value = valueFromNOI(noi, capRate);
-
-  const ds = annualDebtService({
-    balance: p.loanBalance,
-    rate: p.loanRate,
-    amortYears: p.amortYears,
-    interestOnly: p.interestOnly
-  });
-
-  return { n, product, noi, capRate, value, ds };
+// Swap in a replayed state (undo / rewind) without re-printing the whole replay log
+function travel(out, msg) {
+  if (!out) { addLog(el("log"), "Nothing to undo this year."); return; }
+  state = out.state;
+  addLog(el("log"), msg);
+  render();
 }
 
-function computePortfolio(state, productTypesById) {
-  let totalValue = 0, totalDebt = 0, totalNOI = 0, totalCF = 0, totalDS = 0;
-
-  for (const p of state.properties) {
-    const n = state.neighborhoods.find(x => x.id === p.neighborhood);
-    const product = productTypesById[p.productType];
-
-    const noi = computeNOI({
-      baseNOI: p.baseNOI,
-      rentIndex: (p.lease?.leaseRentIndex ?? (n.rentIndex * p.rentIndexMult)),
-      vacancy: clamp(n.vacancy + p.vacancyDelta, 0.01, 0.40),
-      expenseRatio: product.baseExpenseRatio
-    });
-
-    const capRate = clamp(n.capRate + p.capRateDelta, 0.03, 0.14);
-    const value = valueFromNOI(noi, capRate);
-
-    const ds = annualDebtService({
-      balance: p.loanBalance,
-      rate: p.loanRate,
-      amortYears: p.amortYears,
-      interestOnly: p.interestOnly
-    });
-
-    totalValue += value;
-    totalDebt += p.loanBalance;
-    totalNOI += noi;
-    totalDS += ds.payment;
-    totalCF += (noi - ds.payment);
+// ----------------- save slots -----------------
+function currentEquity(s) {
+  try {
+    return computePortfolio(s, productTypesById(DATA)).equity;
+  } catch {
+    return null;
   }
-
-  const equity = totalValue - totalDebt + state.cash;
-  const portfolioDSCR = dscr(totalNOI, totalDS);
-
-  return { totalValue, totalDebt, totalNOI, totalCF, equity, portfolioDSCR };
 }
 
-function pickEvent(events) {
-  const roll = rng();
-  if (roll < 0.35) return null;
-  return events[Math.floor(rng() * events.length)];
+function saveAsNewSlot() {
+  const name = prompt("Name this save:", `Run Y${state.year}`);
+  if (name === null) return;
+  const meta = saveSlot(state, { name: name.trim() || `Run Y${state.year}`, equity: currentEquity(state) });
+  setActiveSlotId(meta.id);
+  addLog(el("log"), `Saved to new slot "${meta.name}".`);
+  renderSlots();
 }
 
-function generateListings() {
-  const listings = [];
-  const productIds = DATA.productTypes.map(p => p.id);
-
-  for (let i = 0; i < 3; i++) {
-    const n = state.neighborhoods[Math.floor(rng() * state.neighborhoods.length)];
-    const allowed = productIds.filter(pid => n.zoning.includes(pid));
-    if (allowed.length === 0) continue;
-
-    const productType = allowed[Math.floor(rng() * allowed.length)];
-    const product = DATA.productTypes.find(p => p.id === productType);
-
-    const baseNOI = 350000 + rng() * 900000;
-    const impliedNOI = baseNOI * n.rentIndex * (1 - n.vacancy);
-    const cap = clamp(n.capRate + (rng() - 0.5) * 0.01, 0.04, 0.12);
-    const price = impliedNOI / cap;
-
-    const loanRate = clamp(state.market.baseRate + state.market.spread + 0.012 + (rng() * 0.01), 0.03, 0.14);
-
-    listings.push({
-      id: `L${state.year}-${i}-${Math.floor(rng()*1e6)}`,
-      name: `${n.name} — ${product.name}`,
-      neighborhood: n.id,
-      productType,
-      price: Math.round(price / 1000) * 1000,
-      baseNOI,
-      loanTerms: { ltv: 0.65, rate: loanRate, amortYears: 30, interestOnly: false }
-    });
-  }
-
-  state.listings = listings;
+function download(text, type, filename) {
+  const blob = new Blob([text], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  // The browser may still be starting the download when click() returns
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
 }
 
-function canBuy(listing) {
-  const down = listing.price * (1 - listing.loanTerms.ltv);
-  return state.cash >= down;
+function downloadRun(run, name) {
+  download(exportRun(run, name), "application/json", `cre-tycoon-${name.replace(/[^a-z0-9]+/gi, "-").toLowerCase()}-Y${run.year}.json`);
 }
 
-// BUY includes maturity + LTV + reno + lease init
-function buyListing(listing) {
-  const down = listing.price * (1 - listing.loanTerms.ltv);
-  state.cash -= down;
-
-  const loanBalance = listing.price * listing.loanTerms.ltv;
-  const maturityYears = makeMaturityYears();
-
-  const p = {
-    id: `P${listing.id}`,
-    name: listing.name,
-    neighborhood: listing.neighborhood,
-    productType: listing.productType,
-    baseNOI: listing.baseNOI,
-
-    rentIndexMult: 1.0,
-    vacancyDelta: 0.0,
-    capRateDelta: 0.0,
-
-    renoLevel: 0,
-
-    ltv: listing.loanTerms.ltv,
-    loanBalance,
-    loanRate: listing.loanTerms.rate,
-    amortYears: listing.loanTerms.amortYears,
-    interestOnly: listing.loanTerms.interestOnly,
-    maturityYear: state.year + maturityYears,
-
-    build: null
-  };
-
-  state.properties.push(p);
-  initLeaseForProperty(p);
-
-  state.journal.push({ year: state.year, action: "BUY", target: listing.id, price: listing.price });
-  addLog(el("log"), `Bought ${listing.name} for ${money(listing.price)} (down ${money(down)}). Loan balloons in ${maturityYears} yrs (Y${state.year + maturityYears}).`);
+function renderSlots() {
+  if (el("slotsPanel").hidden) return;
+  const activeId = getActiveSlotId();
+  const slots = listSlots();
+
+  el("slots").innerHTML = slots.length
+    ? slots.map(s => itemHTML(
+        s.id === activeId ? `${escapeHTML(s.name)} (current)` : escapeHTML(s.name),
+        [
+          ["Year", `Y${s.year}`],
+          ["Equity", s.equity === null ? "—" : money(s.equity)],
+          ["Seed", escapeHTML(s.seed ?? "—")],
+          ["Difficulty", escapeHTML(s.difficulty ?? "—")],
+          ["Last Played", new Date(s.lastPlayed).toLocaleString()]
+        ],
+        `
+          <button class="btn primary" data-slot-action="load" data-slot="${escapeHTML(s.id)}">Load</button>
+          <button class="btn" data-slot-action="duplicate" data-slot="${escapeHTML(s.id)}">Duplicate</button>
+          <button class="btn" data-slot-action="export" data-slot="${escapeHTML(s.id)}">Export</button>
+          <button class="btn danger" data-slot-action="delete" data-slot="${escapeHTML(s.id)}">Delete</button>
+        `
+      )).join("")
+    : `<div class="muted">No saves yet. Use Save or Save As to create one.</div>`;
 }
 
-function startBuild(neighborhoodId, productType) {
-  const n = state.neighborhoods.find(x => x.id === neighborhoodId);
-  if (!n.zoning.includes(productType)) {
-    addLog(el("log"), `Build blocked: zoning does not allow ${productType} in ${n.name}.`);
-    return;
-  }
-
-  const product = DATA.productTypes.find(p => p.id === productType);
-
-  const scarcityPremium = 1 + n.scarcity * 0.35;
-  const cost = Math.round((9000000 + rng() * 9000000) * scarcityPremium * n.rentIndex / 1000) * 1000;
-
-  if (state.cash < cost * 0.25) {
-    addLog(el("log"), `Not enough cash to start build. Need at least 25% of ${money(cost)}.`);
-    return;
-  }
-
-  // Construction loan: 75% LTC, interest-only, short maturity
-  const equity = cost * 0.25;
-  const loanBalance = cost * 0.75;
-  state.cash -= equity;
-
-  const p = {
-    id: `B${state.year}-${Math.floor(rng()*1e6)}`,
-    name: `${n.name} — New ${product.name}`,
-    neighborhood: neighborhoodId,
-    productType,
-
-    baseNOI: 650000,
-
-    rentIndexMult: 1.0,
-    vacancyDelta: 0.0,
-    capRateDelta: 0.0,
-
-    renoLevel: 0,
-
-    ltv: 0.65,
-    loanBalance,
-    loanRate: clamp(state.market.baseRate + state.market.spread + 0.02, 0.04, 0.16),
-    amortYears: 30,
-    interestOnly: true,
-
-    maturityYear: state.year + 3,
-    build: {
-      phase: "construction",
-      yearsRemaining: product.build.yearsToBuild,
-      stabilizeYearsRemaining: product.build.yearsToStabilize,
-      leaseUpVacancy: product.build.leaseUpVacancy
-    }
-  };
-
-  state.properties.push(p);
+// ----------------- financing preview -----------------
+const FINANCING_LABELS = { REFI: "Refinance", PAYDOWN: "Partial Paydown", EXTEND: "Extend", CAP: "Rate Cap" };
 
-  // Lease will be initialized at stabilization (not during construction)
-
-  state.journal.push({ year: state.year, action: "BUILD", target: neighborhoodId, cost });
-  addLog(el("log"), `Started build: ${product.name} in ${n.name}. Total cost ${money(cost)} (equity ${money(equity)}).`);
+function debtProductOptions(selected) {
+  return Object.values(DEBT_PRODUCTS)
+    .filter(d => d.offered !== false)
+    .map(d => `<option value="${d.id}" ${d.id === selected ? "selected" : ""}>${d.name}</option>`)
+    .join("");
 }
 
-function processBuildPhases() {
-  for (const p of state.properties) {
-    if (!p.build) continue;
-
-    if (p.build.phase === "construction") {
-      p.build.yearsRemaining -= 1;
-
-      if (p.build.yearsRemaining <= 0) {
-        p.build.phase = "leaseup";
-        addLog(el("log"), `Delivered: ${p.name}. Now leasing up.`);
-      } else {
-        addLog(el("log"), `Construction progress: ${p.name} (${p.build.yearsRemaining} year(s) remaining).`);
-      }
-
-    } else if (p.build.phase === "leaseup") {
-      p.build.stabilizeYearsRemaining -= 1;
-      p.vacancyDelta = Math.max(p.vacancyDelta, p.build.leaseUpVacancy);
-
-      if (p.build.stabilizeYearsRemaining <= 0) {
-        p.build = null;
-        p.vacancyDelta = 0.0;
-
-        // Convert to perm loan terms
-        p.interestOnly = false;
-        p.amortYears = 30;
-        p.loanRate = clamp(state.market.baseRate + state.market.spread + 0.018 + (rng() * 0.01), 0.04, 0.16);
-
-        const maturityYears = makeMaturityYears();
-        p.maturityYear = state.year + maturityYears;
-
-        // NEW: initialize lease at stabilization
-        initLeaseForProperty(p);
-
-        addLog(el("log"), `Stabilized: ${p.name}. Converted to perm loan. Balloons in ${maturityYears} yrs (Y${p.maturityYear}).`);
-      } else {
-        addLog(el("log"), `Lease-up: ${p.name} (${p.build.stabilizeYearsRemaining} year(s) to stabilize).`);
-      }
-    }
-  }
+function debtLabel(p) {
+  if (p.debtProduct === "construction") return "Construction, IO";
+  return debtProduct(p.debtProduct).name;
 }
 
-function applyOperatingCashFlow(productTypesById) {
-  let totalCF = 0;
-
-  for (const p of state.properties) {
-    const n = state.neighborhoods.find(x => x.id === p.neighborhood);
-    const product = productTypesById[p.productType];
-
-    const noi = computeNOI({
-      baseNOI: p.baseNOI,
-      rentIndex: (p.lease?.leaseRentIndex ?? (n.rentIndex * p.rentIndexMult)),
-      vacancy: clamp(n.vacancy + p.vacancyDelta, 0.01, 0.40),
-      expenseRatio: product.baseExpenseRatio
-    });
-
-    const ds = annualDebtService({
-      balance: p.loanBalance,
-      rate: p.loanRate,
-      amortYears: p.amortYears,
-      interestOnly: p.interestOnly
-    });
-
-    p.loanBalance = Math.max(0, p.loanBalance - ds.principal);
-
-    const cf = noi - ds.payment;
-    totalCF += cf;
-  }
-
-  state.cash += totalCF;
-  addLog(el("log"), `Operating cash flow this year: ${money(totalCF)}.`);
+function financingPreviewHTML(q) {
+  const arrow = (a, b) => `${a} → ${b}`;
+  const fmtDSCR = (x) => (isFinite(x) ? x.toFixed(2) : "∞");
+  const rows = q.before ? [
+    ["Loan", arrow(money(q.before.loan), money(q.loan ?? q.before.loan))],
+    ["Rate", arrow(pct(q.before.rate), pct(q.rate ?? q.before.rate))],
+    ["DSCR", arrow(fmtDSCR(q.before.dscr), fmtDSCR(q.dscr ?? q.before.dscr))],
+    ["Balloon", arrow(`Y${q.before.maturityYear}`, `Y${q.maturityYear ?? q.before.maturityYear}`)],
+    ["Fee", money(q.fee || 0)],
+    ...(q.penalty > 0 ? [["Prepay Penalty", money(q.penalty)]] : []),
+    ...(q.kind === "CAP" ? [["Strike", pct(q.strike)]] : []),
+    ["Cash", typeof q.cashDelta === "number" ? `${q.cashDelta >= 0 ? "+" : "−"}${money(Math.abs(q.cashDelta))}` : "—"]
+  ] : [];
+  if (q.constraint) rows.push(["Sized by", q.constraint]);
+
+  return `
+    <div class="quote">
+      <b>${FINANCING_LABELS[q.kind] || "Financing"} preview</b>
+      ${q.kind === "REFI" ? `<div><select data-fin-product>${debtProductOptions(q.debtProduct || DEFAULT_DEBT_PRODUCT)}</select></div>` : ""}
+      <div class="kv">${rows.map(([k, v]) => `<div>${k}: <b>${v}</b></div>`).join("")}</div>
+      ${q.ok ? "" : `<div class="warn small">${escapeHTML(q.reason)}</div>`}
+      <div class="row gap" style="margin-top:8px">
+        <button class="btn primary" data-fin-confirm ${q.ok ? "" : "disabled"}>Confirm</button>
+        <button class="btn" data-fin-cancel>Cancel</button>
+      </div>
+    </div>
+  `;
 }
 
-// SELL + RENOVATE + REFI WALL
-function sellProperty(propertyId) {
-  const productTypesById = Object.fromEntries(DATA.productTypes.map(p => [p.id, p]));
-  const idx = state.properties.findIndex(x => x.id === propertyId);
-  if (idx < 0) return;
-
-  const p = state.properties[idx];
-  const snap = computePropertySnapshot(p, productTypesById);
+// ----------------- scenario objectives + scorecard -----------------
+const OBJECTIVE_ICONS = { pending: "⏳", met: "✅", missed: "❌" };
 
-  const salePrice = snap.value;
-  const sellingCosts = salePrice * 0.02;
-  const netBeforeDebt = salePrice - sellingCosts;
-  const net = netBeforeDebt - p.loanBalance;
-
-  state.cash += net;
-  state.properties.splice(idx, 1);
-
-  state.journal.push({ year: state.year, action: "SELL", target: propertyId, price: salePrice, net });
-  addLog(el("log"), `Sold ${p.name} for ${money(salePrice)} (costs ${money(sellingCosts)}). Paid off debt ${money(p.loanBalance)}. Net proceeds ${money(net)}.`);
+function fmtMetric(metric, x) {
+  if (x === null || x === undefined || !isFinite(x)) return metric === "dscr" ? "∞" : "—";
+  if (["equity", "cash", "debt", "noi"].includes(metric)) return money(x);
+  if (metric === "ltv") return pct(x);
+  if (metric === "dscr") return x.toFixed(2);
+  return String(x);
 }
 
-function renovateProperty(propertyId) {
-  const productTypesById = Object.fromEntries(DATA.productTypes.map(p => [p.id, p]));
-  const p = state.properties.find(x => x.id === propertyId);
-  if (!p) return;
-
-  const maxLevel = 3;
-  if ((p.renoLevel || 0) >= maxLevel) {
-    addLog(el("log"), `${p.name}: Renovation maxed out.`);
-    return;
-  }
-
-  const snap = computePropertySnapshot(p, productTypesById);
-
-  const nextLevel = (p.renoLevel || 0) + 1;
-  const baseCost = snap.value * 0.03;
-  const cost = clamp(baseCost * (1 + (nextLevel - 1) * 0.35), 200000, 5000000);
-
-  if (state.cash < cost) {
-    addLog(el("log"), `Not enough cash to renovate ${p.name}. Need ${money(cost)}.`);
+function renderScenario() {
+  const box = el("scenario");
+  const sc = state.scenario;
+  box.hidden = !sc;
+  if (!sc) return;
+
+  const now = scenarioMetrics(state, productTypesById(DATA));
+  const objectives = sc.objectives.map(o => `
+    <div>${OBJECTIVE_ICONS[o.status]} ${escapeHTML(o.label)}
+      <span class="muted">(${o.status === "pending" ? "now" : "final"}: ${fmtMetric(o.metric, o.status === "pending" ? now[o.metric] : o.actual)})</span>
+    </div>
+  `).join("");
+  const fails = sc.failConditions.map(f => `<div class="muted">Lose if: ${escapeHTML(f.label)}</div>`).join("");
+
+  if (!sc.result) {
+    box.innerHTML = `
+      <b>Scenario: ${escapeHTML(sc.name)}</b> <span class="muted small">Y${state.year} of ${sc.endYear}</span>
+      <div class="small">${objectives}${fails}</div>
+    `;
     return;
   }
 
-  state.cash -= cost;
-  p.renoLevel = nextLevel;
-
-  // Rent premium + better vacancy
-  p.rentIndexMult = clamp(p.rentIndexMult + 0.03, 0.8, 1.35);
-  p.vacancyDelta = clamp(p.vacancyDelta - 0.005, -0.08, 0.20);
-
-  // IMPORTANT: lease rent should gradually reflect the premium via rollPct,
-  // but we also nudge in-place rent slightly so renos feel immediate.
-  if (p.lease && typeof p.lease.leaseRentIndex === "number") {
-    p.lease.leaseRentIndex = clamp(p.lease.leaseRentIndex * 1.01, 0.6, 2.0);
-  }
-
-  state.journal.push({ year: state.year, action: "RENO", target: propertyId, cost, level: p.renoLevel });
-  addLog(el("log"), `Renovated ${p.name} (Level ${p.renoLevel}). Cost ${money(cost)}. Rent premium ↑, vacancy ↓.`);
+  const r = sc.result;
+  box.innerHTML = `
+    <b>${r.won ? "🏆 Scenario won" : "Scenario lost"}: ${escapeHTML(sc.name)}</b>
+    <div class="small">${escapeHTML(r.reason)}</div>
+    <div class="kv">
+      <div>Score: <b>${r.total}</b></div>
+      <div>Objective Points: <b>${r.objectivePoints}</b></div>
+      <div>Equity Growth Points: <b>${r.growthPoints}</b></div>
+      <div>Ended: <b>Y${r.year}</b></div>
+      <div>Start Equity: <b>${money(sc.startEquity)}</b></div>
+      <div>Final Equity: <b>${money(r.finalEquity)}</b> (${r.growth >= 0 ? "+" : ""}${pct(r.growth)})</div>
+    </div>
+    <div class="small" style="margin-top:6px">${objectives}</div>
+  `;
 }
 
-function attemptRefi(p, productTypesById) {
-  const snap = computePropertySnapshot(p, productTypesById);
-
-  const newLoan = Math.max(0, snap.value * (p.ltv ?? 0.65));
-  const payoff = p.loanBalance;
-
-  const newRate = clamp(state.market.baseRate + state.market.spread + 0.018 + (rng() * 0.01), 0.03, 0.18);
-  const maturityYears = makeMaturityYears();
-
-  if (newLoan >= payoff) {
-    const cashOut = newLoan - payoff;
-    state.cash += cashOut;
-
-    p.loanBalance = newLoan;
-    p.loanRate = newRate;
-    p.amortYears = 30;
-    p.interestOnly = false;
-    p.maturityYear = state.year + maturityYears;
-
-    addLog(el("log"), `Refi OK: ${p.name}. New rate ${pct(p.loanRate)}. Cash-out ${money(cashOut)}. New balloon Y${p.maturityYear}.`);
-    return true;
-  }
-
-  const gap = payoff - newLoan;
-  if (state.cash >= gap) {
-    state.cash -= gap;
+// Portfolio returns from the journal (engine/sim.js runReturns), and every position already exited
+function renderReturns(returns) {
+  const m = returns.portfolio;
+  const exited = returns.properties.filter(x => !x.held);
+  el("returns").innerHTML = m
+    ? itemHTML("Returns", [
+        ...returnsKV(m),
+        ...exited.map(x => [`${escapeHTML(x.name)} (exited)`, `${isFinite(x.irr) ? pct(x.irr) : "N/A"} IRR · ${x.equityMultiple.toFixed(2)}x`])
+      ]) + `<div class="muted small">Since Y${m.startYear}. Properties still held count at what they would net if sold today.</div>`
+    : `<div class="muted small">No returns yet. Buy or build to start the ledger.</div>`;
+}
 
-    p.loanBalance = newLoan;
-    p.loanRate = newRate;
-    p.amortYears = 30;
-    p.interestOnly = false;
-    p.maturityYear = state.year + maturityYears;
+// ----------------- history charts -----------------
+const NEIGHBORHOOD_METRICS = {
+  rentIndex: { name: "Rent index", fmt: v => v.toFixed(2) },
+  vacancy: { name: "Vacancy", fmt: pct },
+  capRate: { name: "Cap rate", fmt: pct }
+};
 
-    addLog(el("log"), `Refi tight: ${p.name}. Paid-in ${money(gap)} to refinance. New rate ${pct(p.loanRate)}. Balloon Y${p.maturityYear}.`);
-    return true;
-  }
+function renderHistory() {
+  const h = state.history || [];
+  const perf = runPerformance(state);
+  const rate = v => isFinite(v) ? pct(v) : "—";
+  el("twr").textContent = rate(perf.twr);
+  el("mwr").textContent = rate(perf.mwr);
+  el("bookTwr").textContent = rate(perf.book.twr);
+  el("bookMwr").textContent = rate(perf.book.mwr);
+
+  const line = (name, y) => ({ name, points: h.map(x => ({ x: x.year, y: y(x) })) });
+  const key = NEIGHBORHOOD_METRICS[el("historyMetric").value] ? el("historyMetric").value : "rentIndex";
+  const metric = NEIGHBORHOOD_METRICS[key];
+  const markets = state.neighborhoods.map(n => ({
+    name: n.name,
+    points: h.filter(x => x.neighborhoods[n.id]).map(x => ({ x: x.year, y: x.neighborhoods[n.id][key] }))
+  }));
 
-  addLog(el("log"), `Refi FAILED: ${p.name}. Needs ${money(gap)} to refinance, but you only have ${money(state.cash)}.`);
-  return false;
+  el("charts").innerHTML = [
+    lineChartHTML("Equity", [line("Equity", x => x.equity), line("Cash", x => x.cash)], money),
+    lineChartHTML("Leverage", [line("Loan-to-value", x => x.value > 0 ? x.debt / x.value : 0)], pct),
+    lineChartHTML(`Neighborhood ${metric.name.toLowerCase()}`, markets, metric.fmt)
+  ].join("");
 }
 
-function handleMaturities() {
-  const productTypesById = Object.fromEntries(DATA.productTypes.map(p => [p.id, p]));
-  const matured = state.properties.filter(p => p.maturityYear && p.maturityYear <= state.year);
-
-  if (!matured.length) return;
+// ----------------- year-end report -----------------
+function renderReportYears() {
+  const years = reportYears(state);
+  const picked = years.includes(reportYear) ? reportYear : years[0];
+  el("reportYear").innerHTML = years.length
+    ? years.map(y => `<option value="${y}"${y === picked ? " selected" : ""}>Y${y}</option>`).join("")
+    : `<option>No completed year yet</option>`;
+  el("reportYear").disabled = el("reportHTML").disabled = !years.length;
+  for (const btn of document.querySelectorAll("[data-report-csv]")) btn.disabled = !years.length;
+}
 
-  addLog(el("log"), `⚠️ REFI WALL: ${matured.length} loan(s) matured this year.`);
+function selectedReport() {
+  return yearEndReport(state, DATA, Number(el("reportYear").value));
+}
 
-  for (const p of [...matured]) {
-    const ok = attemptRefi(p, productTypesById);
-    if (ok) continue;
+function downloadReportHTML() {
+  const report = selectedReport();
+  download(reportHTML(report), "text/html", `cre-tycoon-Y${report.year}-report.html`);
+}
 
-    addLog(el("log"), `Forced sale risk: ${p.name} due to maturity.`);
-    const id = p.id;
+// One table per button (schedule, waterfall, events, activity): browsers hold back a burst of downloads
+function downloadReportCSV(table) {
+  const report = selectedReport();
+  download(reportCSVs(report, describeEntry)[table], "text/csv", `cre-tycoon-Y${report.year}-${table}.csv`);
+}
 
-    sellProperty(id);
+// Sponsor default / rescue / game-over banner above the portfolio
+function renderDistress() {
+  const box = el("distress");
+  const parts = [];
 
-    if (state.cash < 0) {
-      addLog(el("log"), `Bankruptcy shock: Sale proceeds were insufficient. Cash reset to $0.`);
-      state.cash = 0;
-    }
+  if (state.gameOver) {
+    parts.push(`<b>${state.scenario?.result?.won ? "Run complete" : "Game over"} (Y${state.gameOver.year}).</b> ${escapeHTML(state.gameOver.reason)} Rewind on the timeline, load a save, or start a new run.`);
+  } else if (state.distress) {
+    parts.push(`<b>Sponsor default:</b> you are ${money(-state.cash)} short. Sell or refinance before Next Year${state.restructured ? "." : ", or bring in rescue capital."}`);
+    if (!state.restructured) parts.push(`<button class="btn danger small" id="restructure">Restructure</button>`);
   }
+  if (state.rescue) parts.push(`<div class="small">Rescue capital owed: <b>${money(state.rescue.balance)}</b></div>`);
+
+  box.hidden = !parts.length;
+  box.innerHTML = parts.join(" ");
+  el("nextYear").disabled = Boolean(state.gameOver);
 }
 
 function render() {
-  const productTypesById = Object.fromEntries(DATA.productTypes.map(p => [p.id, p]));
-  const port = computePortfolio(state, productTypesById);
+  const productsById = productTypesById(DATA);
+  const port = computePortfolio(state, productsById);
 
   el("year").textContent = state.year;
+  el("seed").textContent = state.rng.seed;
+  el("difficulty").textContent = state.profile.name;
   el("baseRate").textContent = pct(state.market.baseRate);
   el("spread").textContent = pct(state.market.spread);
   el("liquidity").textContent = (state.market.liquidity).toFixed(2);
@@ -501,48 +332,121 @@ function render() {
   el("noi").textContent = money(port.totalNOI);
   el("cf").textContent = money(port.totalCF);
   el("dscr").textContent = (isFinite(port.portfolioDSCR) ? port.portfolioDSCR.toFixed(2) : "∞");
+  el("walt").textContent = port.walt === null ? "—" : `${port.walt.toFixed(1)} yrs`;
+
+  renderScenario();
+  renderDistress();
+  const returns = runReturns(state, productsById, { discountRate: Number(el("discountRate").value) });
+  renderReturns(returns);
+
+  el("activeEvents").innerHTML = state.activeEvents.length
+    ? state.activeEvents.map(ae => {
+        const n = state.neighborhoods.find(x => x.id === ae.targetNeighborhood);
+        return itemHTML(
+          `⚡ ${escapeHTML(ae.name)}`,
+          [
+            ["Scope", ae.scope === "global" ? "Citywide" : escapeHTML(n ? n.name : ae.targetNeighborhood)],
+            ["Years Left", ae.yearsRemaining],
+            ["Strength", pct(eventStrength(ae))],
+            ["On Expiry", ae.expiry === "decay" ? "Fades out" : "Unwinds"]
+          ]
+        );
+      }).join("")
+    : `<div class="muted small">No active events.</div>`;
 
   el("neighborhoods").innerHTML = state.neighborhoods.map(n => itemHTML(
-    n.name,
+    escapeHTML(n.name),
     [
       ["Demand", n.demand.toFixed(2)],
       ["Rent Index", n.rentIndex.toFixed(2)],
       ["Vacancy", pct(n.vacancy)],
       ["Cap Rate", pct(n.capRate)],
-      ["Zoning", n.zoning.join(", ")]
+      ["Zoning", escapeHTML(n.zoning.join(", "))],
+      ["Built Out", pct(n.scarcity)],
+      ["Comps", compsLabel(n)],
+      ...inventoryRows(n, productsById),
+      ["Pipeline", pipelineLabel(n, productsById)]
     ]
   )).join("");
 
+  el("rivals").innerHTML = state.competitors.length
+    ? state.competitors.map(c => itemHTML(
+        escapeHTML(c.name),
+        [
+          ["Strategy", escapeHTML(c.strategy)],
+          ["Dry Powder", money(c.dryPowder)],
+          ["Holdings", c.holdings.length],
+          ["Building", c.projects.length
+            ? c.projects.map(pr => `${pr.size.toLocaleString()} ${escapeHTML(pr.unit)} ${productsById[pr.productType].name} (Y${pr.deliverYear})`).join(", ")
+            : "—"]
+        ]
+      )).join("")
+    : `<div class="muted small">No rival investors in this run.</div>`;
+
+  renderCityMap(productsById);
+
   el("properties").innerHTML = state.properties.length
     ? state.properties.map(p => {
-        const snap = computePropertySnapshot(p, productTypesById);
+        const snap = computePropertySnapshot(state, p, productsById);
         const balloon = p.maturityYear ? `Y${p.maturityYear}` : "—";
         const reno = p.renoLevel || 0;
+        const penalty = prepaymentPenalty(p, state.market, state.year);
+        const cap = p.rateCap && p.rateCap.expiresYear >= state.year ? ` · cap ${pct(p.rateCap.strike)}` : "";
+        const cov = p.covenants
+          ? `DSCR ≥ ${p.covenants.minDSCR.toFixed(2)} · LTV ≤ ${pct(p.covenants.maxLTV)}`
+          : "None";
+        const covStatus = { ok: "OK", trap: `Cash trap (${money(p.trappedCash || 0)} held)`, sweep: "Cash sweep" }[p.covenant?.status || "ok"];
+        const rateNote = `${p.rateType === "floating" ? "floating" : "fixed"}${isInterestOnly(p, state.year) ? ", IO" : ""}${cap}`;
 
         const leaseTerm = p.lease ? `${p.lease.yearsRemaining} yr(s)` : "—";
         const inPlace = p.lease ? p.lease.leaseRentIndex.toFixed(2) : "—";
+        const leaseRows = snap.leasing
+          ? [["Occupancy", pct(snap.leasing.occupancy)], ["WALT", `${snap.leasing.walt.toFixed(1)} yrs`]]
+          : snap.mix
+            ? [["Units", snap.mix.units], ["Loss-to-Lease", `${money(snap.mix.lossToLease)}/yr`]]
+            : [["Lease Term", leaseTerm], ["In-Place RentIdx", inPlace]];
+        const devRows = snap.development ? developmentRows(p, snap.development) : [];
+        const position = returns.properties.find(x => x.id === p.id);
+        const returnRows = position ? returnsKV(position) : [["Returns", "Not tracked (bought in an older version)"]];
+
+        const preview = pendingFinancing && pendingFinancing.propertyId === p.id
+          ? financingPreviewHTML(quoteFinancing(state, DATA, pendingFinancing))
+          : "";
 
         const actionBtns = `
-          <div style="display:flex; gap:8px; margin-top:10px;">
-            <button class="btn" data-reno="${p.id}">Renovate</button>
-            <button class="btn danger" data-sell="${p.id}">Sell</button>
+          <div style="display:flex; gap:8px; margin-top:10px; flex-wrap:wrap;">
+            <button class="btn" data-reno="${escapeHTML(p.id)}">Renovate</button>
+            <button class="btn" data-fin="REFI" data-id="${escapeHTML(p.id)}">Refi</button>
+            <button class="btn" data-fin="PAYDOWN" data-id="${escapeHTML(p.id)}">Paydown</button>
+            <button class="btn" data-fin="EXTEND" data-id="${escapeHTML(p.id)}">Extend</button>
+            ${p.rateType === "floating" ? `<button class="btn" data-fin="CAP" data-id="${escapeHTML(p.id)}">Cap</button>` : ""}
+            <button class="btn danger" data-sell="${escapeHTML(p.id)}">Sell</button>
           </div>
+          ${preview}
+          ${operatingStatementHTML(p, snap)}
+          ${p.rentRoll && !p.build ? rentRollHTML(p, snap.product) : ""}
+          ${snap.mix ? unitMixDetailsHTML(p, snap) : ""}
         `;
 
         return itemHTML(
-          p.name,
+          escapeHTML(p.name),
           [
             ["Type", snap.product.name],
             ["NOI", money(snap.noi)],
             ["Value", money(snap.value)],
             ["Debt", money(p.loanBalance)],
-            ["Rate", pct(p.loanRate)],
+            ["Loan", debtLabel(p)],
+            ["Rate", `${pct(p.loanRate)} (${rateNote})`],
+            ["Prepay Today", penalty > 0 ? money(penalty) : "None"],
+            ["Covenants", cov],
+            ["Covenant Status", covStatus],
             ["DSCR", dscr(snap.noi, snap.ds.payment).toFixed(2)],
             ["Balloon", balloon],
-            ["Reno", `Level ${reno}`],
-            ["Lease Term", leaseTerm],
-            ["In-Place RentIdx", inPlace],
-            ["Status", p.build ? (p.build.phase === "construction" ? "Under Construction" : "Lease-up") : "Stabilized"]
+            ["Reno", snap.mix ? `${snap.mix.renovated}/${snap.mix.units} units` : `Level ${reno}`],
+            ...leaseRows,
+            ...devRows,
+            ...returnRows,
+            ["Status", buildStatus(p)]
           ],
           actionBtns
         );
@@ -552,175 +456,734 @@ function render() {
   el("listings").innerHTML = state.listings.length
     ? state.listings.map(l => {
         const n = state.neighborhoods.find(x => x.id === l.neighborhood);
-        const product = productTypesById[l.productType];
-        const btn = canBuy(l)
-          ? `<button class="btn primary" data-buy="${l.id}">Buy</button>`
-          : `<button class="btn" disabled>Need Cash</button>`;
+        const product = productsById[l.productType];
+        const debtId = listingDebt[l.id] || DEFAULT_DEBT_PRODUCT;
+        const offer = listingLoanOffer(state, DATA, l, debtId);
+        const neg = l.negotiation;
+        const btn = `
+          <div class="row gap" style="margin-top:10px">
+            <select data-debt-for="${escapeHTML(l.id)}">${debtProductOptions(debtId)}</select>
+            ${state.cash >= offer.cashNeeded
+              ? `<button class="btn primary" data-buy="${escapeHTML(l.id)}">Buy As-Is</button>`
+              : `<button class="btn" disabled>Need Cash</button>`}
+            ${neg && neg.offers >= MAX_OFFERS ? "" : `<button class="btn" data-offer-open="${escapeHTML(l.id)}">Make Offer</button>`}
+            ${neg?.counter && neg.offers < MAX_OFFERS ? `<button class="btn" data-offer-counter="${escapeHTML(l.id)}">Accept Counter</button>` : ""}
+          </div>
+          ${pendingOffer && pendingOffer.listingId === l.id ? offerFormHTML(pendingOffer) : ""}
+        `;
         return itemHTML(
-          l.name,
+          escapeHTML(l.name),
           [
-            ["Neighborhood", n.name],
+            ["Neighborhood", escapeHTML(n.name)],
+            ["Parcel", escapeHTML(l.parcelId || "—")],
             ["Type", product.name],
-            ["Price", money(l.price)],
-            ["LTV", pct(l.loanTerms.ltv)],
-            ["Rate", pct(l.loanTerms.rate)]
+            ["Asking", money(l.price)],
+            ...(l.bid ? [["Rival Bid", `${money(l.bid.price)} (${escapeHTML(l.bid.name)})`], ["Price to Win", money(offer.price)]] : []),
+            ...(neg ? [["Offers", `${neg.offers}/${MAX_OFFERS}, last ${money(neg.terms.price)}`], ["Seller Counter", neg.counter ? money(neg.counter) : "None"]] : []),
+            ["Loan Offered", offer.refused ? "None (credit crunch)" : money(offer.amount)],
+            ["LTV", pct(offer.ltv)],
+            ["Sized By", offer.constraint],
+            ["Rate", pct(offer.rate)],
+            ["Down", money(offer.down)],
+            ["Closing Costs", money(offer.closingCosts)],
+            ...listingLeaseRows(l, n, product)
           ],
           btn
         );
       }).join("")
     : `<div class="muted">No listings. Click Next Year to generate opportunities.</div>`;
 
+  el("contracts").innerHTML = state.contracts.length
+    ? state.contracts.map(c => contractHTML(c, productsById)).join("")
+    : `<div class="muted small">Nothing under contract. Make an offer on a listing to negotiate terms and run diligence.</div>`;
+
   const buildN = el("buildN");
   const buildP = el("buildP");
 
-  buildN.innerHTML = state.neighborhoods.map(n => `<option value="${n.id}">${n.name}</option>`).join("");
+  const picked = [buildN.value, buildP.value];
+
+  buildN.innerHTML = state.neighborhoods.map(n => `<option value="${escapeHTML(n.id)}">${escapeHTML(n.name)}</option>`).join("");
   buildP.innerHTML = DATA.productTypes.map(p => `<option value="${p.id}">${p.name}</option>`).join("");
+  if (picked[0]) buildN.value = picked[0];
+  if (picked[1]) buildP.value = picked[1];
+  renderBuildQuote();
+
+  renderTimeline();
+  renderHistory();
+  renderReportYears();
+}
+
+function offerFormHTML(o) {
+  return `
+    <div class="row gap wrap" style="margin-top:10px">
+      <label class="field">
+        <span>Offer Price</span>
+        <input type="number" step="10000" data-offer-field="price" value="${o.price}" />
+      </label>
+      <label class="field">
+        <span>Deposit</span>
+        <select data-offer-field="depositPct">
+          ${[0.01, 0.03, 0.05, 0.10].map(x => `<option value="${x}" ${x === o.depositPct ? "selected" : ""}>${pct(x)} (${money(o.price * x)})</option>`).join("")}
+        </select>
+      </label>
+      <label class="field">
+        <span>Due Diligence</span>
+        <select data-offer-field="ddDays">
+          ${Object.keys(DD_PERIODS).map(d => `<option value="${d}" ${Number(d) === o.ddDays ? "selected" : ""}>${d} days (finds ~${pct(DD_PERIODS[d])})</option>`).join("")}
+        </select>
+      </label>
+      <label class="row gap small">
+        <input type="checkbox" data-offer-field="financing" ${o.financing ? "checked" : ""} /> Financing contingency
+      </label>
+      <button class="btn primary" data-offer-submit="${escapeHTML(o.listingId)}">Submit Offer</button>
+      <button class="btn" data-offer-cancel>Cancel</button>
+    </div>
+    <div class="muted small">Bigger deposits, shorter diligence and no contingency make an offer firmer. Deposits go hard at year-end.</div>
+  `;
+}
+
+function contractHTML(c, productsById) {
+  const debtId = listingDebt[c.id] || DEFAULT_DEBT_PRODUCT;
+  const offer = listingLoanOffer(state, DATA, c.listing, debtId);
+  const closing = offer.cashNeeded - c.deposit;
+  const walkNote = c.phase === "diligence" ? "refund" : `forfeit ${money(c.deposit)}`;
+  const findings = c.findings.length ? c.findings.map(x => `${escapeHTML(x.name)} (−${money(x.amount)})`).join("; ") : "Clean";
+  return itemHTML(
+    escapeHTML(c.name),
+    [
+      ["Type", productsById[c.listing.productType].name],
+      ["Parcel", escapeHTML(c.listing.parcelId || "—")],
+      ["Agreed", money(c.agreedPrice)],
+      ["Price After Re-trade", money(c.price)],
+      ["Findings", findings],
+      ["Deposit", `${money(c.deposit)} (${c.phase === "diligence" ? "refundable" : "hard"})`],
+      ["Diligence", `${c.ddDays} days`],
+      ["Financing Contingency", c.financing ? "Yes" : "No"],
+      ["Loan Offered", offer.refused ? "None (credit crunch)" : `${money(offer.amount)} (${money(c.loanAtSigning)} at signing)`],
+      ["Cash to Close", money(closing)],
+      ["Deadline", c.phase === "diligence" ? `Deposit goes hard at end of Y${state.year}` : `Close by end of Y${state.year}`]
+    ],
+    `
+      <div class="row gap" style="margin-top:10px">
+        <select data-debt-for="${escapeHTML(c.id)}">${debtProductOptions(debtId)}</select>
+        ${state.cash >= closing
+          ? `<button class="btn primary" data-close="${escapeHTML(c.id)}">Close</button>`
+          : `<button class="btn" disabled>Need Cash</button>`}
+        <button class="btn" data-walk="${escapeHTML(c.id)}">Walk Away (${walkNote})</button>
+      </div>
+    `
+  );
+}
+
+function buildStatus(p) {
+  if (!p.build) return "Stabilized";
+  if (p.build.phase === "entitlement") return `Entitlement (year ${p.build.dev.entitlement.years + 1})`;
+  if (p.build.phase === "construction") return `Under Construction (${p.build.yearsRemaining} yr left)`;
+  return "Lease-up";
+}
+
+// Budget vs. spend and the pro forma yield on cost while a build is a site or a job
+function developmentRows(p, d) {
+  const dev = p.build.dev;
+  return [
+    ["Size", `${dev.size.toLocaleString()} ${dev.unit}`],
+    ["Budget", dev.spent.overrun > 0 ? `${money(d.cost)} (${money(dev.spent.overrun)} over)` : money(d.cost)],
+    ["Spent", money(d.spent)],
+    ["Contingency Left", money(dev.budget.contingency - dev.spent.contingency)],
+    ["Loan Drawn", p.build.phase === "entitlement" ? "Sized at entitlement" : `${money(p.loanBalance)} of ${money(dev.loanCommitment)}`],
+    ["Yield on Cost", `${pct(d.yieldOnCost)} (NOI ${money(d.stabilizedNOI)})`],
+    ...(p.build.phase === "entitlement" ? [["Approval Odds", `${pct(dev.entitlement.chance)} per hearing`]] : [])
+  ];
+}
+
+// What the building would deliver into: its product's vacancy and everything else under way there
+function submarketLabel(q) {
+  const n = state.neighborhoods.find(x => x.id === q.neighborhoodId);
+  const pipeline = deliveryPipeline(state, n.id).filter(x => x.productType === q.productType);
+  return `${pct(productVacancy(n, q.productType))} vacant, ${pipeline.length ? `${pipeline.length} more in the pipeline` : "nothing else in the pipeline"}`;
+}
+
+// Development pro forma for the site the player is pricing, before they commit
+function buildQuoteHTML(q) {
+  if (!q.budget) return q.ok ? "" : `<div class="warn small">${escapeHTML(q.reason)}</div>`;
+  const e = q.entitlement;
+  const rows = [
+    ["Parcel", q.parcelId || "None vacant"],
+    ["Land", money(q.budget.land)],
+    ["Soft Costs", money(q.budget.soft)],
+    ["Hard Costs", money(q.budget.hard)],
+    ["Contingency", money(q.budget.contingency)],
+    ["Total Budget", money(q.budget.total)],
+    ["Submarket", submarketLabel(q)],
+    ["Stabilized NOI", money(q.noi)],
+    ["Yield on Cost", pct(q.yieldOnCost)],
+    ["Market Cap", pct(q.capRate)],
+    ["Value at Stabilization", money(q.value)],
+    ["Margin", money(q.margin)],
+    ["Construction Loan", q.loanRefused ? "None (credit crunch)" : `${money(q.loan)} (${pct(q.loan / q.budget.total)} LTC)`],
+    ["Equity", money(q.equity)],
+    ["Due at Site Purchase", money(q.upfront)],
+    ["Entitlement", `${e.minYears} yr review, ${pct(e.chance)} per hearing, denied after Y${e.maxYears}`],
+    ["Timeline", `${q.years}+ yrs to stabilize`]
+  ];
+  return `
+    <div class="quote">
+      <b>Pro forma: ${q.size.toLocaleString()} ${q.unit}</b>
+      <div class="kv">${rows.map(([k, v]) => `<div>${k}: <b>${v}</b></div>`).join("")}</div>
+      ${q.ok ? "" : `<div class="warn small">${escapeHTML(q.reason)}</div>`}
+    </div>
+  `;
+}
+
+// Size defaults to the product's typical building when the product changes
+let buildSizeFor = null;
+function renderBuildQuote() {
+  const productType = el("buildP").value;
+  const product = DATA.productTypes.find(x => x.id === productType);
+  const size = el("buildSize");
+  if (product && buildSizeFor !== productType) {
+    const rules = product.build.size;
+    Object.assign(size, { min: rules.min, max: rules.max, step: rules.unit === "SF" ? 5000 : 10, value: rules.default });
+    el("buildUnit").textContent = rules.unit;
+    buildSizeFor = productType;
+  }
+  // A parcel picked on the map only holds while its neighborhood is the one selected
+  if (parcelById(state, buildParcel)?.neighborhood !== el("buildN").value) buildParcel = null;
+  const q = quoteBuild(state, DATA, { neighborhoodId: el("buildN").value, productType, size: size.value, parcelId: buildParcel });
+  el("buildQuote").innerHTML = buildQuoteHTML(q);
+  el("buildBtn").disabled = !q.ok || Boolean(state.gameOver);
+}
+
+function space(size, unit) {
+  return `${Math.round(size).toLocaleString()} ${escapeHTML(unit)}`;
+}
+
+// One row per product type: stock, its own vacancy and last year's net absorption and deliveries
+function inventoryRows(n, productsById) {
+  return Object.entries(n.inventory || {}).map(([id, inv]) => {
+    const absorbed = `${inv.absorption >= 0 ? "+" : "−"}${space(Math.abs(inv.absorption), inv.unit)} absorbed`;
+    const delivered = inv.delivered > 0 ? `, ${space(inv.delivered, inv.unit)} delivered` : "";
+    return [productsById[id]?.name || escapeHTML(id), `${space(inv.stock, inv.unit)}, ${pct(productVacancy(n, id))} vacant (${absorbed}${delivered})`];
+  });
+}
+
+function pipelineLabel(n, productsById) {
+  const pipeline = deliveryPipeline(state, n.id);
+  if (!pipeline.length) return "None";
+  return pipeline.map(x => {
+    const who = escapeHTML(x.owner === "player" ? "yours" : state.competitors.find(c => c.id === x.owner)?.name || x.owner);
+    const size = x.size ? `${space(x.size, x.unit)} ` : "";
+    return `${size}${productsById[x.productType].name} (${who}, ${x.deliverYear ? `Y${x.deliverYear}` : "entitling"})`;
+  }).join("; ");
+}
+
+// Price-weighted cap rate of the neighborhood's recent sales
+function compsLabel(n) {
+  const comps = compCapRate(state.comps, n.id, state.year);
+  return comps ? `${pct(comps.cap)} cap (${comps.count} sale${comps.count === 1 ? "" : "s"})` : "None";
+}
+
+// ----------------- city map -----------------
+// One block of parcels per neighborhood, laid out by neighborhoods[].map. Parcels are colored by use;
+// yours get a white outline, rivals' a red one, listed ones a gold one, and sites still being developed are faded.
+const MAP = { cell: 22, gap: 3, pad: 8, label: 16 };
+
+function cityMapHTML(productsById) {
+  const blocks = state.neighborhoods.filter(n => n.grid && n.map);
+  if (!blocks.length) return "";
+  const step = MAP.cell + MAP.gap;
+  const blockW = Math.max(...blocks.map(n => n.grid.cols)) * step + MAP.pad * 2;
+  const blockH = Math.max(...blocks.map(n => n.grid.rows)) * step + MAP.pad * 2 + MAP.label;
+  const width = (Math.max(...blocks.map(n => n.map.col)) + 1) * blockW;
+  const height = (Math.max(...blocks.map(n => n.map.row)) + 1) * blockH;
+  const listed = new Map(state.listings.map(l => [l.parcelId, l]));
+  const rivalSites = new Set(state.competitors.flatMap(c => c.projects.map(pr => pr.parcelId)));
+
+  const svg = blocks.map(n => {
+    const x0 = n.map.col * blockW;
+    const y0 = n.map.row * blockH;
+    const parcels = state.parcels.filter(pc => pc.neighborhood === n.id).map(pc => {
+      const product = productsById[pc.use];
+      const p = pc.propertyId ? state.properties.find(x => x.id === pc.propertyId) : null;
+      const cls = [
+        "parcel",
+        pc.use === VACANT ? "vacant" : "",
+        pc.owner === "player" ? "mine" : "",
+        state.competitors.some(c => c.id === pc.owner) ? "rival" : "",
+        listed.has(pc.id) ? "listed" : "",
+        p?.build || rivalSites.has(pc.id) ? "developing" : "",
+        pc.id === selectedParcel ? "selected" : ""
+      ].filter(Boolean).join(" ");
+      const tip = escapeHTML(`${pc.id}: ${product ? product.name : "Vacant land"}${p ? ` (${p.name})` : ""}`);
+      return `<rect class="${cls}" data-parcel="${escapeHTML(pc.id)}" x="${x0 + MAP.pad + pc.x * step}" y="${y0 + MAP.pad + MAP.label + pc.y * step}" width="${MAP.cell}" height="${MAP.cell}" rx="3"${product ? ` fill="${product.color}"` : ""}><title>${tip}</title></rect>`;
+    }).join("");
+    return `<text x="${x0 + MAP.pad}" y="${y0 + MAP.pad + 10}">${escapeHTML(n.name)}</text>${parcels}`;
+  }).join("");
+
+  const legend = DATA.productTypes.map(p => `<span><i style="background:${p.color}"></i>${p.name}</span>`).join("");
+  return `
+    <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="City map">${svg}</svg>
+    <div class="legend small">${legend}<span><i class="vacant"></i>Vacant</span><span><i class="mine"></i>Yours</span><span><i class="rival"></i>Rivals</span><span><i class="listed"></i>Listed</span></div>
+  `;
+}
+
+// What's on the clicked parcel, with a buy button if it's listed or a build shortcut if it's open land
+function parcelInfoHTML(productsById) {
+  const pc = parcelById(state, selectedParcel);
+  if (!pc) return `<div class="muted small">Click a parcel to see who owns it.</div>`;
+  const n = state.neighborhoods.find(x => x.id === pc.neighborhood);
+  const p = pc.propertyId ? state.properties.find(x => x.id === pc.propertyId) : null;
+  const listing = state.listings.find(l => l.parcelId === pc.id);
+  const rival = state.competitors.find(c => c.id === pc.owner);
+  const owner = pc.owner === "player" ? `You (${p ? buildStatus(p) : "—"})` : rival ? escapeHTML(rival.name) : pc.owner === "market" ? "Market" : "Unowned";
+
+  let actions = "";
+  if (listing) {
+    const debtId = listingDebt[listing.id] || DEFAULT_DEBT_PRODUCT;
+    actions = canBuy(state, DATA, listing, debtId)
+      ? `<button class="btn primary" data-buy="${escapeHTML(listing.id)}">Buy As-Is for ${money(listingLoanOffer(state, DATA, listing, debtId).price)}</button>`
+      : `<button class="btn" disabled>Need Cash</button>`;
+  } else if (pc.use === VACANT) {
+    actions = `<button class="btn" data-plan="${escapeHTML(pc.id)}">Plan a build here</button>`;
+  }
+
+  return itemHTML(
+    `Parcel ${escapeHTML(pc.id)}`,
+    [
+      ["Neighborhood", escapeHTML(n.name)],
+      ["Zoning", pc.zoning.map(z => productsById[z]?.name || escapeHTML(z)).join(", ")],
+      ["Use", productsById[pc.use]?.name || "Vacant land"],
+      ["Owner", owner],
+      ...(p ? [["Property", escapeHTML(p.name)]] : []),
+      ...(listing ? [["Asking", money(listing.price)]] : []),
+      ...(listing?.bid ? [["Rival Bid", `${money(listing.bid.price)} (${escapeHTML(listing.bid.name)})`]] : [])
+    ],
+    actions
+  );
+}
+
+function renderCityMap(productsById) {
+  el("cityMap").innerHTML = cityMapHTML(productsById);
+  el("parcelInfo").innerHTML = parcelInfoHTML(productsById);
+}
+
+// Point the build form at a vacant parcel: its neighborhood, a product its zoning allows
+function planBuild(parcelId) {
+  const pc = parcelById(state, parcelId);
+  if (!pc) return;
+  el("buildN").value = pc.neighborhood;
+  if (!pc.zoning.includes(el("buildP").value)) el("buildP").value = pc.zoning[0];
+  buildParcel = pc.id;
+  renderBuildQuote();
+  el("buildQuote").scrollIntoView?.({ behavior: "smooth", block: "nearest" });
+}
+
+// Last year's actuals once the property has been through a year-end, otherwise today's run-rate
+function operatingStatementHTML(p, snap) {
+  const title = p.t12 ? `Operating statement (T-12, Y${p.t12.year})` : "Operating statement (run-rate)";
+  return `
+    <details class="statement-wrap" data-statement="${escapeHTML(p.id)}"${openStatements.has(p.id) ? " open" : ""}>
+      <summary>${title}</summary>
+      ${statementHTML(p.t12 || snap.statement)}
+    </details>
+  `;
+}
+
+// Commercial listings show how well the rent roll is leased and how long it's locked in;
+// multifamily shows its size and how far rents sit below market
+function listingLeaseRows(l, n, product) {
+  if (l.unitMix) {
+    const mix = unitMixMetrics(l.unitMix, n.rentIndex);
+    return [["Units", mix.units], ["Loss-to-Lease", `${money(mix.lossToLease)}/yr`]];
+  }
+  if (!l.rentRoll) return [];
+  const { occupancy } = rentRollMetrics(l.rentRoll, n.rentIndex);
+  const { walt } = rentRollWALT(rentRollRules(product), l.rentRoll, state.year);
+  return [["Tenants", l.rentRoll.suites.filter(s => s.tenant).length], ["Occupancy", pct(occupancy)], ["WALT", `${walt.toFixed(1)} yrs`]];
+}
+
+function rentRollHTML(p, product) {
+  const rules = rentRollRules(product);
+  const rows = p.rentRoll.suites.map(s => {
+    const t = s.tenant;
+    if (!t) {
+      return `<tr class="muted"><td>${escapeHTML(s.id)}</td><td>Vacant${s.vacantUntil > state.year ? ` (to Y${s.vacantUntil})` : ""}</td><td></td><td>${s.sf.toLocaleString()}</td><td colspan="6"></td></tr>`;
+    }
+    return `<tr>
+      <td>${escapeHTML(s.id)}</td><td>${escapeHTML(t.name)}</td><td title="${CREDIT[t.credit]?.name ?? ""}">${escapeHTML(t.credit)}</td>
+      <td>${s.sf.toLocaleString()}</td><td>$${(rules.rentPSF * t.rentIndex).toFixed(2)}</td><td>${money(annualRent(rules, s))}</td>
+      <td>Y${t.expiresYear}</td><td>${pct(t.renewalProb)}</td><td>${t.downtimeYears} yr</td><td>$${t.tiPSF} · ${pct(t.lcPct)}</td>
+    </tr>`;
+  }).join("");
+
+  return `
+    <details class="statement-wrap" data-rentroll="${escapeHTML(p.id)}"${openRentRolls.has(p.id) ? " open" : ""}>
+      <summary>Rent roll (${p.rentRoll.suites.length} suites, ${p.rentRoll.totalSF.toLocaleString()} SF)</summary>
+      <table class="statement rentroll">
+        <thead><tr><th>Suite</th><th>Tenant</th><th>Credit</th><th>SF</th><th>Rent/SF</th><th>Annual</th><th>Expires</th><th>Renew</th><th>Downtime</th><th>TI · LC</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </details>
+  `;
+}
+
+function unitMixDetailsHTML(p, snap) {
+  const marketRent = snap.n.rentIndex * p.rentIndexMult;
+  return `
+    <details class="statement-wrap" data-unitmix="${escapeHTML(p.id)}"${openUnitMixes.has(p.id) ? " open" : ""}>
+      <summary>Unit mix (${snap.mix.units} units, ${snap.mix.renovated} renovated)</summary>
+      ${unitMixHTML(p.unitMix, marketRent)}
+    </details>
+  `;
 }
 
 function hookUI() {
-  el("nextYear").addEventListener("click", () => nextYear());
-  el("buildBtn").addEventListener("click", () => startBuild(el("buildN").value, el("buildP").value));
+  // toggle doesn't bubble, so listen in the capture phase
+  el("properties").addEventListener("toggle", (e) => {
+    const d = e.target.closest?.("[data-statement], [data-rentroll], [data-unitmix]");
+    if (!d) return;
+    const [set, id] = d.hasAttribute("data-rentroll")
+      ? [openRentRolls, d.getAttribute("data-rentroll")]
+      : d.hasAttribute("data-unitmix")
+        ? [openUnitMixes, d.getAttribute("data-unitmix")]
+        : [openStatements, d.getAttribute("data-statement")];
+    if (d.open) set.add(id);
+    else set.delete(id);
+  }, true);
+
+  el("nextYear").addEventListener("click", () => dispatch({ type: "NEXT_YEAR" }));
+  el("distress").addEventListener("click", (e) => {
+    if (e.target.closest("#restructure")) dispatch({ type: "RESTRUCTURE" });
+  });
+  el("buildBtn").addEventListener("click", () => {
+    const parcelId = buildParcel;
+    buildParcel = null;
+    dispatch({
+      type: "BUILD",
+      neighborhoodId: el("buildN").value,
+      productType: el("buildP").value,
+      size: Number(el("buildSize").value),
+      parcelId
+    });
+  });
+  for (const id of ["buildN", "buildP", "buildSize"]) el(id).addEventListener("change", renderBuildQuote);
+  el("discountRate").addEventListener("change", render);
+  el("historyMetric").addEventListener("change", renderHistory);
+  el("reportYear").addEventListener("change", () => { reportYear = Number(el("reportYear").value); });
+  el("reportHTML").addEventListener("click", downloadReportHTML);
+  for (const btn of document.querySelectorAll("[data-report-csv]")) {
+    btn.addEventListener("click", () => downloadReportCSV(btn.dataset.reportCsv));
+  }
+
+  el("cityMap").addEventListener("click", (e) => {
+    const rect = e.target.closest("[data-parcel]");
+    if (!rect) return;
+    selectedParcel = rect.getAttribute("data-parcel");
+    renderCityMap(productTypesById(DATA));
+  });
+
+  el("parcelInfo").addEventListener("click", (e) => {
+    const buyBtn = e.target.closest("[data-buy]");
+    if (buyBtn) {
+      const listingId = buyBtn.getAttribute("data-buy");
+      dispatch({ type: "BUY", listingId, debtProduct: listingDebt[listingId] || DEFAULT_DEBT_PRODUCT });
+      return;
+    }
+    const planBtn = e.target.closest("[data-plan]");
+    if (planBtn) planBuild(planBtn.getAttribute("data-plan"));
+  });
 
   el("listings").addEventListener("click", (e) => {
     const btn = e.target.closest("[data-buy]");
-    if (!btn) return;
-    const id = btn.getAttribute("data-buy");
-    const listing = state.listings.find(x => x.id === id);
-    if (!listing) return;
-    buyListing(listing);
-    state.listings = state.listings.filter(x => x.id !== id);
+    if (btn) {
+      const listingId = btn.getAttribute("data-buy");
+      dispatch({ type: "BUY", listingId, debtProduct: listingDebt[listingId] || DEFAULT_DEBT_PRODUCT });
+      return;
+    }
+
+    const open = e.target.closest("[data-offer-open]");
+    if (open) {
+      const l = state.listings.find(x => x.id === open.getAttribute("data-offer-open"));
+      const last = l.negotiation?.terms;
+      pendingOffer = {
+        listingId: l.id,
+        price: l.negotiation?.counter ?? last?.price ?? Math.round(l.price * 0.95 / 10000) * 10000,
+        depositPct: last ? Math.round(last.deposit / last.price * 100) / 100 : 0.03,
+        ddDays: last?.ddDays ?? 60,
+        financing: last?.financing ?? true
+      };
+      render();
+      return;
+    }
+
+    if (e.target.closest("[data-offer-cancel]")) {
+      pendingOffer = null;
+      render();
+      return;
+    }
+
+    const submit = e.target.closest("[data-offer-submit]");
+    if (submit && pendingOffer) {
+      const o = pendingOffer;
+      pendingOffer = null;
+      dispatch({ type: "OFFER", listingId: o.listingId, price: o.price, deposit: o.price * o.depositPct, ddDays: o.ddDays, financing: o.financing });
+      return;
+    }
+
+    const counter = e.target.closest("[data-offer-counter]");
+    if (counter) {
+      const l = state.listings.find(x => x.id === counter.getAttribute("data-offer-counter"));
+      const { deposit, price, ddDays, financing } = l.negotiation.terms;
+      pendingOffer = null;
+      dispatch({ type: "OFFER", listingId: l.id, price: l.negotiation.counter, deposit: l.negotiation.counter * deposit / price, ddDays, financing });
+    }
+  });
+
+  el("listings").addEventListener("change", (e) => {
+    const field = e.target.closest("[data-offer-field]");
+    if (field && pendingOffer) {
+      const key = field.getAttribute("data-offer-field");
+      const value = key === "financing" ? field.checked : Number(field.value);
+      pendingOffer = { ...pendingOffer, [key]: value };
+      render();
+      return;
+    }
+    const sel = e.target.closest("[data-debt-for]");
+    if (!sel) return;
+    listingDebt[sel.getAttribute("data-debt-for")] = sel.value;
+    render();
+  });
+
+  el("contracts").addEventListener("click", (e) => {
+    const close = e.target.closest("[data-close]");
+    if (close) {
+      const contractId = close.getAttribute("data-close");
+      dispatch({ type: "CLOSE", contractId, debtProduct: listingDebt[contractId] || DEFAULT_DEBT_PRODUCT });
+      return;
+    }
+    const walk = e.target.closest("[data-walk]");
+    if (walk) dispatch({ type: "WALK", contractId: walk.getAttribute("data-walk") });
+  });
+
+  el("contracts").addEventListener("change", (e) => {
+    const sel = e.target.closest("[data-debt-for]");
+    if (!sel) return;
+    listingDebt[sel.getAttribute("data-debt-for")] = sel.value;
+    render();
+  });
+
+  el("properties").addEventListener("change", (e) => {
+    const sel = e.target.closest("[data-fin-product]");
+    if (!sel || !pendingFinancing) return;
+    pendingFinancing = { ...pendingFinancing, debtProduct: sel.value };
     render();
   });
 
   el("properties").addEventListener("click", (e) => {
     const sellBtn = e.target.closest("[data-sell]");
     if (sellBtn) {
-      const id = sellBtn.getAttribute("data-sell");
-      sellProperty(id);
-      render();
+      dispatch({ type: "SELL", propertyId: sellBtn.getAttribute("data-sell") });
       return;
     }
 
     const renoBtn = e.target.closest("[data-reno]");
     if (renoBtn) {
-      const id = renoBtn.getAttribute("data-reno");
-      renovateProperty(id);
+      const propertyId = renoBtn.getAttribute("data-reno");
+      const p = state.properties.find(x => x.id === propertyId);
+      let units;
+      if (p?.unitMix && !p.build) {
+        const left = classicUnits(p.unitMix);
+        const suggested = Math.min(left, Math.ceil(unitMixMetrics(p.unitMix, 1).units * 0.25));
+        const plan = renovationPlan(p.unitMix, suggested);
+        const perDoor = plan.doors > 0 ? plan.cost / plan.doors : 0;
+        const input = prompt(`Renovate how many units at ${p.name}? (${left} classic left, about ${money(perDoor)}/door)`, String(suggested));
+        if (input === null) return;
+        units = Number(input.replace(/[,\s]/g, ""));
+      }
+      dispatch({ type: "RENO", propertyId, units });
+      return;
+    }
+
+    const finBtn = e.target.closest("[data-fin]");
+    if (finBtn) {
+      const type = finBtn.getAttribute("data-fin");
+      const propertyId = finBtn.getAttribute("data-id");
+      let amount, strike;
+      if (type === "CAP") {
+        const p = state.properties.find(x => x.id === propertyId);
+        const input = prompt(`Cap ${p.name}'s floating index at what rate (%)?`, ((state.market.baseRate + 0.01) * 100).toFixed(2));
+        if (input === null) return;
+        strike = Number(input.replace(/[%\s]/g, "")) / 100;
+      }
+      if (type === "PAYDOWN") {
+        const p = state.properties.find(x => x.id === propertyId);
+        const suggested = Math.round(Math.min(state.cash, p.loanBalance * 0.1) / 1000) * 1000;
+        const input = prompt(`Pay down ${p.name} by how much? (balance ${money(p.loanBalance)})`, String(suggested));
+        if (input === null) return;
+        amount = Number(input.replace(/[$,\s]/g, ""));
+      }
+      pendingFinancing = { type, propertyId, amount, strike };
       render();
       return;
     }
-  });
 
-  el("saveRun").addEventListener("click", () => {
-    saveRun(state);
-    alert("Saved run.");
-  });
+    if (e.target.closest("[data-fin-confirm]") && pendingFinancing) {
+      const action = pendingFinancing;
+      pendingFinancing = null;
+      dispatch(action);
+      return;
+    }
 
-  el("loadRun").addEventListener("click", () => {
-    const loaded = loadRun();
-    if (!loaded) { alert("No saved run found."); return; }
-    state = loaded;
-    const settings = getSettings();
-    rng = makeRng(settings.seed);
-    addLog(el("log"), "Loaded run.");
-    render();
+    if (e.target.closest("[data-fin-cancel]")) {
+      pendingFinancing = null;
+      render();
+    }
   });
 
-  el("newRun").addEventListener("click", () => {
-    if (!confirm("Start a new run? This will not delete your saved run unless you overwrite it.")) return;
-    initRun(true);
+  el("saveRun").addEventListener("click", () => {
+    if (!getActiveSlotId()) { saveAsNewSlot(); return; }
+    const meta = saveRun(state, { equity: currentEquity(state) });
+    addLog(el("log"), `Saved to slot "${meta.name}".`);
+    renderSlots();
   });
-}
-
-function makeRng(seedStr) {
-  const s = seedStr ? seedFromString(seedStr) : (Math.floor(Math.random() * 1e9) >>> 0);
-  return mulberry32(s);
-}
 
-function nextYear() {
-  const productTypesById = Object.fromEntries(DATA.productTypes.map(p => [p.id, p]));
-  const event = pickEvent(DATA.events);
+  el("toggleSlots").addEventListener("click", () => {
+    el("slotsPanel").hidden = !el("slotsPanel").hidden;
+    renderSlots();
+  });
 
-  state.year += 1;
+  el("saveAs").addEventListener("click", () => saveAsNewSlot());
 
-  updateMarketYear(state.market, rng);
+  el("exportRun").addEventListener("click", () => {
+    const active = listSlots().find(s => s.id === getActiveSlotId());
+    downloadRun(state, active ? active.name : `Run Y${state.year}`);
+  });
 
-  if (event) {
-    addLog(el("log"), `EVENT: ${event.name} — ${event.blurb}`);
-    if (event.scope === "global") {
-      applyEventToMarket(state.market, event);
-    } else if (event.scope === "neighborhood") {
-      const n = state.neighborhoods.find(x => x.id === event.targetNeighborhood);
-      if (n) applyEventToNeighborhood(n, event);
+  el("importRun").addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { name, state: imported } = parseRunExport(await file.text());
+      const meta = saveSlot(imported, { name: name || file.name.replace(/\.json$/i, ""), equity: currentEquity(imported) });
+      addLog(el("log"), `Imported "${meta.name}" into a new save slot.`);
+      renderSlots();
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
     }
-  } else {
-    addLog(el("log"), "No major headline event this year.");
-  }
-
-  for (const n of state.neighborhoods) {
-    updateNeighborhoodYear(n, state.market, rng);
-  }
+  });
 
-  // NEW: lease update after neighborhoods, before NOI/CF
-  updateLeasesOneYear();
+  el("slots").addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-slot-action]");
+    if (!btn) return;
+    const id = btn.getAttribute("data-slot");
+    const slot = listSlots().find(s => s.id === id);
+    if (!slot) return;
+
+    switch (btn.getAttribute("data-slot-action")) {
+      case "load": {
+        let out;
+        try {
+          out = resumeRun(loadSlot(id), DATA);
+        } catch (err) {
+          alert(`Couldn't load "${slot.name}": ${err.message}`);
+          return;
+        }
+        setActiveSlotId(id);
+        state = out.state;
+        addLog(el("log"), `Loaded slot "${slot.name}".`);
+        showLog(out.log);
+        render();
+        break;
+      }
+      case "duplicate":
+        duplicateSlot(id);
+        break;
+      case "export":
+        downloadRun(loadSlot(id), slot.name);
+        break;
+      case "delete":
+        if (!confirm(`Delete save "${slot.name}"? This can't be undone.`)) return;
+        deleteSlot(id);
+        break;
+    }
+    renderSlots();
+  });
 
-  processBuildPhases();
+  el("replayRun").addEventListener("click", () => {
+    const out = replayRun(state, DATA);
+    addLog(el("log"), out.matches
+      ? `Replay check: seed ${state.rng.seed} + ${state.journal.length} journal entries reproduce this run exactly.`
+      : `Replay check: seed ${state.rng.seed} + journal diverged from this run (older save or outside edit).`);
+  });
 
-  handleMaturities();
+  el("undoAction").addEventListener("click", () => {
+    travel(undoLastAction(state, DATA), "Undid last action.");
+  });
 
-  applyOperatingCashFlow(productTypesById);
+  el("undoYear").addEventListener("click", () => {
+    travel(undoYear(state, DATA), `Undid all Y${state.year} actions.`);
+  });
 
-  generateListings();
+  el("timeline").addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-rewind]");
+    if (!btn) return;
+    const year = Number(btn.getAttribute("data-rewind"));
+    if (!confirm(`Rewind to the start of Y${year}? Everything after that is replaced until you save.`)) return;
+    travel(rewindToYear(state, DATA, year), `Rewound to the start of Y${year}.`);
+  });
 
-  render();
+  el("newRun").addEventListener("click", () => {
+    if (!confirm("Start a new run? Your save slots stay as they are; the new run saves to its own slot.")) return;
+    clearRun();
+    initRun(true);
+  });
 }
 
 async function initRun(forceNew = false) {
   if (!DATA) {
-    const [nhoods, products, events] = await Promise.all([
+    const [nhoods, products, events, difficulties, scenarios, competitors] = await Promise.all([
       loadJSON("data/neighborhoods.json"),
       loadJSON("data/productTypes.json"),
-      loadJSON("data/events.json")
+      loadJSON("data/events.json"),
+      loadJSON("data/difficulties.json"),
+      loadJSON("data/scenarios.json"),
+      loadJSON("data/competitors.json")
     ]);
     DATA = {
       neighborhoods: nhoods.neighborhoods,
       productTypes: products.productTypes,
-      events: events.events
+      events: events.events,
+      difficulties: difficulties.difficulties,
+      scenarios: scenarios.scenarios,
+      competitors: competitors.competitors
     };
   }
 
-  const settings = getSettings();
-  rng = makeRng(settings.seed);
-
   if (!forceNew) {
-    const saved = loadRun();
-    if (saved) {
-      state = saved;
-      addLog(el("log"), "Loaded saved run.");
-
-      // Ensure leases exist for old saves
-      for (const p of state.properties) {
-        if (!p.lease || typeof p.lease.leaseRentIndex !== "number") initLeaseForProperty(p);
+    try {
+      const saved = loadRun();
+      if (saved) {
+        const out = resumeRun(saved, DATA);
+        addLog(el("log"), "Loaded last played save.");
+        state = out.state;
+        showLog(out.log);
+        render();
+        return;
       }
-
-      generateListings();
-      render();
-      return;
+    } catch (err) {
+      addLog(el("log"), `Last save couldn't be loaded (${err.message}). Starting a new run instead.`);
+      clearRun();
     }
   }
 
-  state = JSON.parse(JSON.stringify(RUN_DEFAULTS));
-  state.neighborhoods = DATA.neighborhoods.map(n => ({
-    ...n,
-    demand: n.baseDemand
-  }));
-
-  const settings2 = getSettings();
-  const diff = settings2.difficulty || "normal";
-  if (diff === "easy") state.cash = 4500000;
-  if (diff === "hard") state.cash = 2200000;
-
-  addLog(el("log"), `New run started. Seed: ${settings.seed || "(random)"} Difficulty: ${diff}`);
-  generateListings();
+  // Settings only seed *new* runs; a saved run carries its own seed and RNG cursor
+  const settings = getSettings();
+  const difficulty = DATA.difficulties.some(d => d.id === settings.difficulty) ? settings.difficulty : "normal";
+  const scenario = DATA.scenarios.some(s => s.id === settings.scenario) ? settings.scenario : null;
+  const out = createRun(DATA, { difficulty, seed: settings.seed, scenario });
+  state = out.state;
+  showLog(out.log);
   render();
 }
 